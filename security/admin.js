@@ -0,0 +1,84 @@
+// security/admin.js
+// Roles for the /admin console. An account's role comes from ADMIN_ROLES (env, always wins) or from
+// the `role` stored on its record, which admins set from the console. Accounts are named the way the
+// audit log names them: "google:<email>" or "uniq:<nullifier>", the full site-scoped nullifier. The
+// UQ- handle is only its first 48 bits, for display: two accounts can share one.
+//
+//   ADMIN_ROLES=google:ops@example.com=admin,uniq:0x2e082c10767fb68ec2269fb4fa851d7a46e150bd3e393f910e92bc98b4747e1d=viewer
+
+// role -> what it may do; every role may look
+export const ADMIN_ROLES = Object.freeze({
+  viewer: Object.freeze(['read']),
+  operator: Object.freeze(['read', 'disable', 'logout']),
+  admin: Object.freeze(['read', 'disable', 'logout', 'delete', 'roles'])
+});
+
+/**
+ * parseAdminRoles(value)
+ * - "account=role,account=role" -> Map of lowercased account key -> role
+ * - account: "google:<email>" or "uniq:<nullifier>" (0x + 64 hex digits, as stored and exported)
+ * - throws on a malformed entry, a UQ- handle instead of a nullifier or an unknown role, so a typo
+ *   cannot silently lock admins out
+ */
+export function parseAdminRoles(value = '') {
+  const roles = new Map();
+  for (const item of String(value).split(',').map((s) => s.trim()).filter(Boolean)) {
+    const at = item.lastIndexOf('=');
+    const account = at > 0 ? item.slice(0, at).trim().toLowerCase() : '';
+    const role = at > 0 ? item.slice(at + 1).trim().toLowerCase() : '';
+    if (!/^(google:.+|uniq:0x[0-9a-f]{64})$/.test(account)) {
+      const hint = /^uniq:uq-/.test(account) ? ' (UNIQ accounts are named by their full nullifier, not the UQ- handle)' : '';
+      throw new Error(`ADMIN_ROLES: "${item}" is not "google:<email>=<role>" or "uniq:<nullifier>=<role>"${hint}`);
+    }
+    if (!ADMIN_ROLES[role]) throw new Error(`ADMIN_ROLES: unknown role "${role}" (use ${Object.keys(ADMIN_ROLES).join(', ')})`);
+    roles.set(account, role);
+  }
+  return roles;
+}
+
+/**
+ * roleAllows(role, permission)
+ * - permission: "read" | "disable" | "logout" | "delete" | "roles"
+ */
+export function roleAllows(role, permission) {
+  return !!role && !!ADMIN_ROLES[role] && ADMIN_ROLES[role].includes(permission);
+}
+
+/**
+ * roleRank(role) / mayManage(actorRole, targetRole)
+ * - rank follows ADMIN_ROLES (viewer < operator < admin); no role ranks 0
+ * - nobody may act on an account whose role ranks above their own, e.g. an operator disabling an admin
+ */
+export function roleRank(role) {
+  return Object.keys(ADMIN_ROLES).indexOf(role) + 1;
+}
+export function mayManage(actorRole, targetRole) {
+  return roleRank(targetRole) <= roleRank(actorRole);
+}
+
+/**
+ * requireAdmin(permission, { roleOf, redirectTo })
+ * - roleOf(req.user) -> role | null
+ * - signed out: redirect to redirectTo; signed in without a role allowing `permission`: 403
+ * - sets req.adminRole for the route
+ */
+export function requireAdmin(permission, { roleOf, redirectTo = '/login' }) {
+  return (req, res, next) => {
+    if (!req.user) return res.redirect(redirectTo);
+    const role = roleOf(req.user);
+    if (!roleAllows(role, permission)) {
+      console.warn(`Admin console: ${permission} refused for role ${role || 'none'}`);
+      return res.status(403).send('Forbidden');
+    }
+    req.adminRole = role;
+    next();
+  };
+}
+
+/**
+ * adminConfigFromEnv(env)
+ * - ADMIN_ROLES (see parseAdminRoles); returns { roles }
+ */
+export function adminConfigFromEnv(env = process.env) {
+  return { roles: parseAdminRoles(env.ADMIN_ROLES) };
+}
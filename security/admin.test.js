@@ -0,0 +1,81 @@
+// security/admin.test.js
+// ADMIN_ROLES parsing, permissions per role, role ranking and the requireAdmin() gate.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mayManage, parseAdminRoles, requireAdmin, roleAllows, roleRank } from './admin.js';
+
+const NULLIFIER = '0x2e082c10767fb68ec2269fb4fa851d7a46e150bd3e393f910e92bc98b4747e1d';
+
+describe('parseAdminRoles', () => {
+  test('keys Google accounts by email and UNIQ accounts by full nullifier, lowercased', () => {
+    const roles = parseAdminRoles(`google:Ops@Example.com=admin, uniq:${NULLIFIER.toUpperCase().replace('0X', '0x')}=Viewer`);
+    assert.deepEqual([...roles], [['google:ops@example.com', 'admin'], [`uniq:${NULLIFIER}`, 'viewer']]);
+  });
+
+  test('is empty without ADMIN_ROLES', () => {
+    assert.equal(parseAdminRoles(undefined).size, 0);
+    assert.equal(parseAdminRoles('').size, 0);
+  });
+
+  test('refuses a UQ- handle: it is only a 48-bit prefix of the nullifier', () => {
+    assert.throws(() => parseAdminRoles('uniq:UQ-2E08-2C10-767F=admin'), /full nullifier, not the UQ- handle/);
+    assert.throws(() => parseAdminRoles(`uniq:${NULLIFIER.slice(0, 20)}=admin`), /uniq:<nullifier>/);
+  });
+
+  test('refuses malformed entries and unknown roles', () => {
+    assert.throws(() => parseAdminRoles('ops@example.com=admin'), /ADMIN_ROLES/);
+    assert.throws(() => parseAdminRoles('google:ops@example.com'), /ADMIN_ROLES/);
+    assert.throws(() => parseAdminRoles('google:ops@example.com=root'), /unknown role "root"/);
+  });
+});
+
+describe('roles', () => {
+  test('each role may do what the one below it may, and more', () => {
+    assert.equal(roleAllows('viewer', 'read'), true);
+    assert.equal(roleAllows('viewer', 'disable'), false);
+    assert.equal(roleAllows('operator', 'logout'), true);
+    assert.equal(roleAllows('operator', 'delete'), false);
+    assert.equal(roleAllows('admin', 'roles'), true);
+    assert.equal(roleAllows(null, 'read'), false);
+    assert.equal(roleAllows('root', 'read'), false);
+  });
+
+  test('nobody manages an account that ranks above them', () => {
+    assert.ok(roleRank('viewer') < roleRank('operator') && roleRank('operator') < roleRank('admin'));
+    assert.equal(roleRank(null), 0);
+    assert.equal(mayManage('operator', null), true);
+    assert.equal(mayManage('operator', 'viewer'), true);
+    assert.equal(mayManage('operator', 'operator'), true);
+    assert.equal(mayManage('operator', 'admin'), false);
+    assert.equal(mayManage('admin', 'admin'), true);
+  });
+});
+
+describe('requireAdmin', () => {
+  // runs the gate and reports what it did: next(), a redirect or a status
+  function gate(permission, user, role) {
+    const req = { user };
+    const outcome = {};
+    const res = {
+      redirect: (to) => Object.assign(outcome, { redirect: to }),
+      status: (code) => ({ send: () => Object.assign(outcome, { status: code }) })
+    };
+    requireAdmin(permission, { roleOf: () => role })(req, res, () => Object.assign(outcome, { next: true, role: req.adminRole }));
+    return outcome;
+  }
+
+  test('sends signed-out visitors to the login page', () => {
+    assert.deepEqual(gate('read', null, 'admin'), { redirect: '/login' });
+  });
+
+  test('answers 403 when the role lacks the permission', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(gate('read', { provider: 'google' }, null), { status: 403 });
+    assert.deepEqual(gate('delete', { provider: 'google' }, 'operator'), { status: 403 });
+  });
+
+  test('lets the role through and hands it to the route', () => {
+    assert.deepEqual(gate('disable', { provider: 'uniq' }, 'operator'), { next: true, role: 'operator' });
+  });
+});
@@ -0,0 +1,53 @@
+// security/csrf.js
+// Synchronizer-token CSRF protection: one random token per session, required on every
+// state-changing request (anything but GET / HEAD / OPTIONS) as the `_csrf` form field or the
+// X-CSRF-Token header. Views get it as `csrfToken`; pages read it from <meta name="csrf-token"> for fetch().
+
+import crypto from 'crypto';
+import { uniqErrorBody, uniqErrorStatus } from '../uniqid-sdk/uniqid-sdk.errors.js';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+export const CSRF_FIELD = '_csrf';
+export const CSRF_HEADER = 'x-csrf-token';
+
+/**
+ * csrfToken(req)
+ * - the session's token, created on first use (a new session after login gets a new one)
+ */
+export function csrfToken(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  return req.session.csrfToken;
+}
+
+function sameToken(sent, expected) {
+  if (typeof sent !== 'string' || typeof expected !== 'string') return false;
+  const a = Buffer.from(sent);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * csrfProtection()
+ * - mount after express-session and the body parsers, before the routes
+ * - exposes res.locals.csrfToken (created lazily, so pages that never render a form don't start a session)
+ * - rejects unsafe requests without the session's token: 403 with the UNIQ_ERRORS envelope
+ *   ({ success: false, code: 'CSRF_INVALID', error }) for API clients, plain text for HTML form posts
+ */
+export function csrfProtection() {
+  return (req, res, next) => {
+    if (!req.session) return next(new Error('csrfProtection: express-session must be mounted first'));
+    Object.defineProperty(res.locals, 'csrfToken', { enumerable: true, get: () => csrfToken(req) });
+    if (SAFE_METHODS.has(req.method)) return next();
+
+    const sent = (req.body && req.body[CSRF_FIELD]) || req.get(CSRF_HEADER);
+    if (sameToken(sent, req.session.csrfToken)) return next();
+
+    console.warn(`CSRF token missing or invalid: ${req.method} ${req.originalUrl}`);
+    const body = uniqErrorBody('CSRF_INVALID');
+    res.status(uniqErrorStatus('CSRF_INVALID'));
+    return res.format({
+      json: () => res.json(body),
+      default: () => res.type('text').send(body.error)
+    });
+  };
+}
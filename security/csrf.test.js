@@ -0,0 +1,73 @@
+// security/csrf.test.js
+// csrfProtection(): safe methods pass, unsafe ones need the session's token (form field or header).
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import session from 'express-session';
+import { csrfProtection, CSRF_FIELD, CSRF_HEADER } from './csrf.js';
+
+describe('csrfProtection', () => {
+  let server;
+  let base;
+  let cookie = '';
+  let token;
+
+  before(async () => {
+    mock.method(console, 'warn', () => {});
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use(express.json());
+    app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+    app.use(csrfProtection());
+    app.get('/token', (req, res) => res.json({ token: res.locals.csrfToken }));
+    app.post('/logout', (req, res) => res.json({ ok: true }));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+
+    const res = await fetch(`${base}/token`);
+    cookie = res.headers.get('set-cookie').split(';')[0];
+    token = (await res.json()).token;
+  });
+  after(() => {
+    mock.restoreAll();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  const post = (headers, body) => fetch(`${base}/logout`, { method: 'POST', headers: { cookie, ...headers }, body });
+
+  test('hands out one token per session', async () => {
+    const res = await fetch(`${base}/token`, { headers: { cookie } });
+    assert.equal((await res.json()).token, token);
+  });
+
+  test('rejects a POST without a token: JSON envelope for API clients', async () => {
+    const res = await post({ accept: 'application/json' });
+    assert.equal(res.status, 403);
+    assert.deepEqual(await res.json(), {
+      success: false,
+      code: 'CSRF_INVALID',
+      error: 'Invalid or missing CSRF token. Reload the page and try again.'
+    });
+  });
+
+  test('rejects a form post with a wrong token as plain text', async () => {
+    const res = await post({ 'content-type': 'application/x-www-form-urlencoded', accept: 'text/html' }, `${CSRF_FIELD}=${token.slice(1)}x`);
+    assert.equal(res.status, 403);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+  });
+
+  test('rejects a valid token sent without its session', async () => {
+    const res = await fetch(`${base}/logout`, { method: 'POST', headers: { [CSRF_HEADER]: token } });
+    assert.equal(res.status, 403);
+  });
+
+  test('accepts the token as form field or header', async () => {
+    let res = await post({ 'content-type': 'application/x-www-form-urlencoded' }, `${CSRF_FIELD}=${encodeURIComponent(token)}`);
+    assert.equal(res.status, 200);
+    res = await post({ [CSRF_HEADER]: token });
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// security/receipt-verify.js
+// Checks a deletion receipt (security/receipts.js): the signature, and that the audit log still holds
+// the "delete" entry the receipt points at. Exits 0 when both hold, 1 when they do not, 2 on errors.
+// Reads .env like server.js (RECEIPT_KEY_FILE, AUDIT_LOG, AUDIT_LOG_FILE, AUDIT_LOG_SQLITE_PATH, AUDIT_SALT).
+//
+//   npm run receipt:verify -- receipt.json
+//   npm run receipt:verify -- receipt.json --key receipt-key.pub.pem   # only the public key, e.g. from GET /account/receipt-key
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { verifyReceipt, receiptConfigFromEnv, RECEIPT_TYPE } from './receipts.js';
+import { createAuditLog, auditLogConfigFromEnv } from '../storage/audit-log.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const baseDir = path.join(__dirname, '..');
+// stdout carries only the verdict; the stores' progress logs go to stderr
+const print = console.log;
+console.log = (...args) => console.error(...args);
+
+async function publicKeyPem(keyPath) {
+  const pem = await fs.promises.readFile(keyPath || receiptConfigFromEnv(process.env, baseDir).keyFile, 'utf8');
+  return crypto.createPublicKey(pem).export({ type: 'spki', format: 'pem' });
+}
+
+// the receipt's audit entry must still be in an intact chain, with the same hash, subject and event;
+// resolves to a problem, null when all holds, or false when there is no persistent log here to check
+async function checkAuditEntry(receipt) {
+  if (!receipt.audit) return 'the receipt names no audit entry (the audit log was off)';
+  const config = auditLogConfigFromEnv(process.env, baseDir);
+  if (!config || config.type === 'memory') return false;
+  const log = await createAuditLog(config);
+  try {
+    const chain = await log.verify();
+    if (!chain.ok) return `the audit log is tampered at seq ${chain.problem.seq}: ${chain.problem.reason}`;
+    const entry = (await log.list()).find((e) => e.seq === receipt.audit.seq);
+    if (!entry) return `audit entry ${receipt.audit.seq} is not in the log`;
+    if (entry.hash !== receipt.audit.hash) return `audit entry ${receipt.audit.seq} has a different hash`;
+    if (entry.event !== 'delete' || entry.subject !== receipt.subject) return `audit entry ${receipt.audit.seq} is not this account's deletion`;
+    return null;
+  } finally {
+    await log.close();
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: { key: { type: 'string' } }, allowPositionals: true });
+  if (!positionals[0]) throw new Error('Usage: npm run receipt:verify -- <receipt.json> [--key <public key PEM>]');
+  const receipt = JSON.parse(await fs.promises.readFile(positionals[0], 'utf8'));
+  if (receipt.type !== RECEIPT_TYPE) throw new Error(`${positionals[0]} is not a deletion receipt`);
+
+  if (!verifyReceipt(receipt, await publicKeyPem(values.key))) {
+    print('❌ Receipt signature is not valid for this key');
+    return 1;
+  }
+  const problem = await checkAuditEntry(receipt);
+  if (problem) {
+    print(`❌ Receipt signature is valid, but ${problem}`);
+    return 1;
+  }
+  print(`✅ Deletion receipt ${receipt.id} is valid: signed by ${receipt.signature.keyId}` +
+    (problem === false ? ' (audit log not checked: AUDIT_LOG is off or memory)' : `, audit entry ${receipt.audit.seq} in place`));
+  return 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error('❌ Could not verify the receipt:', err.message);
+    process.exit(2);
+  }
+);
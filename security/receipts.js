@@ -0,0 +1,93 @@
+// security/receipts.js
+// Signed deletion receipts. Erasing an account returns a receipt naming what was removed (account
+// rows, sessions) and what stays (pseudonymous audit entries), tied to the audit log's "delete" entry
+// and signed with the site's Ed25519 key. Anyone holding the public key (GET /account/receipt-key)
+// can check it; `npm run receipt:verify -- receipt.json` also checks it against the audit log.
+//
+// The receipt names the account only by its audit subject hash (see storage/audit-log.js), so handing
+// it to a regulator discloses no email or UNIQ handle.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { canonicalJson } from '../storage/audit-log.js';
+
+export const RECEIPT_TYPE = 'deletion-receipt';
+export const RECEIPT_VERSION = 1;
+const ALGORITHM = 'Ed25519';
+
+// first 16 hex characters of the SHA-256 of the public key (DER), printed on every receipt
+function keyIdOf(publicKey) {
+  return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+}
+
+/**
+ * createReceiptSigner({ keyFile, production })
+ * - keyFile: PKCS#8 PEM Ed25519 private key; created on first use unless production is set,
+ *   in which case a missing key stops the boot (receipts signed by a throwaway key prove nothing)
+ * - resolves to { keyId, publicKeyPem, sign(body) -> receipt, verify(receipt) -> boolean }
+ */
+export async function createReceiptSigner({ keyFile, production = false }) {
+  const target = path.resolve(keyFile);
+  let privateKey;
+  if (fs.existsSync(target)) {
+    privateKey = crypto.createPrivateKey(await fs.promises.readFile(target, 'utf8'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error(`${target} is not an Ed25519 private key`);
+  } else if (production) {
+    throw new Error(`Deletion receipt key ${target} is missing; create it once with: openssl genpkey -algorithm ed25519 -out ${target}`);
+  } else {
+    console.warn('⚠️ No deletion receipt key; generating a development key at', target);
+    ({ privateKey } = crypto.generateKeyPairSync('ed25519'));
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = keyIdOf(publicKey);
+  const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+  return {
+    keyId,
+    publicKeyPem,
+    // body: what the receipt states; type, version, id and issuedAt are added here
+    sign(body) {
+      const receipt = {
+        type: RECEIPT_TYPE,
+        version: RECEIPT_VERSION,
+        id: crypto.randomUUID(),
+        issuedAt: new Date().toISOString(),
+        ...body
+      };
+      const value = crypto.sign(null, Buffer.from(canonicalJson(receipt)), privateKey).toString('base64');
+      return { ...receipt, signature: { algorithm: ALGORITHM, keyId, value } };
+    },
+    verify: (receipt) => verifyReceipt(receipt, publicKeyPem)
+  };
+}
+
+/**
+ * verifyReceipt(receipt, publicKeyPem)
+ * - true when the signature covers every other field of the receipt and was made by this key
+ */
+export function verifyReceipt(receipt, publicKeyPem) {
+  if (!receipt || typeof receipt !== 'object' || !receipt.signature) return false;
+  const { signature, ...body } = receipt;
+  const publicKey = crypto.createPublicKey(publicKeyPem);
+  if (signature.algorithm !== ALGORITHM || signature.keyId !== keyIdOf(publicKey)) return false;
+  try {
+    return crypto.verify(null, Buffer.from(canonicalJson(body)), publicKey, Buffer.from(String(signature.value), 'base64'));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * receiptConfigFromEnv(env, baseDir)
+ * - RECEIPT_KEY_FILE (default ./data/receipt-key.pem); NODE_ENV=production requires it to exist
+ */
+export function receiptConfigFromEnv(env = process.env, baseDir = process.cwd()) {
+  return {
+    keyFile: env.RECEIPT_KEY_FILE || path.join(baseDir, 'data', 'receipt-key.pem'),
+    production: env.NODE_ENV === 'production'
+  };
+}
@@ -0,0 +1,137 @@
+// security/receipts.test.js
+// Deletion receipts: the signature covers every field and only this site's key verifies it;
+// receipt:verify also checks the receipt against the audit log.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createReceiptSigner, verifyReceipt } from './receipts.js';
+import { createAuditLog } from '../storage/audit-log.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SALT = 'test_audit_salt_'.repeat(3);
+const SUBJECT = 'google:ann@example.com';
+
+// development keys are generated with a warning and the audit log reports its path; keep the output quiet
+let tmp;
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'uniqid-receipts-'));
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'log', () => {});
+});
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// what server.js signs when an account is erased
+const body = (audit = { seq: 7, hash: 'a'.repeat(64) }) => ({
+  site: 'example.com',
+  provider: 'google',
+  subject: 'f'.repeat(64),
+  erased: { accountRecords: 1, sessions: 2 },
+  retained: { auditEntries: 3, reason: 'append-only security log' },
+  audit
+});
+
+describe('createReceiptSigner', () => {
+  let signer;
+  before(async () => {
+    signer = await createReceiptSigner({ keyFile: path.join(tmp, 'key.pem') });
+  });
+
+  test('signs a receipt that verifies with the public key alone', () => {
+    const receipt = signer.sign(body());
+    assert.equal(receipt.type, 'deletion-receipt');
+    assert.equal(receipt.signature.algorithm, 'Ed25519');
+    assert.equal(receipt.signature.keyId, signer.keyId);
+    assert.equal(verifyReceipt(receipt, signer.publicKeyPem), true);
+    assert.equal(signer.verify(JSON.parse(JSON.stringify(receipt))), true);
+  });
+
+  test('fails once any field is changed, added or removed', () => {
+    const receipt = signer.sign(body());
+    assert.equal(signer.verify({ ...receipt, erased: { ...receipt.erased, sessions: 0 } }), false);
+    assert.equal(signer.verify({ ...receipt, note: 'added' }), false);
+    const { issuedAt, ...withoutDate } = receipt;
+    assert.equal(signer.verify(withoutDate), false);
+    assert.equal(signer.verify({ ...receipt, signature: { ...receipt.signature, value: signer.sign(body()).signature.value } }), false);
+  });
+
+  test('fails for another key, a missing signature or garbage', () => {
+    const receipt = signer.sign(body());
+    const { publicKey } = crypto.generateKeyPairSync('ed25519');
+    assert.equal(verifyReceipt(receipt, publicKey.export({ type: 'spki', format: 'pem' })), false);
+    const { signature, ...unsigned } = receipt;
+    assert.equal(signer.verify(unsigned), false);
+    assert.equal(signer.verify({ ...receipt, signature: { ...signature, value: 'not base64 at all' } }), false);
+    assert.equal(signer.verify(null), false);
+  });
+
+  test('keeps using the key it created', async () => {
+    const again = await createReceiptSigner({ keyFile: path.join(tmp, 'key.pem') });
+    assert.equal(again.keyId, signer.keyId);
+    assert.equal(again.verify(signer.sign(body())), true);
+  });
+});
+
+test('production refuses to start without a key, and any key that is not Ed25519', async () => {
+  await assert.rejects(createReceiptSigner({ keyFile: path.join(tmp, 'missing.pem'), production: true }), /openssl genpkey/);
+  assert.equal(fs.existsSync(path.join(tmp, 'missing.pem')), false);
+
+  const rsa = path.join(tmp, 'rsa.pem');
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+  fs.writeFileSync(rsa, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  await assert.rejects(createReceiptSigner({ keyFile: rsa }), /not an Ed25519 private key/);
+});
+
+describe('npm run receipt:verify', () => {
+  const keyFile = () => path.join(tmp, 'cli-key.pem');
+  const logFile = () => path.join(tmp, 'cli-audit.log');
+  let signer;
+  let entry;
+
+  before(async () => {
+    signer = await createReceiptSigner({ keyFile: keyFile() });
+    const log = await createAuditLog({ type: 'file', salt: SALT, file: logFile() });
+    await log.record({ event: 'signup', provider: 'google', subject: SUBJECT });
+    entry = await log.record({ event: 'delete', provider: 'google', subject: SUBJECT });
+    await log.close();
+  });
+
+  // resolves to { code, stdout } of the CLI run against the temp key and audit log
+  function verifyCli(receipt) {
+    const file = path.join(tmp, `receipt-${crypto.randomUUID()}.json`);
+    fs.writeFileSync(file, JSON.stringify(receipt));
+    const env = { ...process.env, RECEIPT_KEY_FILE: keyFile(), AUDIT_LOG: 'file', AUDIT_LOG_FILE: logFile(), AUDIT_SALT: SALT };
+    return new Promise((resolve) => {
+      execFile(process.execPath, [path.join(__dirname, 'receipt-verify.js'), file], { env, timeout: 30_000 }, (err, stdout) => {
+        resolve({ code: err ? err.code : 0, stdout });
+      });
+    });
+  }
+
+  test('accepts a receipt whose deletion entry is in the log', async () => {
+    const { code, stdout } = await verifyCli(signer.sign({ ...body({ seq: entry.seq, hash: entry.hash }), subject: entry.subject }));
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /audit entry 2 in place/);
+  });
+
+  test('rejects a tampered receipt', async () => {
+    const receipt = signer.sign({ ...body({ seq: entry.seq, hash: entry.hash }), subject: entry.subject });
+    const { code, stdout } = await verifyCli({ ...receipt, erased: { accountRecords: 0, sessions: 0 } });
+    assert.equal(code, 1);
+    assert.match(stdout, /signature is not valid/);
+  });
+
+  test('rejects a signed receipt that points at another entry', async () => {
+    const { code, stdout } = await verifyCli(signer.sign({ ...body({ seq: 1, hash: entry.hash }), subject: entry.subject }));
+    assert.equal(code, 1);
+    assert.match(stdout, /audit entry 1 has a different hash/);
+  });
+});
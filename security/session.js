@@ -0,0 +1,91 @@
+// security/session.js
+// Session settings from the environment. NODE_ENV=production refuses to boot without a real
+// SESSION_SECRET and marks the cookie `secure`, trusting one reverse proxy (TRUST_PROXY) to terminate TLS.
+// Sessions end after SESSION_IDLE_TIMEOUT_MS without a request (rolling cookie); signed-in sessions
+// also end SESSION_ABSOLUTE_TIMEOUT_MS after sign-in, however active they are.
+
+const DEV_SECRET = 'dev_secret_change_me';
+// placeholders shipped in .env.example / the README
+const PLACEHOLDER_SECRETS = new Set([DEV_SECRET, 'some_long_secret_here']);
+const MIN_SECRET_LENGTH = 32;
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_ABSOLUTE_TIMEOUT_MS = 12 * 60 * 60 * 1000;
+
+// TRUST_PROXY: hop count (1), true, or an Express trust-proxy string ("loopback", a subnet...)
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return undefined;
+  const hops = Number(value);
+  if (Number.isInteger(hops)) return hops;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+function parseMs(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * sessionConfigFromEnv(env)
+ * - returns { production, secret, cookie, rolling, trustProxy, idleTimeoutMs, absoluteTimeoutMs } for
+ *   express-session / app.set('trust proxy') / sessionTimeouts()
+ * - throws in production when SESSION_SECRET is missing, a placeholder or shorter than 32 characters
+ */
+export function sessionConfigFromEnv(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  let secret = env.SESSION_SECRET;
+
+  if (production) {
+    if (!secret || PLACEHOLDER_SECRETS.has(secret) || secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`SESSION_SECRET must be set to a random value of at least ${MIN_SECRET_LENGTH} characters when NODE_ENV=production`);
+    }
+  } else if (!secret) {
+    console.warn('⚠️ SESSION_SECRET is not set; using the development secret (never do this in production)');
+    secret = DEV_SECRET;
+  }
+
+  const trustProxy = parseTrustProxy(env.TRUST_PROXY);
+  const idleTimeoutMs = parseMs(env.SESSION_IDLE_TIMEOUT_MS, DEFAULT_IDLE_TIMEOUT_MS);
+  return {
+    production,
+    secret,
+    // the cookie (and the stored session) expire idleTimeoutMs after the last request
+    cookie: { httpOnly: true, secure: production, sameSite: 'lax', maxAge: idleTimeoutMs },
+    rolling: true,
+    trustProxy: trustProxy === undefined && production ? 1 : trustProxy,
+    idleTimeoutMs,
+    absoluteTimeoutMs: parseMs(env.SESSION_ABSOLUTE_TIMEOUT_MS, DEFAULT_ABSOLUTE_TIMEOUT_MS)
+  };
+}
+
+/**
+ * markSignedIn(req)
+ * - call as soon as a sign-in has regenerated the session (the req.logIn callback): stamps
+ *   startedAt, the sign-in time sessionTimeouts() counts from, so the clock restarts at every login
+ */
+export function markSignedIn(req) {
+  req.session.startedAt = Date.now();
+}
+
+/**
+ * sessionTimeouts({ absoluteTimeoutMs })
+ * - mount after express-session (and passport.session())
+ * - once absoluteTimeoutMs has passed since startedAt (markSignedIn) the session is replaced by
+ *   an empty one and the request continues signed out
+ * - a signed-in session without startedAt counts as expired: it was never stamped at sign-in, so
+ *   stamping it now would let an old session start a fresh clock
+ */
+export function sessionTimeouts({ absoluteTimeoutMs = DEFAULT_ABSOLUTE_TIMEOUT_MS } = {}) {
+  return (req, res, next) => {
+    if (!req.session || !req.user) return next();
+    const startedAt = req.session.startedAt;
+    if (startedAt && Date.now() - startedAt <= absoluteTimeoutMs) return next();
+
+    console.log(startedAt ? 'Session expired (absolute timeout) for' : 'Session without a sign-in time ended for', req.user.email || req.user.handle);
+    return req.session.regenerate((err) => {
+      if (err) return next(err);
+      req.user = null;
+      next();
+    });
+  };
+}
@@ -0,0 +1,99 @@
+// security/session.test.js
+// Production session settings and the absolute timeout (sessionTimeouts / markSignedIn).
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { markSignedIn, sessionConfigFromEnv, sessionTimeouts } from './session.js';
+
+// just enough of an express-session request: regenerate() empties the session
+function signedInRequest(session = {}) {
+  const req = {
+    user: { provider: 'google', email: 'ann@example.com' },
+    session: {
+      ...session,
+      regenerate(cb) {
+        for (const key of Object.keys(req.session)) if (key !== 'regenerate') delete req.session[key];
+        req.regenerated = true;
+        cb();
+      }
+    }
+  };
+  return req;
+}
+
+function run(middleware, req) {
+  return new Promise((resolve, reject) => middleware(req, {}, (err) => (err ? reject(err) : resolve(req))));
+}
+
+describe('sessionConfigFromEnv', () => {
+  beforeEach(() => mock.method(console, 'warn', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  test('refuses placeholder or short secrets in production', () => {
+    for (const secret of [undefined, 'some_long_secret_here', 'short']) {
+      assert.throws(() => sessionConfigFromEnv({ NODE_ENV: 'production', SESSION_SECRET: secret }), /SESSION_SECRET/);
+    }
+  });
+
+  test('production: secure cookie and one trusted proxy hop', () => {
+    const config = sessionConfigFromEnv({ NODE_ENV: 'production', SESSION_SECRET: 'x'.repeat(40) });
+    assert.equal(config.cookie.secure, true);
+    assert.equal(config.cookie.httpOnly, true);
+    assert.equal(config.trustProxy, 1);
+  });
+
+  test('reads the timeouts', () => {
+    const config = sessionConfigFromEnv({ SESSION_IDLE_TIMEOUT_MS: '1000', SESSION_ABSOLUTE_TIMEOUT_MS: '5000' });
+    assert.equal(config.cookie.maxAge, 1000);
+    assert.equal(config.absoluteTimeoutMs, 5000);
+  });
+});
+
+describe('sessionTimeouts', () => {
+  let now;
+  const middleware = sessionTimeouts({ absoluteTimeoutMs: 10_000 });
+  beforeEach(() => {
+    now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+    mock.method(console, 'log', () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  test('markSignedIn stamps the sign-in time', () => {
+    const req = signedInRequest();
+    markSignedIn(req);
+    assert.equal(req.session.startedAt, now);
+  });
+
+  test('keeps a session until absoluteTimeoutMs after sign-in', async () => {
+    const req = signedInRequest({ startedAt: now });
+    now += 10_000;
+    await run(middleware, req);
+    assert.equal(req.regenerated, undefined);
+    assert.ok(req.user);
+  });
+
+  test('signs an older session out', async () => {
+    const req = signedInRequest({ startedAt: now, passport: { user: 'google:ann@example.com' } });
+    now += 10_001;
+    await run(middleware, req);
+    assert.equal(req.regenerated, true);
+    assert.equal(req.user, null);
+    assert.equal(req.session.passport, undefined);
+  });
+
+  test('treats a signed-in session without a sign-in time as expired', async () => {
+    const req = signedInRequest();
+    await run(middleware, req);
+    assert.equal(req.regenerated, true);
+    assert.equal(req.user, null);
+    assert.equal(req.session.startedAt, undefined);
+  });
+
+  test('leaves anonymous sessions alone', async () => {
+    const req = signedInRequest();
+    req.user = null;
+    await run(middleware, req);
+    assert.equal(req.regenerated, undefined);
+  });
+});
@@ -1,16 +1,31 @@
 // server.js (ESM)
-// Google OAuth + JSON file user DB (userdb.json) + UNIQ-ID flows (uniqid_users.json)
+// Google OAuth + UNIQ-ID flows, users kept in a pluggable store (storage/: JSON files, memory or SQLite)
 // Converted to ES module imports for projects using "type": "module" in package.json
 
 import express from 'express';
 import session from 'express-session';
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
-import fs from 'fs';
 import path from 'path';
 import bcrypt from 'bcrypt';
-import { pathToFileURL } from 'url';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import * as uniqSdk from './uniqid-sdk/uniqid-sdk.server.js';
+import { uniqAuth, sendUniqError, rotationProof } from './uniqid-sdk/uniqid-sdk.express.js';
+import { verifyProofRequest } from './uniqid-sdk/uniqid-sdk.passport.js';
+import { createRateLimiter, rateLimitAttempts, rateLimitConfigFromEnv, sendRateLimited } from './uniqid-sdk/uniqid-sdk.ratelimit.js';
+import {
+  createStore,
+  storeConfigFromEnv,
+  createSessionStore,
+  sessionStoreConfigFromEnv,
+  createAuditLog,
+  auditLogConfigFromEnv
+} from './storage/index.js';
+import { csrfProtection } from './security/csrf.js';
+import { markSignedIn, sessionConfigFromEnv, sessionTimeouts } from './security/session.js';
+import { createReceiptSigner, receiptConfigFromEnv } from './security/receipts.js';
+import { ADMIN_ROLES, adminConfigFromEnv, mayManage, requireAdmin, roleAllows } from './security/admin.js';
 
 dotenv.config();
 
@@ -31,163 +46,126 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
-// ----------------- JSON DB helper (Google users, original) -----------------
-const JSON_DB_PATH = path.resolve(__dirname, 'userdb.json');
-console.log('JSON DB path:', JSON_DB_PATH);
-
-// Ensure file exists
-function ensureDbFile() {
-  if (!fs.existsSync(JSON_DB_PATH)) {
-    fs.writeFileSync(JSON_DB_PATH, '[]', 'utf8');
-    console.log('Created new userdb.json');
-  }
+// Circuit artifacts for the in-browser prover (uniqid-sdk.browser.js fetches these)
+const POS_WASM_PATH = path.resolve(__dirname, process.env.POS_WASM_PATH || './uniqid-sdk/circuits/pos_prove_js/pos_prove.wasm');
+const POS_ZKEY_PATH = path.resolve(__dirname, process.env.POS_ZKEY_PATH || './uniqid-sdk/circuits/pos_prove_final.zkey');
+app.get('/uniqid-sdk/circuits/pos_prove.wasm', (req, res) => res.sendFile(POS_WASM_PATH));
+app.get('/uniqid-sdk/circuits/pos_prove_final.zkey', (req, res) => res.sendFile(POS_ZKEY_PATH));
+const MEMBERSHIP_WASM_PATH = path.resolve(__dirname, process.env.MEMBERSHIP_WASM_PATH || './uniqid-sdk/circuits/membership_js/membership.wasm');
+const MEMBERSHIP_ZKEY_PATH = path.resolve(__dirname, process.env.MEMBERSHIP_ZKEY_PATH || './uniqid-sdk/circuits/membership_final.zkey');
+app.get('/uniqid-sdk/circuits/membership.wasm', (req, res) => res.sendFile(MEMBERSHIP_WASM_PATH));
+app.get('/uniqid-sdk/circuits/membership_final.zkey', (req, res) => res.sendFile(MEMBERSHIP_ZKEY_PATH));
+
+// ----------------- User storage (storage/) -----------------
+// USER_STORE=json (default: userdb.json + uniqid_users.json), memory or sqlite (SQLITE_PATH).
+// All finders and mutators are async; mutations are atomic and enforce unique email / username / UNIQ nullifier.
+const store = await createStore(storeConfigFromEnv(process.env, __dirname));
+
+// ----------------- Audit log (storage/audit-log.js) -----------------
+// Append-only and hash-chained: signups, logins, logouts, links, deletions and UNIQ verification outcomes.
+// Emails, UNIQ handles and IPs are stored as salted hashes (AUDIT_SALT), never in the clear.
+// AUDIT_LOG=file (default: data/audit.log), sqlite, memory or off; `npm run audit:verify` checks the chain.
+const auditConfig = auditLogConfigFromEnv(process.env, __dirname);
+const auditLog = auditConfig ? await createAuditLog(auditConfig) : null;
+
+// Account key the audit log hashes: the Google email or the full UNIQ nullifier (the UQ- handle is
+// a 48-bit prefix for display, so two accounts could share it)
+function auditSubject(user) {
+  if (!user) return null;
+  return user.provider === 'uniq' ? `uniq:${user.nullifier}` : `google:${user.email}`;
 }
-ensureDbFile();
 
-// Load all users (synchronous for simplicity)
-function loadUsers() {
-  try {
-    const raw = fs.readFileSync(JSON_DB_PATH, 'utf8');
-    return JSON.parse(raw || '[]');
-  } catch (e) {
-    console.error('Failed to read userdb.json:', e);
-    return [];
-  }
+// Hashed account key, for entries that mention a second account (the other side of a link, a rotation)
+function auditRef(user) {
+  return auditLog ? auditLog.subjectHash(auditSubject(user)) : null;
 }
 
-// Save users array
-function saveUsers(users) {
-  try {
-    fs.writeFileSync(JSON_DB_PATH, JSON.stringify(users, null, 2), 'utf8');
-    return true;
-  } catch (e) {
-    console.error('Failed to write userdb.json:', e);
-    return false;
-  }
+// One entry per auth event; a failed write is logged and never fails the request.
+// Resolves to the stored entry (null when the log is off or the write failed).
+function audit(req, event, { provider, outcome = 'success', user, code, detail } = {}) {
+  if (!auditLog) return Promise.resolve(null);
+  return auditLog.record({
+    event,
+    provider: provider || (user ? user.provider : null),
+    outcome,
+    subject: auditSubject(user),
+    ip: req ? req.ip : null,
+    code,
+    detail
+  }).catch((err) => {
+    console.error('Audit log write failed:', err);
+    return null;
+  });
 }
 
-// Finders and mutators (Google/email users)
-function findByEmail(email) {
-  if (!email) return null;
-  const users = loadUsers();
-  return users.find(u => u.email.toLowerCase() === email.toLowerCase()) || null;
-}
-function findByUsername(username) {
-  if (!username) return null;
-  const users = loadUsers();
-  return users.find(u => u.username && u.username.toLowerCase() === username.toLowerCase()) || null;
-}
-function getNextId() {
-  const users = loadUsers();
-  if (!users.length) return 1;
-  return (users[users.length - 1].id || 0) + 1;
-}
-function addUser({ email, username, passwordHash, googleId }) {
-  const users = loadUsers();
-  if (findByEmail(email)) throw new Error('EmailExists');
-  if (findByUsername(username)) throw new Error('UsernameExists');
-
-  const newUser = {
-    id: getNextId(),
-    email,
-    username,
-    password: passwordHash,
-    googleId: googleId || null,
-    createdAt: new Date().toISOString()
-  };
-  users.push(newUser);
-  const ok = saveUsers(users);
-  if (!ok) throw new Error('WriteFailed');
-  return newUser;
-}
-function deleteUserByEmail(email) {
-  let users = loadUsers();
-  const before = users.length;
-  users = users.filter(u => u.email.toLowerCase() !== email.toLowerCase());
-  const after = users.length;
-  const ok = saveUsers(users);
-  return ok ? (before - after) : -1; // returns number of rows removed or -1 on failure
-}
-
-// ----------------- UNIQ users JSON (separate file) -----------------
-const UNIQ_DB_PATH = path.resolve(__dirname, 'uniqid_users.json');
-function ensureUniqDb() {
-  if (!fs.existsSync(UNIQ_DB_PATH)) {
-    fs.writeFileSync(UNIQ_DB_PATH, '[]', 'utf8');
-    console.log('Created new uniqid_users.json');
+// An account's audit entries: its own, the linked UNIQ-ID's, and those of the nullifiers a UNIQ
+// account had before each rotation (followed back through the rotate entries' `previous`)
+async function auditTrail(user) {
+  if (!auditLog) return [];
+  const entries = await auditLog.list();
+  const subjects = new Set([auditRef(user)]);
+  if (user.provider === 'google' && user.uniqNullifier) subjects.add(auditRef({ provider: 'uniq', nullifier: user.uniqNullifier }));
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const { event, outcome, subject, detail } = entries[i];
+    if (event === 'rotate' && outcome === 'success' && subjects.has(subject) && detail && detail.previous) subjects.add(detail.previous);
   }
+  return entries.filter((e) => subjects.has(e.subject));
 }
-ensureUniqDb();
 
-function loadUniqUsers() {
-  try {
-    const raw = fs.readFileSync(UNIQ_DB_PATH, 'utf8');
-    return JSON.parse(raw || '[]');
-  } catch (e) {
-    console.error('Failed to read uniqid_users.json:', e);
-    return [];
-  }
-}
-function saveUniqUsers(users) {
-  try {
-    fs.writeFileSync(UNIQ_DB_PATH, JSON.stringify(users, null, 2), 'utf8');
-    return true;
-  } catch (e) {
-    console.error('Failed to write uniqid_users.json:', e);
-    return false;
-  }
-}
-function findUniqById(uniqIdStr) {
-  if (!uniqIdStr) return null;
-  const arr = loadUniqUsers();
-  return arr.find(u => u.uniqId === uniqIdStr) || null;
-}
-function addUniqUser({ uniqId, username }) {
-  const arr = loadUniqUsers();
-  if (findUniqById(uniqId)) throw new Error('UniqExists');
-  const obj = {
-    uniqId,
-    username,
-    createdAt: new Date().toISOString()
-  };
-  arr.push(obj);
-  const ok = saveUniqUsers(arr);
-  if (!ok) throw new Error('WriteFailed');
-  return obj;
-}
-function deleteUniqById(uniqId) {
-  let arr = loadUniqUsers();
-  const before = arr.length;
-  arr = arr.filter(u => u.uniqId !== uniqId);
-  const after = arr.length;
-  const ok = saveUniqUsers(arr);
-  return ok ? (before - after) : -1;
-}
+// ----------------- Deletion receipts (security/receipts.js) -----------------
+// POST /delete answers with a receipt signed by RECEIPT_KEY_FILE (Ed25519, default data/receipt-key.pem,
+// generated on first boot outside production); GET /account/receipt-key serves the public key.
+const receiptSigner = await createReceiptSigner(receiptConfigFromEnv(process.env, __dirname));
 
 // ----------------- Session + Passport -----------------
+// NODE_ENV=production: requires a real SESSION_SECRET, secure cookies, trusts TRUST_PROXY (default 1 hop).
+// Passport regenerates the session ID on every req.login / req.logout (no session fixation).
+// Every req.logIn callback calls markSignedIn(req): the absolute timeout counts from that stamp.
+// Sessions live in SESSION_STORE=file (default: data/sessions.json), sqlite or memory, so a restart
+// keeps everyone signed in; each one is tagged with its owner for "sign out everywhere".
+const sessionConfig = sessionConfigFromEnv(process.env);
+if (sessionConfig.trustProxy !== undefined) app.set('trust proxy', sessionConfig.trustProxy);
+const sessionStore = await createSessionStore({
+  ...sessionStoreConfigFromEnv(process.env, __dirname),
+  ownerOf: sessionOwner
+});
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'dev_secret_change_me',
+  store: sessionStore,
+  secret: sessionConfig.secret,
   resave: false,
   saveUninitialized: false,
-  cookie: { httpOnly: true, secure: false, sameSite: 'lax' }
+  rolling: sessionConfig.rolling,
+  cookie: sessionConfig.cookie
 }));
 app.use(passport.initialize());
 app.use(passport.session());
+app.use(sessionTimeouts(sessionConfig));
+
+// Every POST (forms and fetch) must carry the session's CSRF token; views get it as `csrfToken`
+app.use(csrfProtection());
+
+// ----------------- Rate limiting -----------------
+// Failed signup / login attempts (UNIQ and Google) are counted per IP, per session and per verified
+// identity; too many lock the key out with exponential backoff and a 429 + Retry-After. Attempts still
+// running count against the limit too, so a parallel burst gets no more tries than a sequential one.
+// RATE_LIMIT=off disables it. Behind a reverse proxy set TRUST_PROXY (see above) so req.ip is the client.
+const rateLimitConfig = rateLimitConfigFromEnv(process.env);
+const rateLimiter = rateLimitConfig ? createRateLimiter(rateLimitConfig) : null;
 
 // Passport Google strategy
 passport.use(new GoogleStrategy({
   clientID: process.env.GOOGLE_CLIENT_ID,
   clientSecret: process.env.GOOGLE_CLIENT_SECRET,
   callbackURL: process.env.GOOGLE_CALLBACK || `http://localhost:${PORT}/auth/google/callback`
-}, (accessToken, refreshToken, profile, done) => {
+}, async (accessToken, refreshToken, profile, done) => {
   try {
     const email = profile?.emails?.[0]?.value;
     if (!email) return done(new Error('Google profile has no email'));
 
-    const existing = findByEmail(email);
+    const existing = await store.findUserByEmail(email);
     if (existing) {
       // existing user -> return the user object
-      return done(null, existing);
+      return done(null, sessionUser(existing, 'google'));
     }
 
     // not found -> return lightweight "new" object (do not persist yet)
@@ -202,135 +180,84 @@ passport.use(new GoogleStrategy({
   }
 }));
 
-// Serialize/deserialize by email
+// Serialize/deserialize both identity types: { provider: 'google', id: email } or { provider: 'uniq', id: nullifier }
+// req.user always carries `provider` so routes can tell the two apart
 passport.serializeUser((user, done) => {
+  if (user && user.provider === 'uniq') {
+    if (!user.nullifier) return done(new Error('serializeUser: missing nullifier'));
+    return done(null, { provider: 'uniq', id: user.nullifier });
+  }
   if (!user || !user.email) return done(new Error('serializeUser: missing email'));
-  done(null, user.email);
+  done(null, { provider: 'google', id: user.email });
 });
-passport.deserializeUser((email, done) => {
-  const user = findByEmail(email);
-  done(null, user || null);
-});
-
-// ----------------- Dynamic import of UNIQ SDK (server ESM) -----------------
-// The server expects an ESM module at uniqid-sdk/uniqid-sdk.server.js exporting verifyAndProve(email,deKey)
-// But SDK may export different function names (verifyProcess, checkkOnChain, etc.)
-// We'll normalize and support multiple candidate names.
-
-const sdkServerPath = path.join(__dirname, 'uniqid-sdk', 'uniqid-sdk.server.js');
-let sdkModule = null;
-let sdkLoaded = false;
+// Owner keys tag stored sessions: "google:<email>" or "uniq:<nullifier>", read from what serializeUser wrote
+function sessionOwner(sess) {
+  const key = sess && sess.passport && sess.passport.user;
+  if (!key) return null;
+  return typeof key === 'string' ? `google:${key}` : `${key.provider}:${key.id}`;
+}
+function userOwner(user) {
+  return user.provider === 'uniq' ? `uniq:${user.nullifier}` : `google:${user.email}`;
+}
 
-(async () => {
+passport.deserializeUser(async (key, done) => {
   try {
-    if (fs.existsSync(sdkServerPath)) {
-      const url = pathToFileURL(sdkServerPath).href;
-      const mod = await import(url);
-      // Keep either default or named exports
-      sdkModule = mod.default || mod;
-
-      // log available keys for debugging (you already saw this)
-      console.log('UNIQ SDK keys:', Object.keys(sdkModule || {}));
-
-      // Quick check: look for any known verifier / quick-check function names
-      const verifierCandidates = [
-        'verifyAndProve',
-        'verifyAndProveAsync',
-        'verify',
-        'verifyProcess',
-        'verify_process',
-        'verifyProof',
-        'verifyProofAsync'
-      ];
-      const quickCandidates = [
-        'onlyCheckOnChain',
-        'only_check_on_chain',
-        'checkRootOnChain',
-        'checkOnChain',
-        'checkkOnChain', // accomodate typo in your SDK
-        'checkRoot'
-      ];
-
-      const hasVerifier = verifierCandidates.some(n => typeof sdkModule[n] === 'function');
-      const hasQuick = quickCandidates.some(n => typeof sdkModule[n] === 'function');
-
-      if (hasVerifier || hasQuick) {
-        sdkLoaded = true;
-        console.log('✅ UNIQ SDK (server) loaded from', sdkServerPath);
-      } else {
-        console.warn('⚠️ UNIQ SDK loaded but does not expose verify/verifyProcess/onlyCheckOnChain. Module keys:', Object.keys(sdkModule || {}));
-      }
-    } else {
-      console.warn('⚠️ UNIQ SDK server file not found at', sdkServerPath, '— UNIQ endpoints will return errors until SDK server file is added (uniqid-sdk.server.js).');
-    }
-  } catch (err) {
-    console.error('Failed to load UNIQ SDK (server):', err);
+    // sessions written before UNIQ users went through passport hold a bare email
+    const { provider, id } = typeof key === 'string' ? { provider: 'google', id: key } : (key || {});
+    const stored = provider === 'uniq' ? await store.findUniqByNullifier(id) : await store.findUserByEmail(id);
+    // a disabled account (admin console) is signed out on its next request
+    if (stored && stored.disabledAt) return done(null, false);
+    done(null, sessionUser(stored, provider === 'uniq' ? 'uniq' : 'google'));
+  } catch (e) {
+    done(e);
   }
-})();
+});
 
-// Helper: pick first available function from sdkModule by name candidates
-function pickSdkFunction(moduleObj, candidates = []) {
-  if (!moduleObj) return null;
-  for (const name of candidates) {
-    if (typeof moduleObj[name] === 'function') return moduleObj[name];
-  }
-  // also try moduleObj itself if it's a function
-  if (typeof moduleObj === 'function') return moduleObj;
-  return null;
-}
+// ----------------- UNIQ SDK (server ESM) -----------------
+// uniqid-sdk/uniqid-sdk.server.js is imported statically and used only through
+// createUniqVerifier(); the version/shape check below stops the boot on a mismatch.
+const UNIQ_SDK_API_VERSION = 7;
 
-// Helper: normalize various verifier results into { uniqId, uniqIdString }
-function normalizeVerifierResult(result) {
-  if (!result) return null;
-
-  // If SDK returned a wrapper { success: true, ... } unwrap it
-  const r = (result && typeof result === 'object' && result.success === true && 'uniqId' in result) ? result : result;
-
-  // possible keys: uniqId (number/string), uniqIdString, uniqString, uniq_id, uniq_id_dec, uniq (various)
-  let uniqId = null;
-  let uniqIdString = null;
-
-  if (r.uniqId !== undefined && r.uniqId !== null) uniqId = Number(r.uniqId);
-  else if (r.uniq_id !== undefined && r.uniq_id !== null) {
-    // maybe string like "UNIQ-000007" or number
-    const s = String(r.uniq_id);
-    const m = s.match(/^UNIQ-(\d+)$/);
-    if (m) uniqId = Number(m[1]);
-    else if (/^\d+$/.test(s)) uniqId = Number(s);
-  } else if (r.uniqString !== undefined) {
-    // maybe UNIQ-000007
-    const s = String(r.uniqString);
-    const m = s.match(/^UNIQ-(\d+)$/);
-    if (m) uniqId = Number(m[1]);
-  } else if (r.uniqIdString) {
-    // maybe "UNIQ-7" or "UNIQ-000007" or number string
-    const s = String(r.uniqIdString);
-    const m = s.match(/^UNIQ-(\d+)$/);
-    if (m) uniqId = Number(m[1]);
-    else if (/^\d+$/.test(s)) uniqId = Number(s);
-  } else if (r.id !== undefined) {
-    // fallback
-    uniqId = Number(r.id);
-  } else if (typeof r === 'number') {
-    uniqId = r;
+function assertSdkContract(sdk) {
+  if (sdk.SDK_API_VERSION !== UNIQ_SDK_API_VERSION) {
+    throw new Error(`UNIQ SDK API version ${sdk.SDK_API_VERSION} does not match the expected version ${UNIQ_SDK_API_VERSION}`);
   }
-
-  // If we have a numeric uniqId, build the padded UNIQ-000000 string
-  if (!isNaN(uniqId) && uniqId > 0) {
-    uniqIdString = `UNIQ-${String(uniqId).padStart(6, '0')}`;
+  if (typeof sdk.createUniqVerifier !== 'function' || typeof sdk.UniqError !== 'function') {
+    throw new Error('UNIQ SDK does not export createUniqVerifier / UniqError');
   }
-
-  // If the SDK returned an explicit uniqIdString use it (prefer full string from SDK)
-  if (!uniqIdString && (r.uniqIdString || r.uniqString || r.uniq_id)) {
-    uniqIdString = r.uniqIdString || r.uniqString || r.uniq_id;
+  const verifier = sdk.createUniqVerifier({
+    // Scopes UNIQ nullifiers: the same person gets unrelated handles on sites with different names
+    site: process.env.UNIQ_SITE || 'localhost',
+    // The SDK never persists anything itself; the app decides what to do with verification events
+    auditSink: (event) => {
+      // event.registry: the deployment (chain + contract) that confirmed the root, with UNIQ_RESOLVER=multichain
+      const where = event.registry ? ` via ${event.registry.name} (chain ${event.registry.chainId}${event.registry.contractAddress ? `, ${event.registry.contractAddress}` : ''})` : '';
+      console.log(`UNIQ verification (${event.method}):`, event.success ? `ok ${event.handle}${where}` : `failed — ${event.reason}`);
+      audit(null, 'verify', {
+        provider: 'uniq',
+        outcome: event.success ? 'success' : 'failure',
+        user: event.success ? { provider: 'uniq', nullifier: event.nullifier } : null,
+        code: event.code,
+        detail: event.registry ? { registry: event.registry.name, chainId: event.registry.chainId } : null
+      });
+    }
+  });
+  const missing = ['verify', 'verifyRotation', 'resolveRoot', 'formatUniqId', 'parseUniqId', 'formatSiteHandle', 'createNonce', 'getTree', 'rootStatus'].filter(n => typeof verifier[n] !== 'function');
+  if (verifier.version !== UNIQ_SDK_API_VERSION || missing.length) {
+    throw new Error(`UNIQ SDK verifier does not match API v${UNIQ_SDK_API_VERSION}` + (missing.length ? ` (missing: ${missing.join(', ')})` : ''));
   }
+  return verifier;
+}
 
-  // final fallback: if result contains leaf / leafBytes32 etc, we still return the result
-  return {
-    uniqId: uniqId || null,
-    uniqIdString: uniqIdString || null,
-    raw: r
-  };
+const uniqVerifier = assertSdkContract(uniqSdk);
+console.log(`✅ UNIQ SDK (server) loaded, API v${uniqVerifier.version}, site "${uniqVerifier.site}"`);
+
+// Stored record -> req.user; UNIQ nullifiers are shown through their short site handle
+function sessionUser(stored, provider) {
+  if (!stored) return null;
+  if (provider === 'uniq') return { ...stored, provider, handle: uniqVerifier.formatSiteHandle(stored.nullifier) };
+  const uniqHandle = stored.uniqNullifier ? uniqVerifier.formatSiteHandle(stored.uniqNullifier) : null;
+  return { ...stored, provider, uniqHandle };
 }
 
 // ----------------- Routes -----------------
@@ -340,8 +267,12 @@ app.get('/', (req, res) => res.redirect('/login'));
 
 // Serve UNIQ login/signup page (route user clicks "Continue with UNIQ")
 app.get('/uniq', (req, res) => {
-  // renders views/login-signup-uniq.ejs
-  return res.render('login-signup-uniq');
+  // renders views/login-signup-uniq.ejs; ?link=1 switches it to "prove to link" for a signed-in user,
+  // ?rotate=1 to "prove your old and new DeKey" for a UNIQ user or a Google user with a linked UNIQ-ID
+  const linkMode = req.query.link === '1' && !!req.user;
+  const rotateMode = !linkMode && req.query.rotate === '1' && !!req.user && (req.user.provider === 'uniq' || !!req.user.uniqNullifier);
+  const rotateUrl = rotateMode && req.user.provider === 'google' ? '/api/uniq/link' : '/api/uniq/rotate';
+  return res.render('login-signup-uniq', { linkMode, rotateMode, rotateUrl });
 });
 
 // login page
@@ -356,25 +287,62 @@ app.get('/auth/google', (req, res, next) => {
 
 // callback
 app.get('/auth/google/callback', (req, res, next) => {
-  passport.authenticate('google', (err, user /* possibly lightweight */) => {
+  passport.authenticate('google', async (err, user /* possibly lightweight */) => {
     if (err) {
       console.error('Passport auth error:', err);
+      audit(req, 'login', { provider: 'google', outcome: 'failure', code: 'OAUTH_ERROR' });
       return res.redirect('/login?error=auth');
     }
     if (!user) {
       console.warn('Passport returned no user');
+      audit(req, 'login', { provider: 'google', outcome: 'failure', code: 'OAUTH_NO_USER' });
       return res.redirect('/login?error=nouser');
     }
+    // disabled from the admin console: no login, and no linking into it either
+    if (user.disabledAt) {
+      audit(req, 'login', { user, outcome: 'failure', code: 'ACCOUNT_DISABLED' });
+      return res.redirect('/login?error=disabled');
+    }
 
-    // If user.isNew (lightweight), do NOT login — prompt for username+password
+    // UNIQ user finishing "link a Google account": proof was checked by /api/uniq/link
+    const pendingLink = req.session.pendingUniqLink;
+    delete req.session.pendingUniqLink;
+    if (pendingLink) {
+      if (Date.now() > pendingLink.expiresAt) return res.redirect('/uniq-dashboard?linkError=expired');
+      if (user.isNew) return res.redirect('/uniq-dashboard?linkError=no-google-account');
+      if (user.uniqNullifier && user.uniqNullifier !== pendingLink.nullifier) return res.redirect('/uniq-dashboard?linkError=google-already-linked');
+      let linked;
+      try {
+        linked = await store.setUserUniqNullifier(user.email, pendingLink.nullifier);
+      } catch (e) {
+        console.error('Linking UNIQ ID failed:', e && e.message);
+        return res.redirect('/uniq-dashboard?linkError=' + (e.message === 'UniqAlreadyLinked' ? 'uniq-already-linked' : 'failed'));
+      }
+      return req.logIn(sessionUser(linked, 'google'), (loginErr) => {
+        if (loginErr) {
+          console.error('req.logIn error:', loginErr);
+          return res.redirect('/login?error=loginfail');
+        }
+        markSignedIn(req);
+        console.log('Linked', pendingLink.handle, 'to', linked.email);
+        audit(req, 'link', { user: sessionUser(linked, 'google'), detail: { uniq: auditRef({ provider: 'uniq', nullifier: pendingLink.nullifier }) } });
+        return res.redirect('/dashboard');
+      });
+    }
+
+    // If user.isNew (lightweight), do NOT login — prompt for username+password.
+    // The verified Google identity goes into a fresh session, like a login would.
     if (user.isNew) {
-      req.session.tempGoogle = {
-        email: user.email,
-        googleId: user.googleId,
-        displayName: user.displayName || ''
-      };
-      console.log('tempGoogle saved for:', req.session.tempGoogle.email);
-      return res.redirect('/signup');
+      return req.session.regenerate((regenErr) => {
+        if (regenErr) return next(regenErr);
+        req.session.tempGoogle = {
+          email: user.email,
+          googleId: user.googleId,
+          displayName: user.displayName || ''
+        };
+        console.log('tempGoogle saved for:', req.session.tempGoogle.email);
+        return res.redirect('/signup');
+      });
     }
 
     // existing user -> log in and redirect to dashboard
@@ -383,7 +351,9 @@ app.get('/auth/google/callback', (req, res, next) => {
         console.error('req.logIn error:', loginErr);
         return res.redirect('/login?error=loginfail');
       }
+      markSignedIn(req);
       console.log('Logged in existing user:', user.email);
+      audit(req, 'login', { user });
       return res.redirect('/dashboard');
     });
   })(req, res, next);
@@ -399,21 +369,29 @@ app.get('/signup', (req, res) => {
   res.render('signup', { email: tmp.email, displayName: tmp.displayName || '' });
 });
 
-// handle signup (POST)
-app.post('/signup', (req, res) => {
+// handle signup (POST); the Google email (verified by the OAuth callback) is the identity for rate limiting
+const limitGoogleSignup = rateLimitAttempts(rateLimiter, { identity: (req) => req.session.tempGoogle && req.session.tempGoogle.email });
+app.post('/signup', limitGoogleSignup, async (req, res) => {
   const tmp = req.session.tempGoogle;
   if (!tmp) return res.redirect('/login');
 
   const { username, password } = req.body;
   if (!username || !password) return res.status(400).send('Username & password required');
 
-  // Validate uniqueness
-  if (findByEmail(tmp.email)) {
-    delete req.session.tempGoogle;
-    return res.status(400).send('Email already exists. Please login.');
-  }
-  if (findByUsername(username)) {
-    return res.status(400).send('Username already taken. Choose another.');
+  // Validate uniqueness (the store enforces it again when inserting)
+  try {
+    if (await store.findUserByEmail(tmp.email)) {
+      delete req.session.tempGoogle;
+      audit(req, 'signup', { user: { provider: 'google', email: tmp.email }, outcome: 'failure', code: 'EMAIL_EXISTS' });
+      return res.status(400).send('Email already exists. Please login.');
+    }
+    if (await store.findUserByUsername(username)) {
+      audit(req, 'signup', { user: { provider: 'google', email: tmp.email }, outcome: 'failure', code: 'USERNAME_TAKEN' });
+      return res.status(400).send('Username already taken. Choose another.');
+    }
+  } catch (e) {
+    console.error('User lookup failed:', e);
+    return res.status(500).send('Server error');
   }
 
   // Hash password
@@ -427,7 +405,7 @@ app.post('/signup', (req, res) => {
 
   // Create user
   try {
-    const newUser = addUser({
+    const newUser = await store.addUser({
       email: tmp.email,
       username,
       passwordHash: hash,
@@ -440,7 +418,9 @@ app.post('/signup', (req, res) => {
         console.error('Login after signup failed:', loginErr);
         return res.status(500).send('Login after signup failed');
       }
+      markSignedIn(req);
       console.log('Signed up and logged in:', newUser.email);
+      audit(req, 'signup', { user: { provider: 'google', email: newUser.email } });
       return res.redirect('/dashboard');
     });
   } catch (e) {
@@ -453,290 +433,492 @@ app.post('/signup', (req, res) => {
 
 // ========== UNIQ endpoints ==========
 
-// UNIQ Signup (server verifies root & proof via SDK, stores only uniqId + username)
-app.post('/api/uniq/signup', async (req, res) => {
-  try {
-    if (!sdkLoaded || !sdkModule) {
-      return res.status(500).json({ error: 'UNIQ SDK not loaded on server' });
-    }
+// The page builds the Groth16 membership proof in the browser (uniqid-sdk.browser.js) against the
+// registry tree from GET /api/uniq/tree, so these endpoints only ever receive { proof, publicSignals, nonce }
+// — never the email, the DeKey or which registered leaf is the user's.
+// GET /api/uniq/challenge|tree, POST /api/uniq/signup|login|logout and GET /api/uniq/me come from the SDK router;
+// it stores only { nullifier, username, createdAt } in the UNIQ users store: the nullifier is scoped
+// to UNIQ_SITE, so another site's user table cannot be joined with ours.
+// A UNIQ ID linked to a Google account logs in to that Google account; a disabled account answers ACCOUNT_DISABLED.
+async function findUniqAccount(nullifier) {
+  const linked = await store.findUserByUniqNullifier(nullifier);
+  const found = linked ? sessionUser(linked, 'google') : await store.findUniqByNullifier(nullifier);
+  if (found && found.disabledAt) throw new uniqSdk.UniqError('ACCOUNT_DISABLED');
+  return found;
+}
 
-    // Candidate names for verifier (heavy proof + on-chain check) and quick on-chain-only check
-    const verifierCandidates = [
-      'verifyAndProve',
-      'verifyAndProveAsync',
-      'verify',
-      'verifyProcess',
-      'verify_process',
-      'verifyProof'
-    ];
-    const quickCandidates = [
-      'onlyCheckOnChain',
-      'only_check_on_chain',
-      'checkRootOnChain',
-      'checkOnChain',
-      'checkkOnChain', // tolerate typo
-      'checkRoot'
-    ];
-
-    const verifier = pickSdkFunction(sdkModule, verifierCandidates);
-    const quickCheck = pickSdkFunction(sdkModule, quickCandidates);
-
-    if (!verifier && !quickCheck) {
-      return res.status(500).json({ error: 'UNIQ SDK loaded but verification functions missing' });
-    }
+// POST /api/uniq/rotate: after a DeKey rotation the new credential (same UNIQ-ID, checked by the SDK)
+// carries a new nullifier; the account, and a Google link made from it, move over. Sessions still
+// holding the old nullifier stop deserializing, i.e. they are signed out.
+async function rotateUniqAccount(oldNullifier, newNullifier) {
+  if (await store.findUserByUniqNullifier(newNullifier)) throw new Error('UniqExists');
+  const rotated = await store.rotateUniqNullifier(oldNullifier, newNullifier);
+  const linked = await store.findUserByUniqNullifier(oldNullifier);
+  if (linked) await store.setUserUniqNullifier(linked.email, newNullifier);
+  return rotated;
+}
 
-    const { uniqId, email, deKey, username } = req.body;
-    if (!uniqId || !email || !deKey || !username) return res.status(400).json({ error: 'Missing fields' });
-
-    // 1) call SDK to verify & produce proof (also checks chain rootToId) — prefer verifier, else quickCheck
-    let rawResult;
-    try {
-      if (typeof verifier === 'function') {
-        rawResult = await verifier(email, deKey);
-      } else if (typeof quickCheck === 'function') {
-        rawResult = await quickCheck(email, deKey);
-      } else {
-        throw new Error('No verifier function available');
+const uniqRouter = uniqAuth({
+  verifier: uniqVerifier,
+  passport, // UNIQ users sign in through the "uniq" strategy, so req.user is set for both providers
+  store: { findByNullifier: findUniqAccount, create: (user) => store.addUniqUser(user), rotate: rotateUniqAccount },
+  rateLimit: rateLimiter || false, // one limiter for the whole app, so IP / session budgets are shared
+  // audit trail; a UNIQ login into a linked Google account is recorded under the Google account
+  onSignup: (user, req) => audit(req, 'signup', { user }),
+  onLogin: (user, req) => audit(req, 'login', { user, detail: user.provider === 'uniq' ? null : { via: 'uniq' } }),
+  onLogout: (user, req) => audit(req, 'logout', { user }),
+  onRotate: (user, req, { previousNullifier }) => audit(req, 'rotate', {
+    user,
+    detail: { previous: auditRef({ provider: 'uniq', nullifier: previousNullifier }) }
+  }),
+  onFailure: ({ action, code }, req) => audit(req, action, { provider: 'uniq', outcome: 'failure', code, user: action === 'rotate' ? req.user : null }),
+  challengeTtlMs: parseInt(process.env.UNIQ_CHALLENGE_TTL_MS, 10) || undefined
+});
+app.use('/api/uniq', uniqRouter);
+
+// ----------------- Account linking (Google <-> UNIQ) -----------------
+// Both directions need a fresh proof made on /uniq?link=1:
+// - Google user: the proven UNIQ ID is linked to the account right away
+// - UNIQ user: the proof must be for the signed-in UNIQ ID; the link completes after Google sign-in
+// A linked Google user whose DeKey was rotated proves the old and the new DeKey on /uniq?rotate=1
+// (body.previous, same checks as POST /api/uniq/rotate) and the link moves to the new credential.
+const UNIQ_LINK_TTL_MS = 5 * 60 * 1000;
+const UNIQ_LINK_ERRORS = {
+  expired: 'Linking took too long. Please try again.',
+  'no-google-account': 'No account on this site uses that Google login yet. Sign up with Google first, then link your UNIQ-ID from its dashboard.',
+  'google-already-linked': 'That Google account is already linked to another UNIQ-ID.',
+  'uniq-already-linked': 'This UNIQ-ID is already linked to another Google account.',
+  failed: 'Linking failed. Please try again.'
+};
+
+const limitUniqLink = rateLimitAttempts(rateLimiter, { identity: (req) => req.user && (req.user.email || req.user.nullifier) });
+// failures use the same { success: false, code, error } envelope as the uniqAuth() routes
+app.post('/api/uniq/link', limitUniqLink, uniqRouter.trackProgress, async (req, res) => {
+  try {
+    if (!req.user) return sendUniqError(res, 'NOT_SIGNED_IN', { message: 'Sign in before linking accounts' });
+    const rotating = req.user.provider === 'google' && !!req.user.uniqNullifier && !!(req.body && req.body.previous);
+
+    const outcome = await verifyProofRequest(req, uniqVerifier, rotating ? { verify: rotationProof(uniqVerifier) } : {});
+    if (outcome.retryAfterMs) return sendRateLimited(res, outcome);
+    if (!outcome.verified) return sendUniqError(res, outcome.code, { status: outcome.status, message: outcome.error });
+    const { nullifier, handle } = outcome.verified;
+
+    // stages still open when an error is sent are reported failed with its code
+    req.uniqProgress.start('account');
+    if (rotating) {
+      const previous = req.user.uniqNullifier;
+      if (outcome.verified.previousNullifier !== previous) {
+        return sendUniqError(res, 'ID_MISMATCH', { message: 'The old DeKey you proved is not the linked UNIQ-ID\'s credential' });
       }
-    } catch (err) {
-      console.error('SDK verification failed:', err && (err.message || err));
-      // If the SDK threw an error that includes human-friendly reason, return that
-      const msg = err && (err.message || err.toString()) ? (err.message || err.toString()) : 'Verification failed';
-      return res.status(400).json({ error: msg });
-    }
-
-    const normalized = normalizeVerifierResult(rawResult);
-
-    // If normalization could not find uniqId/uniqIdString, but SDK result might include direct numeric id
-    if ((!normalized || (!normalized.uniqId && !normalized.uniqIdString))) {
-      // As a last attempt, try to interpret root->id from rawResult.raw if present
-      console.warn('SDK returned result but no uniqId detected. SDK raw result:', rawResult);
-      return res.status(500).json({ error: 'Verification did not return uniqId' });
-    }
-
-    // serverUniqString computed from normalized result
-    const serverUniqString = normalized.uniqIdString || (normalized.uniqId ? `UNIQ-${String(normalized.uniqId).padStart(6, '0')}` : null);
-
-    if (!serverUniqString) {
-      return res.status(500).json({ error: 'Could not determine server-side UNIQ string from verification result' });
+      if (nullifier === previous) return sendUniqError(res, 'SAME_CREDENTIAL');
+      if (await store.findUniqByNullifier(nullifier)) return sendUniqError(res, 'CREDENTIAL_IN_USE');
+      try {
+        // a UNIQ account of the same credential (from before linking) moves along with the link
+        if (await store.findUniqByNullifier(previous)) await rotateUniqAccount(previous, nullifier);
+        else await store.setUserUniqNullifier(req.user.email, nullifier);
+      } catch (e) {
+        if (e.message === 'UniqExists' || e.message === 'UniqAlreadyLinked') return sendUniqError(res, 'CREDENTIAL_IN_USE');
+        throw e;
+      }
+      req.uniqProgress.ok('account', { rotated: true });
+      console.log('Moved the UNIQ link of', req.user.email, 'from', req.user.uniqHandle, 'to', handle);
+      audit(req, 'rotate', { user: req.user, detail: { previous: auditRef({ provider: 'uniq', nullifier: previous }) } });
+      return res.json({ success: true, handle, previousHandle: req.user.uniqHandle, redirect: '/dashboard' });
     }
-
-    // 2) ensure client-sent uniqId matches server verified uniqIdString
-    // Client may send either the numeric "7" or "UNIQ-000007" — tolerate both forms
-    const clientSent = String(uniqId).trim();
-    const clientNormalized = (m => {
-      const mm = String(m || '').trim();
-      const mmMatch = mm.match(/^UNIQ-(\d+)$/);
-      if (mmMatch) return `UNIQ-${String(mmMatch[1]).padStart(6, '0')}`;
-      if (/^\d+$/.test(mm)) return `UNIQ-${String(Number(mm)).padStart(6, '0')}`;
-      return mm;
-    })(clientSent);
-
-    if (clientNormalized !== serverUniqString) {
-      return res.status(400).json({ error: 'UNIQ ID mismatch', server: serverUniqString, client: clientNormalized });
+    if (req.user.provider === 'google') {
+      if (req.user.uniqNullifier && req.user.uniqNullifier !== nullifier) return sendUniqError(res, 'ALREADY_LINKED');
+      try {
+        await store.setUserUniqNullifier(req.user.email, nullifier);
+      } catch (e) {
+        if (e.message === 'UniqAlreadyLinked') return sendUniqError(res, 'LINKED_ELSEWHERE', { message: UNIQ_LINK_ERRORS['uniq-already-linked'] });
+        throw e;
+      }
+      req.uniqProgress.ok('account', { linked: true });
+      console.log('Linked', handle, 'to', req.user.email);
+      audit(req, 'link', { user: req.user, detail: { uniq: auditRef({ provider: 'uniq', nullifier }) } });
+      return res.json({ success: true, handle, redirect: '/dashboard' });
     }
 
-    // 3) store only { uniqId, username, createdAt } in uniqid_users.json
-    try {
-      if (findUniqById(serverUniqString)) {
-        return res.status(400).json({ error: 'UNIQ ID already registered on this site' });
-      }
-      const saved = addUniqUser({ uniqId: serverUniqString, username });
-      // create a session for this UNIQ user (store in session)
-      req.session.uniqUser = { uniqId: saved.uniqId, username: saved.username };
-      return res.json({ success: true, uniqId: saved.uniqId, username: saved.username });
-    } catch (e) {
-      console.error('Saving UNIQ user failed:', e);
-      if (e.message === 'UniqExists') return res.status(400).json({ error: 'UNIQ ID already registered' });
-      return res.status(500).json({ error: 'Failed to register UNIQ user' });
+    if (nullifier !== req.user.nullifier) {
+      return sendUniqError(res, 'ID_MISMATCH', { message: 'Prove the UNIQ-ID you are signed in with' });
     }
+    req.session.pendingUniqLink = { nullifier, handle, expiresAt: Date.now() + UNIQ_LINK_TTL_MS };
+    req.uniqProgress.ok('account');
+    return res.json({ success: true, handle, redirect: '/auth/google' });
   } catch (err) {
-    console.error('UNIQ signup error:', err);
-    return res.status(500).json({ error: err.message || 'Server error' });
+    console.error('UNIQ link error:', err);
+    return sendUniqError(res, 'INTERNAL_ERROR');
   }
 });
 
-// UNIQ Login (verify via SDK, ensure uniqId exists in uniqid_users.json, create session)
-app.post('/api/uniq/login', async (req, res) => {
+// Unlink: the UNIQ ID goes back to its own UNIQ account (if it has one)
+app.post('/account/unlink-uniq', async (req, res) => {
+  if (!req.user || req.user.provider !== 'google') return res.status(401).send('Not logged in');
+  if (!req.user.uniqNullifier) return res.redirect('/dashboard');
   try {
-    if (!sdkLoaded || !sdkModule) {
-      return res.status(500).json({ error: 'UNIQ SDK not loaded on server' });
-    }
-
-    const verifierCandidates = [
-      'verifyAndProve',
-      'verifyAndProveAsync',
-      'verify',
-      'verifyProcess',
-      'verify_process'
-    ];
-    const quickCandidates = [
-      'onlyCheckOnChain',
-      'only_check_on_chain',
-      'checkRootOnChain',
-      'checkOnChain',
-      'checkkOnChain',
-      'checkRoot'
-    ];
-
-    const verifier = pickSdkFunction(sdkModule, verifierCandidates);
-    const quickCheck = pickSdkFunction(sdkModule, quickCandidates);
-
-    if (!verifier && !quickCheck) {
-      return res.status(500).json({ error: 'UNIQ SDK loaded but verification functions missing' });
-    }
-
-    const { uniqId, email, deKey } = req.body;
-    if (!uniqId || !email || !deKey) return res.status(400).json({ error: 'Missing fields' });
-
-    // ensure uniqId exists in our site DB
-    const found = findUniqById(String(uniqId).startsWith('UNIQ-') ? uniqId : (String(uniqId).match(/^\d+$/) ? `UNIQ-${String(Number(uniqId)).padStart(6,'0')}` : uniqId));
-    if (!found) return res.status(404).json({ error: 'UNIQ ID not registered on this site. Please sign up first.' });
-
-    // verify proof & chain via SDK
-    let rawResult;
-    try {
-      if (typeof verifier === 'function') {
-        rawResult = await verifier(email, deKey);
-      } else if (typeof quickCheck === 'function') {
-        rawResult = await quickCheck(email, deKey);
-      } else {
-        throw new Error('No verifier function available');
-      }
-    } catch (err) {
-      console.error('SDK verification failed:', err && (err.message || err));
-      const msg = err && (err.message || err.toString()) ? (err.message || err.toString()) : 'Verification failed';
-      return res.status(400).json({ error: msg });
-    }
-
-    const normalized = normalizeVerifierResult(rawResult);
-    if ((!normalized || (!normalized.uniqId && !normalized.uniqIdString))) {
-      console.warn('SDK returned result but no uniqId detected for login. SDK raw result:', rawResult);
-      return res.status(500).json({ error: 'Verification did not return uniqId' });
-    }
-
-    const serverUniqString = normalized.uniqIdString || (normalized.uniqId ? `UNIQ-${String(normalized.uniqId).padStart(6, '0')}` : null);
-
-    // compare with client sent uniqId (tolerate numeric or UNIQ- format)
-    const clientNormalized = (m => {
-      const mm = String(m || '').trim();
-      const mmMatch = mm.match(/^UNIQ-(\d+)$/);
-      if (mmMatch) return `UNIQ-${String(mmMatch[1]).padStart(6, '0')}`;
-      if (/^\d+$/.test(mm)) return `UNIQ-${String(Number(mm)).padStart(6, '0')}`;
-      return mm;
-    })(uniqId);
-
-    if (clientNormalized !== serverUniqString) {
-      return res.status(400).json({ error: 'Verification mismatch', server: serverUniqString, client: clientNormalized });
-    }
-
-    // success — set session
-    req.session.uniqUser = { uniqId: found.uniqId, username: found.username };
-    return res.json({ success: true, uniqId: found.uniqId, username: found.username });
-  } catch (err) {
-    console.error('UNIQ login error:', err);
-    return res.status(500).json({ error: err.message || 'Server error' });
+    await store.setUserUniqNullifier(req.user.email, null);
+  } catch (e) {
+    console.error('Unlinking UNIQ ID failed:', e && e.message);
+    return res.status(500).send('Unlink error');
   }
+  console.log('Unlinked', req.user.uniqHandle, 'from', req.user.email);
+  audit(req, 'unlink', { user: req.user, detail: { uniq: auditRef({ provider: 'uniq', nullifier: req.user.uniqNullifier }) } });
+  return res.redirect('/dashboard');
 });
 
 // ========== rest of your routes ==========
 
 // dashboard - Google users only
 app.get('/dashboard', (req, res) => {
-  if (req.user) {
+  if (req.user && req.user.provider === 'google') {
     return res.render('dashboard', { user: req.user });
   }
   // If an UNIQ user tries /dashboard, redirect them to the UNIQ dashboard
-  if (req.session && req.session.uniqUser) {
+  if (req.user && req.user.provider === 'uniq') {
     return res.redirect('/uniq-dashboard');
   }
   return res.redirect('/login');
 });
 
-// UNIQ dashboard (separate view)
-app.get('/uniq-dashboard', (req, res) => {
-  if (!req.session || !req.session.uniqUser) {
-    return res.redirect('/uniq');
-  }
-
-  // Find createdAt in uniq DB if possible
-  const stored = findUniqById(req.session.uniqUser.uniqId);
+// UNIQ dashboard (separate view); a UNIQ login into a linked Google account lands on /dashboard
+app.get('/uniq-dashboard', (req, res, next) => {
+  if (req.user && req.user.provider === 'google') return res.redirect('/dashboard');
+  next();
+}, uniqRouter.requireUniqUser({ redirectTo: '/uniq' }), (req, res) => {
   const user = {
-    username: req.session.uniqUser.username,
-    uniqId: req.session.uniqUser.uniqId,
-    createdAt: stored ? stored.createdAt : null
+    username: req.uniqUser.username,
+    handle: req.uniqUser.handle,
+    createdAt: req.uniqUser.createdAt || null,
+    rotatedAt: req.uniqUser.rotatedAt || null
   };
+  const linkError = UNIQ_LINK_ERRORS[req.query.linkError] || null;
 
-  return res.render('uniq-dashboard', { user });
+  return res.render('uniq-dashboard', { user, linkError });
 });
 
-// delete account (unified): deletes passport user OR uniq user depending on session
-app.post('/delete', (req, res) => {
-  // Passport user deletion (by email)
-  if (req.user && req.user.email) {
-    const removed = deleteUserByEmail(req.user.email);
-    if (removed === -1) {
-      console.error('Failed to remove user from JSON DB');
-      return res.status(500).send('Delete error');
-    }
-    console.log('Deleted passport user rows:', removed, 'email:', req.user.email);
-    req.logout((err) => {
-      if (err) console.error('Logout error after delete:', err);
-      // redirect to public index for both flows per your request
-      req.session.destroy(() => res.redirect('/index.html'));
-    });
-    return;
+// ----------------- Your data: export and erasure -----------------
+// GET /account/export: everything this site keeps about the signed-in account, as a JSON download.
+// POST /delete: erases the account record and every session of it, then answers with a signed receipt.
+// Audit entries stay (append-only, and they name the account only by a salted hash); the receipt says so.
+
+// what the site never has, per account type; part of the export so the difference is on record
+const NOT_STORED = {
+  google: [
+    'Google access or refresh tokens',
+    'your Google display name or profile',
+    'IP addresses (audit entries keep a salted hash)'
+  ],
+  uniq: [
+    'your email address',
+    'your UNIQ-ID number or registry leaf',
+    'your DeKey or paraphrase',
+    'anything that links you to this UNIQ-ID on other sites (the nullifier is scoped to this site)',
+    'IP addresses (audit entries keep a salted hash)'
+  ]
+};
+
+// Stored record as kept by the store; the password hash is reported, not handed out
+async function storedAccount(user) {
+  if (user.provider === 'uniq') {
+    const stored = await store.findUniqByNullifier(user.nullifier);
+    return stored && { ...stored, handle: uniqVerifier.formatSiteHandle(stored.nullifier) };
+  }
+  const stored = await store.findUserByEmail(user.email);
+  if (!stored) return null;
+  const { password, ...record } = stored;
+  return {
+    ...record,
+    password: password ? 'bcrypt hash (not exported)' : null,
+    uniqHandle: stored.uniqNullifier ? uniqVerifier.formatSiteHandle(stored.uniqNullifier) : null
+  };
+}
+
+// Live sessions of the account; session ids are credentials, so only a short hash of each is shown
+async function accountSessions(req) {
+  const rows = await sessionStore.listByOwner(userOwner(req.user));
+  return rows.map(({ sid, sess, expires }) => ({
+    id: crypto.createHash('sha256').update(sid).digest('hex').slice(0, 12),
+    current: sid === req.sessionID,
+    signedInAt: sess.startedAt ? new Date(sess.startedAt).toISOString() : null,
+    expiresAt: new Date(expires).toISOString()
+  }));
+}
+
+app.get('/account/export', async (req, res) => {
+  if (!req.user) return res.status(401).send('Not logged in');
+  try {
+    const data = {
+      exportedAt: new Date().toISOString(),
+      site: uniqVerifier.site,
+      provider: req.user.provider,
+      account: await storedAccount(req.user),
+      sessions: await accountSessions(req),
+      audit: {
+        subject: auditRef(req.user),
+        entries: await auditTrail(req.user)
+      },
+      notStored: NOT_STORED[req.user.provider]
+    };
+    audit(req, 'export', { user: req.user });
+    res.set('Cache-Control', 'no-store');
+    res.attachment(`gourmet-pizza-${req.user.provider}-account-${data.exportedAt.slice(0, 10)}.json`);
+    return res.send(JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.error('Data export failed:', e);
+    return res.status(500).send('Export error');
   }
+});
 
-  // UNIQ user deletion
-  if (req.session && req.session.uniqUser) {
-    const uniqId = req.session.uniqUser.uniqId;
-    const removed = deleteUniqById(uniqId);
-    if (removed === -1) {
-      console.error('Failed to remove UNIQ user from uniq DB');
-      return res.status(500).send('Delete error');
+// The key deletion receipts are signed with (PEM), for `npm run receipt:verify -- receipt.json --key <file>`
+app.get('/account/receipt-key', (req, res) => {
+  res.set('X-Receipt-Key-Id', receiptSigner.keyId);
+  return res.type('application/x-pem-file').send(receiptSigner.publicKeyPem);
+});
+
+// delete account (unified): deletes the Google or UNIQ user behind req.user and all of its sessions;
+// JSON clients get { success, receipt }, forms a page showing the receipt
+app.post('/delete', async (req, res, next) => {
+  if (!req.user) return res.status(401).send('Not logged in');
+
+  const user = req.user;
+  let removed;
+  let sessions;
+  try {
+    if (user.provider === 'uniq') {
+      removed = await store.deleteUniqByNullifier(user.nullifier);
+      console.log('Deleted UNIQ user rows:', removed, 'handle:', user.handle);
+    } else {
+      removed = await store.deleteUserByEmail(user.email);
+      console.log('Deleted passport user rows:', removed, 'email:', user.email);
     }
-    console.log('Deleted UNIQ user rows:', removed, 'uniqId:', uniqId);
-    // destroy uniq session and redirect to public index
-    delete req.session.uniqUser;
-    req.session.destroy(() => res.redirect('/index.html'));
-    return;
+    sessions = await sessionStore.destroyByOwner(userOwner(user));
+  } catch (e) {
+    console.error('Failed to remove user from store:', e);
+    audit(req, 'delete', { user, outcome: 'failure', code: 'STORE_ERROR' });
+    return res.status(500).send('Delete error');
   }
 
-  // nothing to delete
-  return res.status(401).send('Not logged in');
+  const entry = await audit(req, 'delete', { user, detail: { rows: removed, sessions } });
+  const receipt = receiptSigner.sign({
+    site: uniqVerifier.site,
+    provider: user.provider,
+    subject: auditRef(user),
+    erased: { accountRecords: removed, sessions },
+    retained: {
+      auditEntries: (await auditTrail(user)).length,
+      reason: 'append-only security log; entries name the account only by the salted hash in `subject`'
+    },
+    audit: entry ? { seq: entry.seq, hash: entry.hash } : null
+  });
+
+  req.logout((err) => {
+    if (err) console.error('Logout error after delete:', err);
+    // render before the session goes: views read the CSRF token from it
+    res.format({
+      json: () => req.session.destroy(() => res.json({ success: true, receipt })),
+      default: () => res.render('deleted', { receipt }, (renderErr, html) => {
+        req.session.destroy(() => (renderErr ? next(renderErr) : res.send(html)));
+      })
+    });
+  });
 });
 
 // logout
+// sign out everywhere: revoke every stored session of this Google email / UNIQ ID, this one included
+app.post('/account/sign-out-everywhere', async (req, res) => {
+  if (!req.user) return res.status(401).send('Not logged in');
+  const redirectTo = req.user.provider === 'uniq' ? '/uniq' : '/login';
+  try {
+    const removed = await sessionStore.destroyByOwner(userOwner(req.user));
+    console.log('Signed out everywhere:', userOwner(req.user), 'sessions removed:', removed);
+    audit(req, 'logout', { user: req.user, detail: { everywhere: true, sessions: removed } });
+  } catch (e) {
+    console.error('Sign out everywhere failed:', e);
+    return res.status(500).send('Sign out error');
+  }
+  req.session.destroy(() => res.redirect(redirectTo));
+});
+
+// POST only (with the CSRF token), so another site cannot sign people out with a link or an <img>;
+// GET /logout (old links, bookmarks) answers with a page that asks first
 app.get('/logout', (req, res) => {
-  // clear passport session or uniq session
-  if (req.user) {
-    req.logout((err) => {
-      if (err) console.error('Logout error:', err);
-      // Google users go back to Google login page
-      req.session.destroy(() => res.redirect('/login'));
-    });
-    return;
+  if (!req.user) return res.redirect('/login');
+  const uniq = req.user.provider === 'uniq';
+  res.render('logout', {
+    name: uniq ? req.user.username || req.user.handle : req.user.email,
+    back: uniq ? '/uniq-dashboard' : '/dashboard'
+  });
+});
+
+app.post('/logout', (req, res) => {
+  if (!req.user) return res.redirect('/login');
+  // Google users go back to Google login page, UNIQ users to the UNIQ login/signup page
+  const redirectTo = req.user.provider === 'uniq' ? '/uniq' : '/login';
+  audit(req, 'logout', { user: req.user });
+  req.logout((err) => {
+    if (err) console.error('Logout error:', err);
+    req.session.destroy(() => res.redirect(redirectTo));
+  });
+});
+
+// small API for client (same shape for both providers)
+// csrfToken lets static pages (public/index.html) send POSTs; other origins cannot read this response
+app.get('/api/user', (req, res) => {
+  if (!req.user) return res.json({ loggedIn: false });
+  const csrfToken = res.locals.csrfToken;
+  if (req.user.provider === 'uniq') {
+    return res.json({ loggedIn: true, type: 'uniq', provider: 'uniq', handle: req.user.handle, username: req.user.username, csrfToken });
   }
-  if (req.session && req.session.uniqUser) {
-    // UNIQ user -> go back to the UNIQ login/signup page
-    delete req.session.uniqUser;
-    req.session.destroy(() => res.redirect('/uniq'));
-    return;
+  const { email, username } = req.user;
+  return res.json({ loggedIn: true, type: 'google', provider: 'google', email, username, csrfToken });
+});
+
+// Root resolver health for ops: cache hit rate, RPC latency, retries / failovers, breaker states.
+// Off unless METRICS_TOKEN is set; callers send it as "Authorization: Bearer <token>".
+app.get('/metrics/resolver', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return res.status(404).send('Not found');
+  const sent = Buffer.from(String(req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
   }
-  res.redirect('/login');
+  const metrics = uniqVerifier.resolverMetrics();
+  if (!metrics) return res.status(404).send('This resolver keeps no metrics');
+  res.set('Cache-Control', 'no-store');
+  return res.json(metrics);
 });
 
-// small API for client (checks both passport and uniq)
-app.get('/api/user', (req, res) => {
-  if (req.user) {
-    const { email, username } = req.user;
-    return res.json({ loggedIn: true, type: 'google', email, username });
+// ----------------- Admin console (/admin) -----------------
+// For accounts with a role (security/admin.js): ADMIN_ROLES in the env, or `role` stored on the record.
+// viewer: lists, search, counts, trends; operator: + disable / enable and force logout; admin: + delete, roles.
+// UNIQ accounts are shown as stored: the nullifier (as its site handle), username and dates. The
+// site has no email or UNIQ-ID for them, so there is nothing more to show. Every action is audited.
+const adminConfig = adminConfigFromEnv(process.env);
+const ADMIN_PAGE_SIZE = 100;
+const ADMIN_TREND_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// action -> the permission it needs
+const ADMIN_ACTIONS = { disable: 'disable', enable: 'disable', logout: 'logout', delete: 'delete', role: 'roles' };
+
+function envRoleOf(user) {
+  return adminConfig.roles.get(auditSubject(user).toLowerCase()) || null;
+}
+function adminRoleOf(user) {
+  return envRoleOf(user) || user.role || null;
+}
+const requireRole = (permission) => requireAdmin(permission, { roleOf: adminRoleOf });
+
+// One table row; Google rows leave out the password hash. `self`: the signed-in admin's own account,
+// `outranked`: its role ranks above the admin's, so no action is offered
+function adminRow(provider, stored, admin, adminRole) {
+  const user = sessionUser(stored, provider);
+  const row = {
+    provider,
+    self: userOwner(user) === userOwner(admin),
+    outranked: !mayManage(adminRole, adminRoleOf(user)),
+    username: stored.username,
+    createdAt: stored.createdAt || null,
+    disabledAt: stored.disabledAt || null,
+    role: adminRoleOf(user),
+    roleFromEnv: !!envRoleOf(user)
+  };
+  if (provider === 'uniq') return { ...row, id: stored.nullifier, handle: user.handle, rotatedAt: stored.rotatedAt || null };
+  return { ...row, id: stored.email, email: stored.email, uniqHandle: user.uniqHandle };
+}
+
+// Successful signups and logins per provider and UTC day, newest day first; null without an audit log
+async function adminTrends(days) {
+  if (!auditLog) return null;
+  const trend = new Map();
+  for (let i = 0; i < days; i++) {
+    const day = new Date(Date.now() - i * DAY_MS).toISOString().slice(0, 10);
+    trend.set(day, { day, google: { signup: 0, login: 0 }, uniq: { signup: 0, login: 0 } });
+  }
+  for (const { at, event, provider, outcome } of await auditLog.list()) {
+    const bucket = trend.get(String(at).slice(0, 10));
+    if (bucket && outcome === 'success' && bucket[provider] && (event === 'signup' || event === 'login')) bucket[provider][event]++;
+  }
+  return [...trend.values()];
+}
+
+app.get('/admin', requireRole('read'), async (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase();
+  const provider = ['google', 'uniq'].includes(req.query.provider) ? req.query.provider : 'all';
+  const status = ['active', 'disabled'].includes(req.query.status) ? req.query.status : 'all';
+  const matches = (row) =>
+    (status === 'all' || (status === 'disabled') === !!row.disabledAt) &&
+    (!q || [row.id, row.username, row.handle, row.uniqHandle].some((v) => v && String(v).toLowerCase().includes(q)));
+
+  try {
+    const [users, uniqUsers] = await Promise.all([store.listUsers(), store.listUniqUsers()]);
+    const googleRows = provider === 'uniq' ? [] : users.map((u) => adminRow('google', u, req.user, req.adminRole)).filter(matches).reverse();
+    const uniqRows = provider === 'google' ? [] : uniqUsers.map((u) => adminRow('uniq', u, req.user, req.adminRole)).filter(matches).reverse();
+    res.set('Cache-Control', 'no-store');
+    return res.render('admin', {
+      admin: {
+        name: req.user.email || req.user.handle,
+        role: req.adminRole,
+        can: Object.fromEntries(['disable', 'logout', 'delete', 'roles'].map((p) => [p, roleAllows(req.adminRole, p)]))
+      },
+      query: { q: req.query.q || '', provider, status },
+      notice: typeof req.query.notice === 'string' ? req.query.notice : null,
+      counts: {
+        google: { total: users.length, disabled: users.filter((u) => u.disabledAt).length, linked: users.filter((u) => u.uniqNullifier).length },
+        uniq: { total: uniqUsers.length, disabled: uniqUsers.filter((u) => u.disabledAt).length, rotated: uniqUsers.filter((u) => u.rotatedAt).length }
+      },
+      trends: await adminTrends(ADMIN_TREND_DAYS),
+      google: { rows: googleRows.slice(0, ADMIN_PAGE_SIZE), total: googleRows.length },
+      uniq: { rows: uniqRows.slice(0, ADMIN_PAGE_SIZE), total: uniqRows.length },
+      roles: Object.keys(ADMIN_ROLES)
+    });
+  } catch (e) {
+    console.error('Admin console failed:', e);
+    return res.status(500).send('Admin console error');
   }
-  if (req.session && req.session.uniqUser) {
-    return res.json({ loggedIn: true, type: 'uniq', uniqId: req.session.uniqUser.uniqId, username: req.session.uniqUser.username });
+});
+
+// POST /admin/<google|uniq>/<action> with the account's stored id (email / nullifier) in `id`
+app.post('/admin/:provider(google|uniq)/:action(disable|enable|logout|delete|role)', (req, res, next) => {
+  requireRole(ADMIN_ACTIONS[req.params.action])(req, res, next);
+}, async (req, res) => {
+  const { provider, action } = req.params;
+  const id = String(req.body.id || '');
+  try {
+    const stored = provider === 'uniq' ? await store.findUniqByNullifier(id) : await store.findUserByEmail(id);
+    if (!stored) return res.status(404).send('No such account');
+    const target = sessionUser(stored, provider);
+    // so an admin cannot lock themselves out
+    if (action !== 'logout' && userOwner(target) === userOwner(req.user)) return res.status(400).send('Manage your own account from its dashboard');
+    // an operator cannot disable, sign out or delete an admin; nobody hands out a role above their own
+    if (!mayManage(req.adminRole, adminRoleOf(target))) return res.status(403).send('This account\'s role ranks above yours');
+    if (action === 'role' && req.body.role && !mayManage(req.adminRole, req.body.role)) return res.status(403).send('You cannot give a role above your own');
+
+    const detail = { by: auditRef(req.user) };
+    if (action === 'disable' || action === 'enable') {
+      const disabled = action === 'disable';
+      await (provider === 'uniq' ? store.setUniqDisabled(id, disabled) : store.setUserDisabled(id, disabled));
+      if (disabled) detail.sessions = await sessionStore.destroyByOwner(userOwner(target));
+    } else if (action === 'logout') {
+      detail.sessions = await sessionStore.destroyByOwner(userOwner(target));
+    } else if (action === 'delete') {
+      detail.rows = await (provider === 'uniq' ? store.deleteUniqByNullifier(id) : store.deleteUserByEmail(id));
+      detail.sessions = await sessionStore.destroyByOwner(userOwner(target));
+    } else {
+      const role = req.body.role || null;
+      if (role && !ADMIN_ROLES[role]) return res.status(400).send('Unknown role');
+      if (envRoleOf(target)) return res.status(400).send('This account\'s role is set in ADMIN_ROLES');
+      await (provider === 'uniq' ? store.setUniqRole(id, role) : store.setUserRole(id, role));
+      detail.role = role;
+    }
+
+    console.log(`Admin ${action}:`, provider === 'uniq' ? target.handle : target.email, 'by', req.user.email || req.user.handle);
+    audit(req, action, { user: target, detail });
+    return res.redirect(`/admin?notice=${action}`);
+  } catch (e) {
+    console.error(`Admin ${action} failed:`, e);
+    return res.status(500).send('Admin action error');
   }
-  return res.json({ loggedIn: false });
 });
 
 // generic error handler
@@ -0,0 +1,337 @@
+// storage/audit-log.js
+// Append-only, hash-chained log of authentication events: Google and UNIQ signup / login / logout /
+// link / delete and every UNIQ verification outcome. Each entry carries the SHA-256 hash of the one
+// before it, so editing, reordering or removing an entry breaks the chain (npm run audit:verify).
+// No PII is stored: account keys ("google:<email>", "uniq:<nullifier>") and client IPs are kept as
+// HMAC-SHA256 hashes under AUDIT_SALT, which lets one account's entries be found again but not read back.
+//
+// Backends implement one async interface:
+//
+//   init(), close()
+//   last()           -> the newest entry | null
+//   append(entry)    -> adds one complete entry (seq, prevHash and hash already set)
+//   scan(onEntry)    -> calls onEntry(entry, index) for every entry in seq order; a line that is not
+//                       JSON is passed as { corrupt: true, raw }
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import sqlite3 from 'sqlite3';
+import { promisifyDb } from './sqlite-store.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+const DEV_SALT = 'dev_audit_salt_change_me';
+const MIN_SALT_LENGTH = 32;
+const TAIL_BYTES = 64 * 1024; // an entry is well under 1 KB; the last one is found in the file's tail
+const SCAN_PAGE = 500;
+
+// --- Hashing ---
+
+/**
+ * canonicalJson(value)
+ * - JSON with sorted keys at every level, so a row read back from SQLite hashes like the one written
+ *   (deletion receipts are signed over the same form, see security/receipts.js)
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * entryHash(entry)
+ * - SHA-256 over every field except `hash` (prevHash included, which is what chains the entries)
+ */
+export function entryHash(entry) {
+  const { hash, ...rest } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(rest)).digest('hex');
+}
+
+// --- Backends ---
+
+/**
+ * createMemoryAuditBackend()
+ * - an array in this process; gone on restart
+ */
+export function createMemoryAuditBackend() {
+  const entries = [];
+  return {
+    kind: 'memory',
+    async init() {},
+    async close() {},
+    async last() {
+      return entries.length ? { ...entries[entries.length - 1] } : null;
+    },
+    async append(entry) {
+      entries.push({ ...entry });
+    },
+    async scan(onEntry) {
+      entries.forEach((entry, i) => onEntry({ ...entry }, i));
+    }
+  };
+}
+
+/**
+ * createFileAuditBackend({ file })
+ * - one JSON entry per line (JSON Lines), only ever appended to; the file is never rewritten
+ */
+export function createFileAuditBackend({ file }) {
+  const target = path.resolve(file);
+
+  async function readLastLine() {
+    const handle = await fs.promises.open(target, 'r');
+    try {
+      const { size } = await handle.stat();
+      const length = Math.min(size, TAIL_BYTES);
+      const { buffer } = await handle.read(Buffer.alloc(length), 0, length, size - length);
+      const lines = buffer.toString('utf8').split('\n').filter((l) => l.trim());
+      return lines.length ? lines[lines.length - 1] : null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return {
+    kind: 'file',
+    async init() {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (!fs.existsSync(target)) await fs.promises.writeFile(target, '', { flag: 'a' });
+      console.log('Audit log path:', target);
+    },
+    async close() {},
+    async last() {
+      const line = await readLastLine();
+      if (!line) return null;
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`The last line of ${path.basename(target)} is not a valid entry; run npm run audit:verify`);
+      }
+    },
+    async append(entry) {
+      await fs.promises.appendFile(target, JSON.stringify(entry) + '\n', { encoding: 'utf8', flag: 'a' });
+    },
+    async scan(onEntry) {
+      const lines = readline.createInterface({ input: fs.createReadStream(target, 'utf8'), crlfDelay: Infinity });
+      let i = 0;
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          entry = { corrupt: true, raw: line };
+        }
+        onEntry(entry, i++);
+      }
+    }
+  };
+}
+
+/**
+ * createSqliteAuditBackend({ file })
+ * - an `audit_log` table in its own database file (or ':memory:'); triggers refuse UPDATE and DELETE,
+ *   so rewriting history needs a raw edit of the file — which the hash chain then exposes
+ */
+export function createSqliteAuditBackend({ file }) {
+  let db = null;
+  const conn = () => {
+    if (!db) throw new Error('SQLite audit log used before init()');
+    return db;
+  };
+  const toEntry = (row) => {
+    try {
+      return JSON.parse(row.entry);
+    } catch (e) {
+      return { corrupt: true, raw: row.entry };
+    }
+  };
+
+  return {
+    kind: 'sqlite',
+
+    async init() {
+      const target = file === ':memory:' ? file : path.resolve(file);
+      if (target !== ':memory:') await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      db = promisifyDb(await new Promise((resolve, reject) => {
+        const raw = new sqlite3.Database(target, (err) => (err ? reject(err) : resolve(raw)));
+      }));
+      await db.exec('PRAGMA busy_timeout = 5000;');
+      if (target !== ':memory:') await db.exec('PRAGMA journal_mode = WAL;');
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          seq       INTEGER PRIMARY KEY,
+          entry     TEXT NOT NULL,
+          hash      TEXT NOT NULL
+        );
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+          BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+          BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      `);
+      console.log('SQLite audit log path:', target);
+    },
+    async close() {
+      if (db) await db.close();
+      db = null;
+    },
+
+    async last() {
+      const row = await conn().get('SELECT entry FROM audit_log ORDER BY seq DESC LIMIT 1');
+      return row ? toEntry(row) : null;
+    },
+    async append(entry) {
+      await conn().run('INSERT INTO audit_log (seq, entry, hash) VALUES (?, ?, ?)', [entry.seq, JSON.stringify(entry), entry.hash]);
+    },
+    async scan(onEntry) {
+      let after = -1;
+      let i = 0;
+      for (;;) {
+        const rows = await conn().all('SELECT seq, entry FROM audit_log WHERE seq > ? ORDER BY seq LIMIT ?', [after, SCAN_PAGE]);
+        for (const row of rows) onEntry(toEntry(row), i++);
+        if (rows.length < SCAN_PAGE) return;
+        after = rows[rows.length - 1].seq;
+      }
+    }
+  };
+}
+
+// --- Log ---
+
+/**
+ * createAuditLog(config)
+ * - config.type: "file" (default) | "sqlite" | "memory"; `file` goes to the backend;
+ *   config.salt keys the HMACs of subjects and IPs (keep it stable, or old entries can no longer be matched)
+ * - resolves to {
+ *     record({ event, provider, outcome, subject, ip, code, detail }) -> the stored entry;
+ *       subject is a raw account key ("google:<email>", "uniq:<nullifier>") and ip a raw address, both hashed here,
+ *     subjectHash(subject) -> what record() stores for it (to look an account's entries up),
+ *     list({ subject }) -> entries, all or one account's,
+ *     verify() -> { ok, count, head: { seq, hash } | null, problem: { seq, index, reason } | null },
+ *     close()
+ *   }
+ * - appends are serialised in this process; run one writer per log
+ */
+export async function createAuditLog(config = {}) {
+  const { type = 'file', file, salt } = config;
+  if (!salt) throw new Error('createAuditLog: config.salt is required');
+  let backend;
+  switch (type) {
+    case 'file':
+      backend = createFileAuditBackend({ file });
+      break;
+    case 'sqlite':
+      backend = createSqliteAuditBackend({ file });
+      break;
+    case 'memory':
+      backend = createMemoryAuditBackend();
+      break;
+    default:
+      throw new Error(`Unknown AUDIT_LOG type: ${type}`);
+  }
+  await backend.init();
+
+  const hmac = (value) => crypto.createHmac('sha256', salt).update(String(value)).digest('hex');
+  const subjectHash = (subject) => (subject ? hmac(String(subject).trim().toLowerCase()) : null);
+
+  let head = await backend.last();
+  let tail = Promise.resolve();
+
+  function record({ event, provider = null, outcome = 'success', subject = null, ip = null, code = null, detail = null }) {
+    if (!event) return Promise.reject(new Error('Audit entry needs an event'));
+    const run = tail.then(async () => {
+      const entry = {
+        seq: head ? head.seq + 1 : 1,
+        at: new Date().toISOString(),
+        event,
+        provider,
+        outcome,
+        subject: subjectHash(subject),
+        ip: ip ? hmac(`ip:${ip}`) : null,
+        code,
+        detail,
+        prevHash: head ? head.hash : GENESIS_HASH
+      };
+      entry.hash = entryHash(entry);
+      await backend.append(entry);
+      head = entry;
+      return entry;
+    });
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  async function list({ subject } = {}) {
+    const wanted = subject ? subjectHash(subject) : null;
+    const out = [];
+    await backend.scan((entry) => {
+      if (!entry.corrupt && (!wanted || entry.subject === wanted)) out.push(entry);
+    });
+    return out;
+  }
+
+  // recomputes every hash and checks seq runs 1, 2, 3... and each prevHash is the previous hash
+  async function verify() {
+    await tail;
+    let prev = null;
+    let count = 0;
+    let problem = null;
+    await backend.scan((entry, index) => {
+      count++;
+      if (problem) return;
+      const seq = prev ? prev.seq + 1 : 1;
+      if (entry.corrupt) problem = { seq, index, reason: 'not a valid JSON entry' };
+      else if (entry.seq !== seq) problem = { seq, index, reason: `expected seq ${seq}, found ${entry.seq}` };
+      else if (entry.prevHash !== (prev ? prev.hash : GENESIS_HASH)) problem = { seq, index, reason: 'prevHash does not match the previous entry' };
+      else if (entry.hash !== entryHash(entry)) problem = { seq, index, reason: 'hash does not match the entry' };
+      prev = entry;
+    });
+    return {
+      ok: !problem,
+      count,
+      head: prev && !prev.corrupt ? { seq: prev.seq, hash: prev.hash } : null,
+      problem
+    };
+  }
+
+  return {
+    kind: backend.kind,
+    record,
+    subjectHash,
+    list,
+    verify,
+    close: async () => {
+      await tail;
+      await backend.close();
+    }
+  };
+}
+
+/**
+ * auditLogConfigFromEnv(env, baseDir)
+ * - AUDIT_LOG=file   -> AUDIT_LOG_FILE (default ./data/audit.log, JSON Lines)
+ * - AUDIT_LOG=sqlite -> AUDIT_LOG_SQLITE_PATH (default ./data/audit.sqlite)
+ * - AUDIT_LOG=memory -> nothing persisted; AUDIT_LOG=off -> returns null
+ * - AUDIT_SALT: HMAC key for hashed emails / handles / IPs; required (32+ characters) when NODE_ENV=production
+ */
+export function auditLogConfigFromEnv(env = process.env, baseDir = process.cwd()) {
+  const type = (env.AUDIT_LOG || 'file').trim().toLowerCase();
+  if (type === 'off') return null;
+
+  let salt = env.AUDIT_SALT;
+  if (env.NODE_ENV === 'production') {
+    if (!salt || salt === DEV_SALT || salt.length < MIN_SALT_LENGTH) {
+      throw new Error(`AUDIT_SALT must be set to a random value of at least ${MIN_SALT_LENGTH} characters when NODE_ENV=production`);
+    }
+  } else if (!salt) {
+    console.warn('⚠️ AUDIT_SALT is not set; using the development salt (never do this in production)');
+    salt = DEV_SALT;
+  }
+
+  if (type === 'sqlite') return { type, salt, file: env.AUDIT_LOG_SQLITE_PATH || path.join(baseDir, 'data', 'audit.sqlite') };
+  if (type === 'memory') return { type, salt };
+  return { type, salt, file: env.AUDIT_LOG_FILE || path.join(baseDir, 'data', 'audit.log') };
+}
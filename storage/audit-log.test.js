@@ -0,0 +1,161 @@
+// storage/audit-log.test.js
+// The hash chain: an intact log verifies, and editing, removing or reordering entries is caught.
+// Subjects and IPs are stored only as HMACs.
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { GENESIS_HASH, canonicalJson, createAuditLog, entryHash } from './audit-log.js';
+import { promisifyDb } from './sqlite-store.js';
+
+const SALT = 'test_audit_salt_'.repeat(3);
+const ANN = 'google:ann@example.com';
+const BOB = 'uniq:0x2e082c10767fb68ec2269fb4fa851d7a46e150bd3e393f910e92bc98b4747e1d';
+
+let tmp;
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'uniqid-audit-'));
+});
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+beforeEach(() => mock.method(console, 'log', () => {}));
+afterEach(() => mock.restoreAll());
+
+async function writeEvents(log) {
+  await log.record({ event: 'signup', provider: 'google', subject: ANN, ip: '10.0.0.1' });
+  await log.record({ event: 'login', provider: 'uniq', subject: BOB, ip: '10.0.0.2' });
+  await log.record({ event: 'login', provider: 'uniq', outcome: 'failure', code: 'PROOF_INVALID', ip: '10.0.0.3' });
+  await log.record({ event: 'logout', provider: 'google', subject: ANN });
+}
+
+test('canonicalJson sorts keys at every level', () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: undefined } }), '{"a":{"c":null,"d":[2,{"e":4,"f":3}]},"b":1}');
+});
+
+for (const type of ['memory', 'file', 'sqlite']) {
+  describe(`${type} audit log`, () => {
+    let log;
+    let runs = 0;
+    beforeEach(async () => {
+      log = await createAuditLog({ type, salt: SALT, file: path.join(tmp, `${type}-${++runs}.log`) });
+    });
+    afterEach(() => log.close());
+
+    test('chains every entry to the one before it', async () => {
+      await writeEvents(log);
+      const entries = await log.list();
+      assert.deepEqual(entries.map((e) => e.seq), [1, 2, 3, 4]);
+      assert.equal(entries[0].prevHash, GENESIS_HASH);
+      for (let i = 1; i < entries.length; i++) assert.equal(entries[i].prevHash, entries[i - 1].hash);
+
+      const result = await log.verify();
+      assert.deepEqual(result, { ok: true, count: 4, head: { seq: 4, hash: entries[3].hash }, problem: null });
+    });
+
+    test('keeps accounts and IPs only as HMACs, and finds one account\'s entries', async () => {
+      await writeEvents(log);
+      const entries = await log.list();
+      assert.ok(!JSON.stringify(entries).includes('ann@example.com'));
+      assert.ok(!JSON.stringify(entries).includes('10.0.0.1'));
+      assert.deepEqual((await log.list({ subject: ANN })).map((e) => e.event), ['signup', 'logout']);
+      assert.equal(entries[0].subject, log.subjectHash('Google:Ann@Example.com'));
+    });
+
+    test('an empty log verifies', async () => {
+      assert.deepEqual(await log.verify(), { ok: true, count: 0, head: null, problem: null });
+    });
+
+    test('serialises concurrent appends into one chain', async () => {
+      await Promise.all(Array.from({ length: 20 }, (_, i) => log.record({ event: 'login', detail: { i } })));
+      const result = await log.verify();
+      assert.equal(result.ok, true);
+      assert.equal(result.count, 20);
+    });
+  });
+}
+
+describe('tampering with the file log', () => {
+  let file;
+  let runs = 0;
+  // each test rewrites a fresh four-entry log, then opens it again to verify
+  beforeEach(async () => {
+    file = path.join(tmp, `tamper-${++runs}.log`);
+    const log = await createAuditLog({ type: 'file', salt: SALT, file });
+    await writeEvents(log);
+    await log.close();
+  });
+
+  const lines = () => fs.readFileSync(file, 'utf8').trim().split('\n');
+  const rewrite = (rows) => fs.writeFileSync(file, rows.join('\n') + '\n');
+  async function verify() {
+    const log = await createAuditLog({ type: 'file', salt: SALT, file });
+    try {
+      return await log.verify();
+    } finally {
+      await log.close();
+    }
+  }
+
+  test('an edited field breaks that entry\'s hash', async () => {
+    const rows = lines();
+    const entry = JSON.parse(rows[1]);
+    entry.outcome = 'failure';
+    rows[1] = JSON.stringify(entry);
+    rewrite(rows);
+    assert.deepEqual((await verify()).problem, { seq: 2, index: 1, reason: 'hash does not match the entry' });
+  });
+
+  test('an edited entry whose hash was recomputed breaks the next link', async () => {
+    const rows = lines();
+    const entry = JSON.parse(rows[1]);
+    entry.event = 'logout';
+    entry.hash = entryHash(entry);
+    rows[1] = JSON.stringify(entry);
+    rewrite(rows);
+    assert.deepEqual((await verify()).problem, { seq: 3, index: 2, reason: 'prevHash does not match the previous entry' });
+  });
+
+  test('a removed entry breaks the sequence', async () => {
+    const rows = lines();
+    rows.splice(1, 1);
+    rewrite(rows);
+    const result = await verify();
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.problem, { seq: 2, index: 1, reason: 'expected seq 2, found 3' });
+  });
+
+  test('reordered entries break the sequence', async () => {
+    const rows = lines();
+    [rows[1], rows[2]] = [rows[2], rows[1]];
+    rewrite(rows);
+    assert.equal((await verify()).problem.seq, 2);
+  });
+
+  test('a line that is not JSON is reported', async () => {
+    const rows = lines();
+    rows[2] = rows[2].slice(0, -5);
+    rewrite(rows);
+    assert.deepEqual((await verify()).problem, { seq: 3, index: 2, reason: 'not a valid JSON entry' });
+  });
+});
+
+describe('sqlite audit log', () => {
+  test('refuses UPDATE and DELETE', async () => {
+    const file = path.join(tmp, 'append-only.sqlite');
+    const log = await createAuditLog({ type: 'sqlite', salt: SALT, file });
+    await writeEvents(log);
+    await log.close();
+
+    const db = promisifyDb(await new Promise((resolve, reject) => {
+      const raw = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(raw)));
+    }));
+    try {
+      await assert.rejects(db.run("UPDATE audit_log SET entry = '{}' WHERE seq = 1"), /append-only/);
+      await assert.rejects(db.run('DELETE FROM audit_log WHERE seq = 4'), /append-only/);
+    } finally {
+      await db.close();
+    }
+  });
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// storage/audit-verify.js
+// Checks the audit log's hash chain (storage/audit-log.js) and exits 0 when it is intact, 1 when it
+// was tampered with, 2 when it could not be read. Reads .env like server.js (AUDIT_LOG, AUDIT_LOG_FILE,
+// AUDIT_LOG_SQLITE_PATH, AUDIT_SALT).
+//
+//   npm run audit:verify
+//   npm run audit:verify -- --head 5:3f2a...   # also check an entry hash noted earlier is still in place
+//
+// The chain proves nothing was edited, reordered or removed before the newest entry; cutting entries
+// off the end is only caught by comparing against a head noted earlier (--head <seq>:<hash>).
+
+import 'dotenv/config';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { createAuditLog, auditLogConfigFromEnv } from './audit-log.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// stdout carries only the verdict; the stores' progress logs go to stderr
+const print = console.log;
+console.log = (...args) => console.error(...args);
+
+async function main() {
+  const { values } = parseArgs({ options: { head: { type: 'string' }, json: { type: 'boolean' } } });
+  const config = auditLogConfigFromEnv(process.env, path.join(__dirname, '..'));
+  if (!config) throw new Error('AUDIT_LOG=off: there is no audit log to verify');
+  if (config.type === 'memory') throw new Error('AUDIT_LOG=memory keeps the log inside the server process');
+
+  const log = await createAuditLog(config);
+  const result = await log.verify();
+
+  if (result.ok && values.head) {
+    const [seq, hash] = values.head.split(':');
+    const entry = (await log.list()).find((e) => e.seq === Number(seq));
+    if (!entry) result.problem = { seq: Number(seq), reason: 'the noted head is no longer in the log (entries were cut off)' };
+    else if (entry.hash !== hash) result.problem = { seq: entry.seq, reason: 'the noted head hash does not match (the log was rewritten)' };
+    result.ok = !result.problem;
+  }
+  await log.close();
+
+  if (values.json) {
+    print(JSON.stringify(result));
+  } else if (result.ok) {
+    print(`✅ Audit log intact: ${result.count} entries` + (result.head ? `, head ${result.head.seq}:${result.head.hash}` : ''));
+  } else {
+    print(`❌ Audit log tampered at seq ${result.problem.seq}: ${result.problem.reason}`);
+  }
+  return result.ok ? 0 : 1;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error('❌ Could not verify the audit log:', err.message);
+    process.exit(2);
+  }
+);
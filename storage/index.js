@@ -0,0 +1,74 @@
+// storage/index.js
+// User storage for the demo app. Every backend implements the same async interface:
+//
+//   init(), close()
+//   findUserByEmail(email), findUserByUsername(username), findUserByUniqNullifier(nullifier)
+//   addUser({ email, username, passwordHash, googleId })  -> throws EmailExists / UsernameExists
+//   setUserUniqNullifier(email, nullifier | null)         -> throws UserNotFound / UniqAlreadyLinked
+//   deleteUserByEmail(email)                              -> number of rows removed
+//   findUniqByNullifier(nullifier)
+//   addUniqUser({ nullifier, username })                  -> throws UniqExists / UsernameExists
+//   rotateUniqNullifier(oldNullifier, newNullifier)       -> throws UniqNotFound / UniqExists
+//   deleteUniqByNullifier(nullifier)                      -> number of rows removed
+//
+// For the admin console (records carry `role` and `disabledAt` only while set):
+//
+//   listUsers(), listUniqUsers()                          -> every record, oldest first
+//   setUserRole(email, role | null), setUserDisabled(email, disabled)               -> throws UserNotFound
+//   setUniqRole(nullifier, role | null), setUniqDisabled(nullifier, disabled)       -> throws UniqNotFound
+//
+// UNIQ accounts and Google<->UNIQ links are keyed on the site-scoped nullifier (bytes32 hex)
+// from createUniqVerifier().verify(), never on the global UNIQ-ID.
+//
+// Write failures throw WriteFailed (JSON) or the sqlite3 error.
+
+import path from 'path';
+import { createJsonStore } from './json-store.js';
+import { createMemoryStore } from './memory-store.js';
+import { createSqliteStore } from './sqlite-store.js';
+
+export { createJsonStore, createMemoryStore, createSqliteStore };
+// express-session stores (file / sqlite / memory) live next to the user stores
+export { createSessionStore, sessionStoreConfigFromEnv } from './session-store.js';
+// the hash-chained authentication audit log
+export { createAuditLog, auditLogConfigFromEnv } from './audit-log.js';
+
+/**
+ * createStore(config)
+ * - config.type: "json" (default) | "memory" | "sqlite"; other keys go to the backend factory
+ * - resolves once the store is initialised (files created / migrations applied)
+ */
+export async function createStore(config = {}) {
+  const { type = 'json', ...opts } = config;
+  let store;
+  switch (type) {
+    case 'json':
+      store = createJsonStore(opts);
+      break;
+    case 'memory':
+      store = createMemoryStore(opts);
+      break;
+    case 'sqlite':
+      store = createSqliteStore(opts);
+      break;
+    default:
+      throw new Error(`Unknown USER_STORE type: ${type}`);
+  }
+  await store.init();
+  return store;
+}
+
+/**
+ * storeConfigFromEnv(env, baseDir)
+ * - USER_STORE=json   -> userdb.json + uniqid_users.json in baseDir
+ * - USER_STORE=memory -> nothing persisted
+ * - USER_STORE=sqlite -> SQLITE_PATH (default ./data/uniqid-demo.sqlite)
+ */
+export function storeConfigFromEnv(env = process.env, baseDir = process.cwd()) {
+  const type = (env.USER_STORE || 'json').trim().toLowerCase();
+  if (type === 'sqlite') {
+    return { type, file: env.SQLITE_PATH || path.join(baseDir, 'data', 'uniqid-demo.sqlite') };
+  }
+  if (type === 'memory') return { type };
+  return { type, usersPath: path.join(baseDir, 'userdb.json'), uniqUsersPath: path.join(baseDir, 'uniqid_users.json') };
+}
@@ -0,0 +1,103 @@
+// storage/index.test.js
+// The store contract every backend (json / memory / sqlite) must keep: unique emails, usernames and
+// UNIQ nullifiers, the same error names, and no lost rows when mutations race.
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore } from './index.js';
+
+const nullifier = (n) => `0x${n.toString(16).padStart(64, '0')}`;
+
+let tmp;
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'uniqid-store-'));
+});
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const BACKENDS = {
+  memory: () => ({ type: 'memory' }),
+  json: (name) => ({ type: 'json', usersPath: path.join(tmp, `${name}-users.json`), uniqUsersPath: path.join(tmp, `${name}-uniq.json`) }),
+  sqlite: () => ({ type: 'sqlite', file: ':memory:' })
+};
+
+for (const [type, config] of Object.entries(BACKENDS)) {
+  describe(`${type} store`, () => {
+    let store;
+    let runs = 0;
+    beforeEach(async () => {
+      mock.method(console, 'log', () => {});
+      store = await createStore(config(`run${++runs}`));
+    });
+    afterEach(async () => {
+      await store.close();
+      mock.restoreAll();
+    });
+
+    const addUser = (email, username) => store.addUser({ email, username, passwordHash: 'hash' });
+
+    test('refuses a second account with the same email or username, in any case', async () => {
+      await addUser('ann@example.com', 'ann');
+      await assert.rejects(addUser('ANN@example.com', 'ann2'), { message: 'EmailExists' });
+      await assert.rejects(addUser('bob@example.com', 'Ann'), { message: 'UsernameExists' });
+      assert.equal((await store.findUserByEmail('Ann@Example.com')).username, 'ann');
+      assert.equal((await store.listUsers()).length, 1);
+    });
+
+    test('refuses a second UNIQ account with the same nullifier or username', async () => {
+      await store.addUniqUser({ nullifier: nullifier(1), username: 'carol' });
+      await assert.rejects(store.addUniqUser({ nullifier: nullifier(1), username: 'carol2' }), { message: 'UniqExists' });
+      await assert.rejects(store.addUniqUser({ nullifier: nullifier(2), username: 'CAROL' }), { message: 'UsernameExists' });
+      assert.equal((await store.listUniqUsers()).length, 1);
+    });
+
+    test('links a nullifier to one Google account only', async () => {
+      await addUser('ann@example.com', 'ann');
+      await addUser('bob@example.com', 'bob');
+      await store.setUserUniqNullifier('ann@example.com', nullifier(1));
+      await assert.rejects(store.setUserUniqNullifier('bob@example.com', nullifier(1)), { message: 'UniqAlreadyLinked' });
+      await assert.rejects(store.setUserUniqNullifier('nobody@example.com', nullifier(2)), { message: 'UserNotFound' });
+      assert.equal((await store.findUserByUniqNullifier(nullifier(1))).email, 'ann@example.com');
+    });
+
+    test('rotates a UNIQ account onto a new nullifier, never onto a taken one', async () => {
+      await store.addUniqUser({ nullifier: nullifier(1), username: 'carol' });
+      await store.addUniqUser({ nullifier: nullifier(2), username: 'dave' });
+      await assert.rejects(store.rotateUniqNullifier(nullifier(1), nullifier(2)), { message: 'UniqExists' });
+      await assert.rejects(store.rotateUniqNullifier(nullifier(9), nullifier(3)), { message: 'UniqNotFound' });
+
+      const rotated = await store.rotateUniqNullifier(nullifier(1), nullifier(3));
+      assert.equal(rotated.username, 'carol');
+      assert.ok(rotated.rotatedAt);
+      assert.equal(await store.findUniqByNullifier(nullifier(1)), null);
+    });
+
+    test('concurrent signups keep every row and hand out one winner per name', async () => {
+      const signups = Array.from({ length: 20 }, (_, i) => store.addUniqUser({ nullifier: nullifier(100 + i), username: `user${i % 10}` }));
+      const results = await Promise.allSettled(signups);
+      assert.equal(results.filter((r) => r.status === 'fulfilled').length, 10);
+      assert.ok(results.filter((r) => r.status === 'rejected').every((r) => r.reason.message === 'UsernameExists'));
+      assert.equal((await store.listUniqUsers()).length, 10);
+
+      await Promise.all(Array.from({ length: 10 }, (_, i) => addUser(`u${i}@example.com`, `u${i}`)));
+      const ids = (await store.listUsers()).map((u) => u.id);
+      assert.equal(new Set(ids).size, 10);
+    });
+  });
+}
+
+describe('json store files', () => {
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  test('are replaced atomically: no temp files left, always a complete JSON array', async () => {
+    const config = BACKENDS.json('atomic');
+    const store = await createStore(config);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.addUniqUser({ nullifier: nullifier(i + 1), username: `user${i}` })));
+
+    assert.equal(JSON.parse(fs.readFileSync(config.uniqUsersPath, 'utf8')).length, 10);
+    assert.deepEqual(fs.readdirSync(tmp).filter((f) => f.endsWith('.tmp')), []);
+  });
+});
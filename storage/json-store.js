@@ -0,0 +1,56 @@
+// storage/json-store.js
+// The original demo storage: userdb.json (Google users) and uniqid_users.json (UNIQ users).
+// Files are re-read on every lookup (so hand edits show up) and replaced atomically:
+// write to a temp file in the same directory, then rename over the original.
+
+import fs from 'fs';
+import path from 'path';
+import { createRecordStore, warnLegacyUniqRows } from './records.js';
+
+async function readJsonArray(file) {
+  const raw = await fs.promises.readFile(file, 'utf8');
+  const parsed = JSON.parse(raw || '[]');
+  if (!Array.isArray(parsed)) throw new Error(`${path.basename(file)} does not contain a JSON array`);
+  return parsed;
+}
+
+// also used by session-store.js
+export async function writeJsonAtomic(file, rows) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.promises.writeFile(tmp, JSON.stringify(rows, null, 2), 'utf8');
+    await fs.promises.rename(tmp, file);
+  } catch (e) {
+    await fs.promises.rm(tmp, { force: true }).catch(() => {});
+    console.error(`Failed to write ${path.basename(file)}:`, e);
+    throw new Error('WriteFailed');
+  }
+}
+
+/**
+ * createJsonStore({ usersPath, uniqUsersPath })
+ * - missing files are created as [] on init()
+ */
+export function createJsonStore({ usersPath, uniqUsersPath }) {
+  const files = { users: path.resolve(usersPath), uniqUsers: path.resolve(uniqUsersPath) };
+
+  return createRecordStore({
+    kind: 'json',
+    async init() {
+      for (const file of Object.values(files)) {
+        if (!fs.existsSync(file)) {
+          await fs.promises.writeFile(file, '[]', 'utf8');
+          console.log('Created new', path.basename(file));
+        }
+      }
+      console.log('JSON DB paths:', files.users, files.uniqUsers);
+      warnLegacyUniqRows({
+        accounts: (await readJsonArray(files.uniqUsers)).filter((u) => !u.nullifier).length,
+        links: (await readJsonArray(files.users)).filter((u) => u.uniqId && !u.uniqNullifier).length,
+        where: `${path.basename(files.uniqUsers)} / ${path.basename(files.users)} (rows with a uniqId and no nullifier)`
+      });
+    },
+    read: (collection) => readJsonArray(files[collection]),
+    write: (collection, rows) => writeJsonAtomic(files[collection], rows)
+  });
+}
@@ -0,0 +1,25 @@
+// storage/memory-store.js
+// In-memory store: nothing touches the disk, everything is gone on restart.
+// Handy for demos and for running the app against a throwaway dataset.
+
+import { createRecordStore } from './records.js';
+
+/**
+ * createMemoryStore({ users, uniqUsers })
+ * - optional seed arrays (copied, never mutated)
+ */
+export function createMemoryStore({ users = [], uniqUsers = [] } = {}) {
+  const data = {
+    users: users.map((u) => ({ ...u })),
+    uniqUsers: uniqUsers.map((u) => ({ ...u }))
+  };
+
+  return createRecordStore({
+    kind: 'memory',
+    // hand out copies so callers cannot change stored records behind the lock
+    read: async (collection) => data[collection].map((row) => ({ ...row })),
+    write: async (collection, rows) => {
+      data[collection] = rows.map((row) => ({ ...row }));
+    }
+  });
+}
@@ -0,0 +1,180 @@
+// storage/records.js
+// Finders & mutators over the two record lists (Google users, UNIQ users), shared by the
+// JSON-file and in-memory stores. Each mutation runs under one lock (read -> check -> write),
+// so two concurrent signups can no longer overwrite each other or get the same id.
+
+const lower = (s) => String(s || '').toLowerCase();
+
+// Promise chain used as a mutex: fn() calls run one after another
+function createLock() {
+  let tail = Promise.resolve();
+  return (fn) => {
+    const run = tail.then(fn, fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * warnLegacyUniqRows({ accounts, links, where })
+ * - UNIQ accounts / Google links from before site-scoped nullifiers (keyed on the global UNIQ-ID) cannot
+ *   sign in any more; says so once at startup so operators can tell those users (see README)
+ */
+export function warnLegacyUniqRows({ accounts, links, where }) {
+  if (!accounts && !links) return;
+  console.warn(`⚠️ ${accounts} UNIQ account(s) and ${links} Google<->UNIQ link(s) predate site-scoped nullifiers and no longer work; ` +
+    `they are kept in ${where}. Those users sign up or link again (README: "Where user data lives").`);
+}
+
+/**
+ * createRecordStore({ kind, read, write })
+ * - read(collection) -> array, write(collection, array); collection is 'users' or 'uniqUsers'
+ * - returns the store interface used by server.js (see storage/index.js)
+ */
+export function createRecordStore({ kind, read, write, init = async () => {}, close = async () => {} }) {
+  const withLock = createLock();
+
+  const findIn = async (collection, pred) => (await read(collection)).find(pred) || null;
+
+  // read -> change one record -> write, under the lock; notFound names the error when no record matches
+  const updateIn = (collection, pred, notFound, change) => withLock(async () => {
+    const rows = await read(collection);
+    const row = rows.find(pred);
+    if (!row) throw new Error(notFound);
+    change(row);
+    await write(collection, rows);
+    return row;
+  });
+  const updateUser = (email, change) => updateIn('users', (u) => lower(u.email) === lower(email), 'UserNotFound', change);
+  const updateUniqUser = (nullifier, change) => updateIn('uniqUsers', (u) => u.nullifier === nullifier, 'UniqNotFound', change);
+
+  return {
+    kind,
+    init,
+    close,
+
+    // --- Google / email users ---
+    async findUserByEmail(email) {
+      if (!email) return null;
+      return findIn('users', (u) => lower(u.email) === lower(email));
+    },
+    async findUserByUsername(username) {
+      if (!username) return null;
+      return findIn('users', (u) => u.username && lower(u.username) === lower(username));
+    },
+    async findUserByUniqNullifier(nullifier) {
+      if (!nullifier) return null;
+      return findIn('users', (u) => u.uniqNullifier === nullifier);
+    },
+    addUser({ email, username, passwordHash, googleId }) {
+      return withLock(async () => {
+        const users = await read('users');
+        if (users.some((u) => lower(u.email) === lower(email))) throw new Error('EmailExists');
+        if (users.some((u) => u.username && lower(u.username) === lower(username))) throw new Error('UsernameExists');
+
+        const newUser = {
+          id: users.reduce((max, u) => Math.max(max, u.id || 0), 0) + 1,
+          email,
+          username,
+          password: passwordHash,
+          googleId: googleId || null,
+          createdAt: new Date().toISOString()
+        };
+        await write('users', [...users, newUser]);
+        return newUser;
+      });
+    },
+    setUserUniqNullifier(email, nullifier) {
+      return withLock(async () => {
+        const users = await read('users');
+        const user = users.find((u) => lower(u.email) === lower(email));
+        if (!user) throw new Error('UserNotFound');
+        if (nullifier) {
+          const owner = users.find((u) => u.uniqNullifier === nullifier);
+          if (owner && owner !== user) throw new Error('UniqAlreadyLinked');
+          user.uniqNullifier = nullifier;
+        } else {
+          delete user.uniqNullifier;
+        }
+        await write('users', users);
+        return user;
+      });
+    },
+    async listUsers() {
+      return read('users');
+    },
+    setUserRole(email, role) {
+      return updateUser(email, (user) => {
+        if (role) user.role = role;
+        else delete user.role;
+      });
+    },
+    setUserDisabled(email, disabled) {
+      return updateUser(email, (user) => {
+        if (disabled) user.disabledAt = user.disabledAt || new Date().toISOString();
+        else delete user.disabledAt;
+      });
+    },
+    deleteUserByEmail(email) {
+      return withLock(async () => {
+        const users = await read('users');
+        const kept = users.filter((u) => lower(u.email) !== lower(email));
+        await write('users', kept);
+        return users.length - kept.length;
+      });
+    },
+
+    // --- UNIQ users (keyed on the site-scoped nullifier; rows from before it only have a uniqId) ---
+    async findUniqByNullifier(nullifier) {
+      if (!nullifier) return null;
+      return findIn('uniqUsers', (u) => u.nullifier === nullifier);
+    },
+    addUniqUser({ nullifier, username }) {
+      return withLock(async () => {
+        const uniqUsers = await read('uniqUsers');
+        if (uniqUsers.some((u) => u.nullifier === nullifier)) throw new Error('UniqExists');
+        // legacy rows without a nullifier do not hold their name, so their owners can sign up with it again
+        if (uniqUsers.some((u) => u.nullifier && lower(u.username) === lower(username))) throw new Error('UsernameExists');
+        const obj = { nullifier, username, createdAt: new Date().toISOString() };
+        await write('uniqUsers', [...uniqUsers, obj]);
+        return obj;
+      });
+    },
+    // new credential (DeKey rotation): same account, username and createdAt under the new nullifier
+    rotateUniqNullifier(oldNullifier, newNullifier) {
+      return withLock(async () => {
+        const uniqUsers = await read('uniqUsers');
+        const user = uniqUsers.find((u) => u.nullifier === oldNullifier);
+        if (!user) throw new Error('UniqNotFound');
+        if (uniqUsers.some((u) => u.nullifier === newNullifier)) throw new Error('UniqExists');
+        user.nullifier = newNullifier;
+        user.rotatedAt = new Date().toISOString();
+        await write('uniqUsers', uniqUsers);
+        return user;
+      });
+    },
+    async listUniqUsers() {
+      return read('uniqUsers');
+    },
+    setUniqRole(nullifier, role) {
+      return updateUniqUser(nullifier, (user) => {
+        if (role) user.role = role;
+        else delete user.role;
+      });
+    },
+    setUniqDisabled(nullifier, disabled) {
+      return updateUniqUser(nullifier, (user) => {
+        if (disabled) user.disabledAt = user.disabledAt || new Date().toISOString();
+        else delete user.disabledAt;
+      });
+    },
+    deleteUniqByNullifier(nullifier) {
+      return withLock(async () => {
+        const uniqUsers = await read('uniqUsers');
+        const kept = uniqUsers.filter((u) => u.nullifier !== nullifier);
+        await write('uniqUsers', kept);
+        return uniqUsers.length - kept.length;
+      });
+    }
+  };
+}
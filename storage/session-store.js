@@ -0,0 +1,298 @@
+// storage/session-store.js
+// express-session stores that survive a restart: a JSON file, SQLite, or process memory.
+// Every session row remembers its owner (e.g. "google:<email>", "uniq:<nullifier>") so all
+// sessions of one account can be revoked at once ("sign out everywhere").
+//
+// Backends implement one async interface:
+//
+//   init(), close()
+//   get(sid)                          -> { sess, expires, owner } | null
+//   set(sid, { sess, expires, owner })
+//   touch(sid, expires, minStepMs)    -> only writes when expires moved by at least minStepMs
+//   destroy(sid)
+//   destroyByOwner(owner)             -> number of sessions removed
+//   listByOwner(owner)                -> [{ sid, sess, expires, owner }] of one account, expired ones included
+//   prune(now)                        -> number of expired sessions removed
+
+import fs from 'fs';
+import path from 'path';
+import session from 'express-session';
+import sqlite3 from 'sqlite3';
+import { writeJsonAtomic } from './json-store.js';
+import { promisifyDb } from './sqlite-store.js';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // sessions whose cookie has no expiry
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const TOUCH_STEP_MS = 60 * 1000; // rolling cookies touch on every request; persist at most once a minute
+
+// --- Backends ---
+
+/**
+ * createMemorySessionBackend()
+ * - a Map in this process; like express-session's MemoryStore, but expired rows are pruned
+ *   and sessions can be revoked by owner
+ */
+export function createMemorySessionBackend() {
+  const rows = new Map();
+  return createMapBackend({ kind: 'memory', rows });
+}
+
+/**
+ * createFileSessionBackend({ file })
+ * - all sessions in one JSON object keyed by sid, loaded on init() and rewritten atomically
+ *   after every change (writes are coalesced, so a burst of requests costs one write)
+ */
+export function createFileSessionBackend({ file }) {
+  const target = path.resolve(file);
+  const rows = new Map();
+  let queued = null;
+  let tail = Promise.resolve();
+
+  const persist = () => {
+    if (queued) return queued; // the queued write will pick this change up
+    const run = tail.then(() => {
+      queued = null;
+      return writeJsonAtomic(target, Object.fromEntries(rows));
+    });
+    queued = run;
+    tail = run.catch(() => {});
+    return run;
+  };
+
+  return createMapBackend({
+    kind: 'file',
+    rows,
+    persist,
+    async init() {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (fs.existsSync(target)) {
+        const raw = JSON.parse((await fs.promises.readFile(target, 'utf8')) || '{}');
+        const now = Date.now();
+        for (const [sid, row] of Object.entries(raw)) if (row && row.expires > now) rows.set(sid, row);
+      }
+      console.log('Session file path:', target, `(${rows.size} active)`);
+    },
+    close: () => tail
+  });
+}
+
+// rows handed out or stored are copies, so express-session never mutates a stored session in place
+const copyRow = (row) => ({ ...row, sess: JSON.parse(JSON.stringify(row.sess)) });
+
+function createMapBackend({ kind, rows, persist = async () => {}, init = async () => {}, close = async () => {} }) {
+  return {
+    kind,
+    init,
+    close,
+    async get(sid) {
+      const row = rows.get(sid);
+      return row ? copyRow(row) : null;
+    },
+    async set(sid, row) {
+      rows.set(sid, copyRow(row));
+      await persist();
+    },
+    async touch(sid, expires, minStepMs) {
+      const row = rows.get(sid);
+      if (!row || expires - row.expires < minStepMs) return;
+      row.expires = expires;
+      await persist();
+    },
+    async destroy(sid) {
+      if (rows.delete(sid)) await persist();
+    },
+    async destroyByOwner(owner) {
+      let removed = 0;
+      for (const [sid, row] of rows) {
+        if (row.owner === owner) {
+          rows.delete(sid);
+          removed++;
+        }
+      }
+      if (removed) await persist();
+      return removed;
+    },
+    async listByOwner(owner) {
+      const out = [];
+      for (const [sid, row] of rows) if (row.owner === owner) out.push({ sid, ...copyRow(row) });
+      return out;
+    },
+    async prune(now) {
+      let removed = 0;
+      for (const [sid, row] of rows) {
+        if (row.expires <= now) {
+          rows.delete(sid);
+          removed++;
+        }
+      }
+      if (removed) await persist();
+      return removed;
+    }
+  };
+}
+
+/**
+ * createSqliteSessionBackend({ file })
+ * - a `sessions` table (sid, sess JSON, owner, expires) in its own database file, or ':memory:'
+ * - sessions are disposable, so the table is created if missing instead of going through MIGRATIONS
+ */
+export function createSqliteSessionBackend({ file }) {
+  let db = null;
+  const conn = () => {
+    if (!db) throw new Error('SQLite session store used before init()');
+    return db;
+  };
+  const toRow = (row) => (row ? { sess: JSON.parse(row.sess), expires: row.expires, owner: row.owner } : null);
+
+  return {
+    kind: 'sqlite',
+
+    async init() {
+      const target = file === ':memory:' ? file : path.resolve(file);
+      if (target !== ':memory:') await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      db = promisifyDb(await new Promise((resolve, reject) => {
+        const raw = new sqlite3.Database(target, (err) => (err ? reject(err) : resolve(raw)));
+      }));
+      await db.exec('PRAGMA busy_timeout = 5000;');
+      if (target !== ':memory:') await db.exec('PRAGMA journal_mode = WAL;');
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          sid       TEXT PRIMARY KEY,
+          sess      TEXT NOT NULL,
+          owner     TEXT,
+          expires   INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS sessions_owner ON sessions (owner);
+        CREATE INDEX IF NOT EXISTS sessions_expires ON sessions (expires);
+      `);
+      console.log('SQLite session DB path:', target);
+    },
+    async close() {
+      if (db) await db.close();
+      db = null;
+    },
+
+    async get(sid) {
+      return toRow(await conn().get('SELECT * FROM sessions WHERE sid = ?', [sid]));
+    },
+    async set(sid, { sess, expires, owner }) {
+      await conn().run(
+        `INSERT INTO sessions (sid, sess, owner, expires) VALUES (?, ?, ?, ?)
+         ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, owner = excluded.owner, expires = excluded.expires`,
+        [sid, JSON.stringify(sess), owner || null, expires]
+      );
+    },
+    async touch(sid, expires, minStepMs) {
+      await conn().run('UPDATE sessions SET expires = ? WHERE sid = ? AND expires <= ?', [expires, sid, expires - minStepMs]);
+    },
+    async destroy(sid) {
+      await conn().run('DELETE FROM sessions WHERE sid = ?', [sid]);
+    },
+    async destroyByOwner(owner) {
+      return (await conn().run('DELETE FROM sessions WHERE owner = ?', [owner])).changes;
+    },
+    async listByOwner(owner) {
+      const rows = await conn().all('SELECT * FROM sessions WHERE owner = ?', [owner]);
+      return rows.map((row) => ({ sid: row.sid, ...toRow(row) }));
+    },
+    async prune(now) {
+      return (await conn().run('DELETE FROM sessions WHERE expires <= ?', [now])).changes;
+    }
+  };
+}
+
+// --- express-session Store ---
+
+// callback-style Store API -> backend promises
+function settle(promise, cb = () => {}) {
+  promise.then((value) => cb(null, value), (err) => cb(err));
+}
+
+class PersistentSessionStore extends session.Store {
+  constructor(backend, { ownerOf = () => null, ttlMs = DEFAULT_TTL_MS } = {}) {
+    super();
+    this.backend = backend;
+    this.ownerOf = ownerOf;
+    this.ttlMs = ttlMs;
+  }
+
+  expiresOf(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + this.ttlMs;
+  }
+
+  get(sid, cb) {
+    settle(this.backend.get(sid).then((row) => (row && row.expires > Date.now() ? row.sess : null)), cb);
+  }
+
+  set(sid, sess, cb) {
+    settle(this.backend.set(sid, { sess, expires: this.expiresOf(sess), owner: this.ownerOf(sess) || null }), cb);
+  }
+
+  touch(sid, sess, cb) {
+    settle(this.backend.touch(sid, this.expiresOf(sess), TOUCH_STEP_MS), cb);
+  }
+
+  destroy(sid, cb) {
+    settle(this.backend.destroy(sid), cb);
+  }
+
+  // not part of express-session's API: revoke every session of one account
+  destroyByOwner(owner) {
+    if (!owner) return Promise.resolve(0);
+    return this.backend.destroyByOwner(owner);
+  }
+
+  // not part of express-session's API either: the live sessions of one account (data export)
+  async listByOwner(owner) {
+    if (!owner) return [];
+    const now = Date.now();
+    return (await this.backend.listByOwner(owner)).filter((row) => row.expires > now);
+  }
+}
+
+/**
+ * createSessionStore(config)
+ * - config.type: "file" (default) | "sqlite" | "memory"; `file` goes to the backend
+ * - config.ownerOf(sess) -> owner key stored with the session (null for anonymous sessions)
+ * - resolves to an express-session Store with extra destroyByOwner(owner) -> count and
+ *   listByOwner(owner) -> [{ sid, sess, expires, owner }]; expired sessions are pruned every 10 minutes
+ */
+export async function createSessionStore(config = {}) {
+  const { type = 'file', file, ownerOf, ttlMs } = config;
+  let backend;
+  switch (type) {
+    case 'file':
+      backend = createFileSessionBackend({ file });
+      break;
+    case 'sqlite':
+      backend = createSqliteSessionBackend({ file });
+      break;
+    case 'memory':
+      backend = createMemorySessionBackend();
+      break;
+    default:
+      throw new Error(`Unknown SESSION_STORE type: ${type}`);
+  }
+  await backend.init();
+
+  const pruner = setInterval(() => {
+    backend.prune(Date.now()).catch((err) => console.error('Session prune failed:', err));
+  }, PRUNE_INTERVAL_MS);
+  if (typeof pruner.unref === 'function') pruner.unref();
+
+  return new PersistentSessionStore(backend, { ownerOf, ttlMs });
+}
+
+/**
+ * sessionStoreConfigFromEnv(env, baseDir)
+ * - SESSION_STORE=file   -> SESSION_FILE (default ./data/sessions.json)
+ * - SESSION_STORE=sqlite -> SESSION_SQLITE_PATH (default ./data/sessions.sqlite)
+ * - SESSION_STORE=memory -> nothing persisted (everyone is signed out on restart)
+ */
+export function sessionStoreConfigFromEnv(env = process.env, baseDir = process.cwd()) {
+  const type = (env.SESSION_STORE || 'file').trim().toLowerCase();
+  if (type === 'sqlite') return { type, file: env.SESSION_SQLITE_PATH || path.join(baseDir, 'data', 'sessions.sqlite') };
+  if (type === 'memory') return { type };
+  return { type, file: env.SESSION_FILE || path.join(baseDir, 'data', 'sessions.json') };
+}
@@ -0,0 +1,114 @@
+// storage/session-store.test.js
+// Session stores (file / sqlite / memory): expiry, owner keys and revoking every session of one account.
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSessionStore } from './session-store.js';
+
+const ANN = 'google:ann@example.com';
+const BOB = 'uniq:0x2e082c10767fb68ec2269fb4fa851d7a46e150bd3e393f910e92bc98b4747e1d';
+
+// a session as express-session hands it to the store; passport.user holds the owner key
+const sess = (owner, expiresInMs = 60_000) => ({
+  cookie: { expires: new Date(Date.now() + expiresInMs).toISOString() },
+  ...(owner ? { passport: { user: owner } } : {})
+});
+const ownerOf = (s) => (s.passport && s.passport.user) || null;
+
+// the Store's callback API -> promises
+const call = (store, method, ...args) => new Promise((resolve, reject) => {
+  store[method](...args, (err, value) => (err ? reject(err) : resolve(value)));
+});
+
+let tmp;
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'uniqid-sessions-'));
+});
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const BACKENDS = {
+  memory: () => ({ type: 'memory' }),
+  file: (name) => ({ type: 'file', file: path.join(tmp, `${name}.json`) }),
+  sqlite: () => ({ type: 'sqlite', file: ':memory:' })
+};
+
+for (const [type, config] of Object.entries(BACKENDS)) {
+  describe(`${type} session store`, () => {
+    let store;
+    let runs = 0;
+    beforeEach(async () => {
+      mock.method(console, 'log', () => {});
+      store = await createSessionStore({ ...config(`run${++runs}`), ownerOf });
+    });
+    afterEach(async () => {
+      await store.backend.close();
+      mock.restoreAll();
+    });
+
+    test('stores and returns a session until its cookie expires', async () => {
+      await call(store, 'set', 'live', sess(ANN));
+      await call(store, 'set', 'stale', sess(ANN, -1));
+      assert.deepEqual((await call(store, 'get', 'live')).passport, { user: ANN });
+      assert.equal(await call(store, 'get', 'stale'), null);
+      assert.equal(await call(store, 'get', 'missing'), null);
+    });
+
+    test('revokes every session of one account and nobody else\'s', async () => {
+      await call(store, 'set', 'ann-laptop', sess(ANN));
+      await call(store, 'set', 'ann-phone', sess(ANN));
+      await call(store, 'set', 'bob', sess(BOB));
+      await call(store, 'set', 'anonymous', sess(null));
+
+      assert.deepEqual((await store.listByOwner(ANN)).map((row) => row.sid).sort(), ['ann-laptop', 'ann-phone']);
+      assert.equal(await store.destroyByOwner(ANN), 2);
+      assert.equal(await call(store, 'get', 'ann-laptop'), null);
+      assert.equal(await call(store, 'get', 'ann-phone'), null);
+      assert.ok(await call(store, 'get', 'bob'));
+      assert.ok(await call(store, 'get', 'anonymous'));
+      assert.deepEqual(await store.listByOwner(ANN), []);
+    });
+
+    test('never revokes or lists anonymous sessions by a missing owner', async () => {
+      await call(store, 'set', 'anonymous', sess(null));
+      assert.equal(await store.destroyByOwner(null), 0);
+      assert.deepEqual(await store.listByOwner(null), []);
+      assert.ok(await call(store, 'get', 'anonymous'));
+    });
+
+    test('signing in moves a session to its new owner', async () => {
+      await call(store, 'set', 'sid', sess(null));
+      await call(store, 'set', 'sid', sess(BOB));
+      assert.equal(await store.destroyByOwner(BOB), 1);
+      assert.equal(await call(store, 'get', 'sid'), null);
+    });
+
+    test('lists only live sessions and prunes expired ones', async () => {
+      await call(store, 'set', 'live', sess(ANN));
+      await call(store, 'set', 'stale', sess(ANN, -1));
+      assert.deepEqual((await store.listByOwner(ANN)).map((row) => row.sid), ['live']);
+      assert.equal(await store.backend.prune(Date.now()), 1);
+    });
+  });
+}
+
+describe('file session store', () => {
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  test('keeps sessions, and their revocation, across a restart', async () => {
+    const config = { ...BACKENDS.file('restart'), ownerOf };
+    let store = await createSessionStore(config);
+    await call(store, 'set', 'ann', sess(ANN));
+    await call(store, 'set', 'bob', sess(BOB));
+    await store.destroyByOwner(BOB);
+    await store.backend.close();
+
+    store = await createSessionStore(config);
+    assert.deepEqual((await call(store, 'get', 'ann')).passport, { user: ANN });
+    assert.equal(await call(store, 'get', 'bob'), null);
+    await store.backend.close();
+  });
+});
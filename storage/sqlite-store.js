@@ -0,0 +1,310 @@
+// storage/sqlite-store.js
+// SQLite store (sqlite3). Schema is created and upgraded by numbered migrations tracked in
+// schema_migrations; UNIQUE constraints on email, username and UNIQ nullifiers are enforced by the database.
+
+import fs from 'fs';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { warnLegacyUniqRows } from './records.js';
+
+// SQLite's NOCASE collation folds ASCII letters only
+const nocase = (s) => s.replace(/[A-Z]/g, (c) => c.toLowerCase());
+
+// Append new migrations, never edit applied ones; `up` is SQL, or async (db) => {} when it needs a loop
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create users and uniq_users',
+    up: `
+      CREATE TABLE users (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        email       TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        username    TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password    TEXT,
+        google_id   TEXT,
+        uniq_id     TEXT UNIQUE,
+        created_at  TEXT NOT NULL
+      );
+      CREATE TABLE uniq_users (
+        uniq_id     TEXT PRIMARY KEY,
+        username    TEXT NOT NULL,
+        created_at  TEXT NOT NULL
+      );
+    `
+  },
+  {
+    // rows keyed on the global UNIQ-ID cannot be mapped to nullifiers; they stay in uniq_users_v1
+    version: 2,
+    name: 'key UNIQ accounts and links on the site-scoped nullifier',
+    up: `
+      ALTER TABLE uniq_users RENAME TO uniq_users_v1;
+      CREATE TABLE uniq_users (
+        nullifier   TEXT PRIMARY KEY,
+        username    TEXT NOT NULL,
+        created_at  TEXT NOT NULL
+      );
+      ALTER TABLE users ADD COLUMN uniq_nullifier TEXT;
+      CREATE UNIQUE INDEX users_uniq_nullifier ON users (uniq_nullifier);
+    `
+  },
+  {
+    version: 3,
+    name: 'record UNIQ credential rotations',
+    up: `
+      ALTER TABLE uniq_users ADD COLUMN rotated_at TEXT;
+    `
+  },
+  {
+    version: 4,
+    name: 'admin roles and disabled accounts',
+    up: `
+      ALTER TABLE users ADD COLUMN role TEXT;
+      ALTER TABLE users ADD COLUMN disabled_at TEXT;
+      ALTER TABLE uniq_users ADD COLUMN role TEXT;
+      ALTER TABLE uniq_users ADD COLUMN disabled_at TEXT;
+    `
+  },
+  {
+    // older databases may already hold the same UNIQ username twice; later rows get the first free
+    // "-2", "-3", ... suffix, free meaning no other row has that name (so "alice" never becomes an existing "alice-2")
+    version: 5,
+    name: 'unique UNIQ usernames',
+    up: async (db) => {
+      const rows = await db.all('SELECT rowid, username FROM uniq_users ORDER BY rowid');
+      const taken = new Set(rows.map((r) => nocase(r.username)));
+      const kept = new Set();
+      for (const { rowid, username } of rows) {
+        if (!kept.has(nocase(username))) {
+          kept.add(nocase(username));
+          continue;
+        }
+        let n = 2;
+        while (taken.has(nocase(`${username}-${n}`))) n++;
+        taken.add(nocase(`${username}-${n}`));
+        await db.run('UPDATE uniq_users SET username = ? WHERE rowid = ?', [`${username}-${n}`, rowid]);
+      }
+      await db.exec('CREATE UNIQUE INDEX uniq_users_username ON uniq_users (username COLLATE NOCASE)');
+    }
+  }
+];
+
+// --- sqlite3 callback API -> promises (also used by session-store.js) ---
+export function promisifyDb(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function onRun(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    exec: (sql) => new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    }),
+    close: () => new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    })
+  };
+}
+
+// UNIQUE constraint failures -> the same error names the JSON store throws
+const CONSTRAINT_ERRORS = {
+  'users.email': 'EmailExists',
+  'users.username': 'UsernameExists',
+  'users.uniq_nullifier': 'UniqAlreadyLinked',
+  'uniq_users.nullifier': 'UniqExists',
+  'uniq_users.username': 'UsernameExists'
+};
+function mapConstraintError(err) {
+  // message looks like "SQLITE_CONSTRAINT: UNIQUE constraint failed: users.email"
+  const m = err && err.code === 'SQLITE_CONSTRAINT' ? /constraint failed: ([\w.]+)/.exec(err.message) : null;
+  if (m && CONSTRAINT_ERRORS[m[1]]) return new Error(CONSTRAINT_ERRORS[m[1]]);
+  return err;
+}
+
+// Rows -> the record shapes the JSON store uses
+function toUser(row) {
+  if (!row) return null;
+  const user = {
+    id: row.id,
+    email: row.email,
+    username: row.username,
+    password: row.password,
+    googleId: row.google_id,
+    createdAt: row.created_at
+  };
+  if (row.uniq_nullifier) user.uniqNullifier = row.uniq_nullifier;
+  if (row.role) user.role = row.role;
+  if (row.disabled_at) user.disabledAt = row.disabled_at;
+  return user;
+}
+function toUniqUser(row) {
+  if (!row) return null;
+  const user = { nullifier: row.nullifier, username: row.username, createdAt: row.created_at };
+  if (row.rotated_at) user.rotatedAt = row.rotated_at;
+  if (row.role) user.role = row.role;
+  if (row.disabled_at) user.disabledAt = row.disabled_at;
+  return user;
+}
+
+async function migrate(db) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version     INTEGER PRIMARY KEY,
+    name        TEXT NOT NULL,
+    applied_at  TEXT NOT NULL
+  )`);
+  const applied = new Set((await db.all('SELECT version FROM schema_migrations')).map((r) => r.version));
+
+  for (const m of MIGRATIONS) {
+    if (applied.has(m.version)) continue;
+    await db.exec('BEGIN');
+    try {
+      if (typeof m.up === 'function') await m.up(db);
+      else await db.exec(m.up);
+      await db.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [m.version, m.name, new Date().toISOString()]);
+      await db.exec('COMMIT');
+      console.log(`SQLite migration ${m.version} applied: ${m.name}`);
+    } catch (e) {
+      await db.exec('ROLLBACK').catch(() => {});
+      throw e;
+    }
+  }
+}
+
+/**
+ * createSqliteStore({ file })
+ * - file: database path (created with its directory if missing), or ':memory:'
+ * - init() opens the database and runs pending MIGRATIONS
+ */
+export function createSqliteStore({ file }) {
+  let db = null;
+  const conn = () => {
+    if (!db) throw new Error('SQLite store used before init()');
+    return db;
+  };
+  // UPDATE one record's columns (`set` is trusted SQL from this file), then read it back
+  const updateUser = async (email, set, params) => {
+    const { changes } = await conn().run(`UPDATE users SET ${set} WHERE email = ?`, [...params, email]);
+    if (!changes) throw new Error('UserNotFound');
+    return toUser(await conn().get('SELECT * FROM users WHERE email = ?', [email]));
+  };
+  const updateUniqUser = async (nullifier, set, params) => {
+    const { changes } = await conn().run(`UPDATE uniq_users SET ${set} WHERE nullifier = ?`, [...params, nullifier]);
+    if (!changes) throw new Error('UniqNotFound');
+    return toUniqUser(await conn().get('SELECT * FROM uniq_users WHERE nullifier = ?', [nullifier]));
+  };
+
+  return {
+    kind: 'sqlite',
+
+    async init() {
+      const target = file === ':memory:' ? file : path.resolve(file);
+      if (target !== ':memory:') await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      db = promisifyDb(await new Promise((resolve, reject) => {
+        const raw = new sqlite3.Database(target, (err) => (err ? reject(err) : resolve(raw)));
+      }));
+      await db.exec('PRAGMA foreign_keys = ON; PRAGMA busy_timeout = 5000;');
+      if (target !== ':memory:') await db.exec('PRAGMA journal_mode = WAL;');
+      await migrate(db);
+      console.log('SQLite DB path:', target);
+      warnLegacyUniqRows({
+        accounts: (await db.get('SELECT COUNT(*) AS n FROM uniq_users_v1')).n,
+        links: (await db.get('SELECT COUNT(*) AS n FROM users WHERE uniq_id IS NOT NULL AND uniq_nullifier IS NULL')).n,
+        where: 'the uniq_users_v1 table and users.uniq_id'
+      });
+    },
+    async close() {
+      if (db) await db.close();
+      db = null;
+    },
+
+    // --- Google / email users ---
+    async findUserByEmail(email) {
+      if (!email) return null;
+      return toUser(await conn().get('SELECT * FROM users WHERE email = ?', [email]));
+    },
+    async findUserByUsername(username) {
+      if (!username) return null;
+      return toUser(await conn().get('SELECT * FROM users WHERE username = ?', [username]));
+    },
+    async findUserByUniqNullifier(nullifier) {
+      if (!nullifier) return null;
+      return toUser(await conn().get('SELECT * FROM users WHERE uniq_nullifier = ?', [nullifier]));
+    },
+    async addUser({ email, username, passwordHash, googleId }) {
+      try {
+        const { lastID } = await conn().run(
+          'INSERT INTO users (email, username, password, google_id, created_at) VALUES (?, ?, ?, ?, ?)',
+          [email, username, passwordHash, googleId || null, new Date().toISOString()]
+        );
+        return toUser(await conn().get('SELECT * FROM users WHERE id = ?', [lastID]));
+      } catch (e) {
+        throw mapConstraintError(e);
+      }
+    },
+    async setUserUniqNullifier(email, nullifier) {
+      let result;
+      try {
+        result = await conn().run('UPDATE users SET uniq_nullifier = ? WHERE email = ?', [nullifier || null, email]);
+      } catch (e) {
+        throw mapConstraintError(e);
+      }
+      if (!result.changes) throw new Error('UserNotFound');
+      return toUser(await conn().get('SELECT * FROM users WHERE email = ?', [email]));
+    },
+    async listUsers() {
+      return (await conn().all('SELECT * FROM users ORDER BY id')).map(toUser);
+    },
+    async setUserRole(email, role) {
+      return updateUser(email, 'role = ?', [role || null]);
+    },
+    async setUserDisabled(email, disabled) {
+      return updateUser(email, disabled ? 'disabled_at = COALESCE(disabled_at, ?)' : 'disabled_at = NULL', disabled ? [new Date().toISOString()] : []);
+    },
+    async deleteUserByEmail(email) {
+      return (await conn().run('DELETE FROM users WHERE email = ?', [email])).changes;
+    },
+
+    // --- UNIQ users ---
+    async findUniqByNullifier(nullifier) {
+      if (!nullifier) return null;
+      return toUniqUser(await conn().get('SELECT * FROM uniq_users WHERE nullifier = ?', [nullifier]));
+    },
+    async addUniqUser({ nullifier, username }) {
+      const obj = { nullifier, username, createdAt: new Date().toISOString() };
+      try {
+        await conn().run('INSERT INTO uniq_users (nullifier, username, created_at) VALUES (?, ?, ?)', [nullifier, username, obj.createdAt]);
+      } catch (e) {
+        throw mapConstraintError(e);
+      }
+      return obj;
+    },
+    async rotateUniqNullifier(oldNullifier, newNullifier) {
+      let result;
+      try {
+        result = await conn().run('UPDATE uniq_users SET nullifier = ?, rotated_at = ? WHERE nullifier = ?', [newNullifier, new Date().toISOString(), oldNullifier]);
+      } catch (e) {
+        throw mapConstraintError(e);
+      }
+      if (!result.changes) throw new Error('UniqNotFound');
+      return toUniqUser(await conn().get('SELECT * FROM uniq_users WHERE nullifier = ?', [newNullifier]));
+    },
+    async listUniqUsers() {
+      return (await conn().all('SELECT * FROM uniq_users ORDER BY created_at')).map(toUniqUser);
+    },
+    async setUniqRole(nullifier, role) {
+      return updateUniqUser(nullifier, 'role = ?', [role || null]);
+    },
+    async setUniqDisabled(nullifier, disabled) {
+      return updateUniqUser(nullifier, disabled ? 'disabled_at = COALESCE(disabled_at, ?)' : 'disabled_at = NULL', disabled ? [new Date().toISOString()] : []);
+    },
+    async deleteUniqByNullifier(nullifier) {
+      return (await conn().run('DELETE FROM uniq_users WHERE nullifier = ?', [nullifier])).changes;
+    }
+  };
+}
@@ -0,0 +1,95 @@
+// storage/sqlite-store.test.js
+// Migrations: applied once, in order, and migration 5 makes existing duplicate UNIQ usernames unique
+// without running into names that are already taken.
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { MIGRATIONS, createSqliteStore, promisifyDb } from './sqlite-store.js';
+
+describe('sqlite migrations', () => {
+  let tmp;
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'uniqid-sqlite-'));
+  });
+  after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  // a database as an older release left it: migrations up to `version`, then `sql`
+  async function databaseAt(file, version, sql) {
+    const db = promisifyDb(await new Promise((resolve, reject) => {
+      const raw = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(raw)));
+    }));
+    await db.exec('CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+    for (const m of MIGRATIONS.filter((m) => m.version <= version)) {
+      if (typeof m.up === 'function') await m.up(db);
+      else await db.exec(m.up);
+      await db.run('INSERT INTO schema_migrations VALUES (?, ?, ?)', [m.version, m.name, new Date().toISOString()]);
+    }
+    await db.exec(sql);
+    await db.close();
+  }
+
+  test('records every migration once', async () => {
+    const file = path.join(tmp, 'fresh.sqlite');
+    for (let i = 0; i < 2; i++) {
+      const store = createSqliteStore({ file });
+      await store.init();
+      await store.close();
+    }
+    const logged = console.log.mock.calls.map((c) => c.arguments[0]).filter((m) => /^SQLite migration/.test(m));
+    assert.equal(logged.length, MIGRATIONS.length);
+  });
+
+  test('migration 5 renames later duplicate UNIQ usernames, then enforces uniqueness', async () => {
+    const file = path.join(tmp, 'v4.sqlite');
+    await databaseAt(file, 4, `
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x01', 'carol', '2024-01-01');
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x02', 'Carol', '2024-01-02');
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x03', 'dave', '2024-01-03');
+    `);
+
+    const store = createSqliteStore({ file });
+    await store.init();
+    try {
+      assert.deepEqual((await store.listUniqUsers()).map((u) => u.username), ['carol', 'Carol-2', 'dave']);
+      await assert.rejects(store.addUniqUser({ nullifier: '0x04', username: 'CAROL' }), { message: 'UsernameExists' });
+    } finally {
+      await store.close();
+    }
+  });
+
+  test('migration 5 skips suffixes another account already has', async () => {
+    const file = path.join(tmp, 'v4-taken.sqlite');
+    await databaseAt(file, 4, `
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x01', 'alice', '2024-01-01');
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x02', 'Alice-2', '2024-01-02');
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x03', 'alice', '2024-01-03');
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x04', 'alice-3', '2024-01-04');
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x05', 'ALICE', '2024-01-05');
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x06', 'alice-7', '2024-01-06');
+      INSERT INTO uniq_users (nullifier, username, created_at) VALUES ('0x07', 'alice-7', '2024-01-07');
+    `);
+
+    const store = createSqliteStore({ file });
+    await store.init();
+    try {
+      const names = Object.fromEntries((await store.listUniqUsers()).map((u) => [u.nullifier, u.username]));
+      assert.deepEqual(names, {
+        '0x01': 'alice',
+        '0x02': 'Alice-2',
+        '0x03': 'alice-4',
+        '0x04': 'alice-3',
+        '0x05': 'ALICE-5',
+        '0x06': 'alice-7',
+        '0x07': 'alice-7-2'
+      });
+    } finally {
+      await store.close();
+    }
+  });
+});
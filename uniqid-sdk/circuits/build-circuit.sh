@@ -0,0 +1,55 @@
+#!/bin/sh
+# Rebuilds circuit artifacts from <name>.circom, for each name given (default: pos_prove membership):
+#   <name>.r1cs / <name>.sym / <name>_js/<name>.wasm
+#   <name>.zkey -> <name>_final.zkey -> <name>_verification_key.json
+#   (pos_prove keeps its original verification_key.json)
+# Only the wasm, final zkey and verification key are committed; the rest is git-ignored.
+# Phase 1 is the public Hermez powers of tau for 2^12 (pos_prove is ~500 constraints, membership
+# ~2.9k after --O2). It is downloaded once into this directory and must match the blake2b-512
+# pinned in ptau.b2sum; there is no local ceremony to fall back to. Offline, copy the file here
+# (or point PTAU_FILE at it) before running.
+# Run from the repo root: npm run build:circuit [-- membership]
+set -e
+
+CIRCUITS=uniqid-sdk/circuits
+PTAU_NAME=powersOfTau28_hez_final_12.ptau
+PTAU_URL=https://storage.googleapis.com/zkevm/ptau/$PTAU_NAME
+PTAU=${PTAU_FILE:-$CIRCUITS/$PTAU_NAME}
+NAMES=${*:-pos_prove membership}
+
+fail() { echo "❌ $*" >&2; exit 1; }
+
+if [ ! -f "$PTAU" ]; then
+  echo "⬇️  Downloading $PTAU_NAME..."
+  curl -fL --retry 3 -o "$PTAU.part" "$PTAU_URL" || { rm -f "$PTAU.part"; fail "could not download $PTAU_URL; copy it to $PTAU by hand"; }
+  mv "$PTAU.part" "$PTAU"
+fi
+
+echo "🔍 Checking $PTAU against $CIRCUITS/ptau.b2sum..."
+EXPECTED=$(awk -v f="$PTAU_NAME" '$2 == f { print $1 }' $CIRCUITS/ptau.b2sum)
+[ -n "$EXPECTED" ] || fail "no checksum pinned for $PTAU_NAME in $CIRCUITS/ptau.b2sum"
+ACTUAL=$(b2sum "$PTAU" | cut -d' ' -f1)
+[ "$ACTUAL" = "$EXPECTED" ] || fail "$PTAU is not the published $PTAU_NAME (blake2b-512 $ACTUAL); delete it and run again"
+
+for NAME in $NAMES; do
+  if [ "$NAME" = "pos_prove" ]; then VKEY=$CIRCUITS/verification_key.json; else VKEY=$CIRCUITS/${NAME}_verification_key.json; fi
+
+  echo "🔧 Compiling $NAME.circom..."
+  npx --no-install circom2 $CIRCUITS/$NAME.circom --r1cs --wasm --sym --O2 -l node_modules -o $CIRCUITS
+
+  echo "🔑 Groth16 setup from $PTAU..."
+  npx --no-install snarkjs groth16 setup $CIRCUITS/$NAME.r1cs $PTAU $CIRCUITS/$NAME.zkey
+
+  echo "🎲 Phase-2 contribution..."
+  npx --no-install snarkjs zkey contribute $CIRCUITS/$NAME.zkey $CIRCUITS/${NAME}_final.zkey \
+    --name="uniqid demo contribution" -e="${ZKEY_ENTROPY:-$(date +%s%N)}"
+  rm -f $CIRCUITS/$NAME.zkey
+
+  echo "📤 Exporting verification key..."
+  npx --no-install snarkjs zkey export verificationkey $CIRCUITS/${NAME}_final.zkey $VKEY
+
+  # snarkjs reports some failures without a non-zero exit code
+  [ -s "$VKEY" ] && [ "$VKEY" -nt $CIRCUITS/$NAME.r1cs ] || { echo "❌ $NAME: verification key was not written"; exit 1; }
+done
+
+echo "✅ Circuit artifacts rebuilt in $CIRCUITS"
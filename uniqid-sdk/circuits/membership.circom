@@ -0,0 +1,69 @@
+pragma circom 2.0.0;
+include "circomlib/circuits/poseidon.circom";
+
+// Root of a Poseidon Merkle tree from a leaf and its authentication path.
+// pathIndices[i] = 1 when the node at level i is a right child.
+template MerkleRoot(DEPTH) {
+    signal input leaf;
+    signal input pathElements[DEPTH];
+    signal input pathIndices[DEPTH];
+    signal output root;
+
+    component hashers[DEPTH];
+    signal levels[DEPTH + 1];
+    signal left[DEPTH];
+    signal right[DEPTH];
+
+    levels[0] <== leaf;
+    for (var i = 0; i < DEPTH; i++) {
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+
+        left[i] <== levels[i] + pathIndices[i] * (pathElements[i] - levels[i]);
+        right[i] <== pathElements[i] + pathIndices[i] * (levels[i] - pathElements[i]);
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== left[i];
+        hashers[i].inputs[1] <== right[i];
+        levels[i + 1] <== hashers[i].out;
+    }
+    root <== levels[DEPTH];
+}
+
+// Proves "my leaf Poseidon(emailHash, paraHash) is in the registry tree under `root`"
+// without saying which leaf, plus the same site-scoped nullifier as pos_prove.
+template UniqMembership(DEPTH) {
+    signal input root;        // public (a current registry root)
+    signal input nonce;       // public (server-issued challenge)
+    signal input siteId;      // public (which site the nullifier is scoped to)
+    signal input emailHash;   // private
+    signal input paraHash;    // private
+    signal input pathElements[DEPTH];  // private
+    signal input pathIndices[DEPTH];   // private
+
+    signal output nullifier;  // Poseidon(emailHash, paraHash, siteId)
+
+    component leaf = Poseidon(2);
+    leaf.inputs[0] <== emailHash;
+    leaf.inputs[1] <== paraHash;
+
+    component tree = MerkleRoot(DEPTH);
+    tree.leaf <== leaf.out;
+    for (var i = 0; i < DEPTH; i++) {
+        tree.pathElements[i] <== pathElements[i];
+        tree.pathIndices[i] <== pathIndices[i];
+    }
+    root === tree.root;
+
+    component n = Poseidon(3);
+    n.inputs[0] <== emailHash;
+    n.inputs[1] <== paraHash;
+    n.inputs[2] <== siteId;
+    nullifier <== n.out;
+
+    // nonce is not used by the hashes; square it so the proof still commits to it
+    signal nonceSquare;
+    nonceSquare <== nonce * nonce;
+}
+
+// 2^10 = 1024 registrations; keep in sync with MERKLE_DEPTH in uniqid-sdk.merkle.js
+component main {public [root, nonce, siteId]} = UniqMembership(10);
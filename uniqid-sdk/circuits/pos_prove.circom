@@ -1,15 +1,30 @@
 pragma circom 2.0.0;
-include "../node_modules/circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/poseidon.circom";
 
 template PosLeaf() {
     signal input leaf;        // public
+    signal input nonce;       // public (server-issued challenge)
+    signal input siteId;      // public (which site the nullifier is scoped to)
     signal input emailHash;   // private
     signal input paraHash;    // private
 
+    signal output nullifier;  // Poseidon(emailHash, paraHash, siteId): stable per user & site
+
     component p = Poseidon(2);
     p.inputs[0] <== emailHash;
     p.inputs[1] <== paraHash;
 
     leaf === p.out;
+
+    // the secret half of the leaf never leaves the prover, so two sites cannot link nullifiers
+    component n = Poseidon(3);
+    n.inputs[0] <== emailHash;
+    n.inputs[1] <== paraHash;
+    n.inputs[2] <== siteId;
+    nullifier <== n.out;
+
+    // nonce is not used by the hash; square it so the proof still commits to it
+    signal nonceSquare;
+    nonceSquare <== nonce * nonce;
 }
-component main = PosLeaf();
+component main {public [leaf, nonce, siteId]} = PosLeaf();
@@ -0,0 +1,323 @@
+// uniqid-sdk/uniqid-sdk.browser.js
+// ✅ Browser-side UNIQ-ID prover
+// ✅ Same Poseidon(keccak(utf8)) hashing as uniqid-sdk.server.js
+// ✅ Builds the Groth16 proof in the page so email & DeKey never leave the browser
+// ✅ Membership proofs: the Merkle path is built from the full leaf list, so the server never learns which leaf
+// ✅ Leaf mode: when GET /tree says { mode: "leaf" } (registry without a tree yet) the prover makes a pos_prove proof
+// ✅ followServerProgress(): live server stages (proof, nonce, site, root, account...) over Server-Sent Events
+//
+// Bundled for the page by `npm run build:sdk` into public/js/uniqid-sdk/.
+
+import { ethers } from "ethers";
+import { buildPoseidon } from "circomlibjs";
+import { groth16 } from "snarkjs";
+import { buildMerkleTree, getMerklePath } from "./uniqid-sdk.merkle.js";
+
+// --- Default artifact URLs (served by server.js from POS_WASM_PATH / POS_ZKEY_PATH) ---
+export const DEFAULT_WASM_URL = "/uniqid-sdk/circuits/pos_prove.wasm";
+export const DEFAULT_ZKEY_URL = "/uniqid-sdk/circuits/pos_prove_final.zkey";
+export const DEFAULT_MEMBERSHIP_WASM_URL = "/uniqid-sdk/circuits/membership.wasm";
+export const DEFAULT_MEMBERSHIP_ZKEY_URL = "/uniqid-sdk/circuits/membership_final.zkey";
+export const DEFAULT_WORKER_URL = "/js/uniqid-sdk/uniqid-sdk.worker.js";
+export const DEFAULT_API_BASE = "/api/uniq";
+// the header the UNIQ router reads the progress stream id from (PROGRESS_HEADER in uniqid-sdk.progress.js)
+const PROGRESS_HEADER = "X-Uniq-Progress";
+
+// --- Poseidon instance (built lazily, the wasm is heavy) ---
+let poseidonPromise = null;
+function getPoseidon() {
+  if (!poseidonPromise) poseidonPromise = buildPoseidon();
+  return poseidonPromise;
+}
+
+// --- Helpers ---
+function normalizeEmail(e) {
+  return String(e || "").trim().toLowerCase();
+}
+
+// keccak256(utf8) -> BigInt
+function keccakBig(input) {
+  return BigInt(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(String(input || ""))));
+}
+
+// Pad to bytes32
+function to0xPadded32(hexStr) {
+  let s = String(hexStr || "").replace(/^0x/, "");
+  while (s.length < 64) s = "0" + s;
+  return "0x" + s.toLowerCase();
+}
+
+// Error with a UNIQ_ERRORS code (see uniqid-sdk.errors.js), so pages can show their own text
+function codedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// --- Main SDK Functions ---
+
+/**
+ * computeLeaf(email, deKey)
+ * - same hashing as the server SDK, run locally
+ * - returns { emailHash, paraHash, leaf } as decimal field strings plus leafBytes32
+ */
+export async function computeLeaf(email, deKey) {
+  const normEmail = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normEmail)) throw new Error("Invalid email");
+  if (!deKey) throw new Error("Missing deKey");
+
+  const poseidon = await getPoseidon();
+  const F = poseidon.F;
+
+  const emailHash = F.toObject(poseidon([keccakBig(normEmail)]));
+  const paraHash = F.toObject(poseidon([keccakBig(deKey)]));
+  const leaf = F.toObject(poseidon([emailHash, paraHash]));
+
+  return {
+    emailHash: emailHash.toString(),
+    paraHash: paraHash.toString(),
+    leaf: leaf.toString(),
+    leafBytes32: to0xPadded32(leaf.toString(16))
+  };
+}
+
+/**
+ * generateProof({ email, deKey, nonce, siteId }, opts)
+ * - hashes locally, then runs pos_prove.wasm + pos_prove_final.zkey through snarkjs
+ * - nonce is the server-issued challenge; the proof commits to it as a public signal
+ * - siteId comes with the challenge; the proof outputs Poseidon(emailHash, paraHash, siteId),
+ *   a nullifier that is stable on this site and unlinkable across sites
+ * - returns { proof, publicSignals } — the only thing the page sends to the server
+ * - opts: { wasmUrl, zkeyUrl, onStage(stage) }
+ */
+export async function generateProof({ email, deKey, nonce, siteId }, opts = {}) {
+  const wasmUrl = opts.wasmUrl || DEFAULT_WASM_URL;
+  const zkeyUrl = opts.zkeyUrl || DEFAULT_ZKEY_URL;
+  const onStage = typeof opts.onStage === "function" ? opts.onStage : () => {};
+
+  if (nonce === undefined || nonce === null || !/^\d+$/.test(String(nonce))) throw new Error("Missing challenge nonce");
+  if (siteId === undefined || siteId === null || !/^\d+$/.test(String(siteId))) throw new Error("Missing siteId");
+
+  onStage("hashing");
+  const { emailHash, paraHash, leaf } = await computeLeaf(email, deKey);
+
+  onStage("proving");
+  const input = { leaf, nonce: String(nonce), siteId: String(siteId), emailHash, paraHash };
+  const { proof, publicSignals } = await groth16.fullProve(input, wasmUrl, zkeyUrl);
+
+  onStage("done");
+  return { proof, publicSignals };
+}
+
+/**
+ * generateMembershipProof({ email, deKey, nonce, siteId, tree }, opts)
+ * - tree: { depth, root, leaves, retired } from GET /api/uniq/tree (the whole registry); when the site
+ *   reads several registry deployments, tree.fallbacks holds the other trees and the first one with
+ *   our leaf is used
+ * - finds our leaf, builds its Merkle path locally and runs membership.wasm + membership_final.zkey
+ * - public signals are [nullifier, root, nonce, siteId]: the server learns "some registered user"
+ * - throws "Not registered" (err.code ROOT_NOT_FOUND) when our leaf is not in the tree, or "Rotated" /
+ *   "Revoked" (ROOT_ROTATED / ROOT_REVOKED) when tree.retired says the credential was replaced by a new DeKey or revoked
+ * - opts: { wasmUrl, zkeyUrl, onStage(stage) }; stages: hashing, path, proving, done
+ */
+export async function generateMembershipProof({ email, deKey, nonce, siteId, tree }, opts = {}) {
+  const wasmUrl = opts.wasmUrl || DEFAULT_MEMBERSHIP_WASM_URL;
+  const zkeyUrl = opts.zkeyUrl || DEFAULT_MEMBERSHIP_ZKEY_URL;
+  const onStage = typeof opts.onStage === "function" ? opts.onStage : () => {};
+
+  if (nonce === undefined || nonce === null || !/^\d+$/.test(String(nonce))) throw new Error("Missing challenge nonce");
+  if (siteId === undefined || siteId === null || !/^\d+$/.test(String(siteId))) throw new Error("Missing siteId");
+  if (tree && tree.mode === "leaf") throw new Error("The registry has no Merkle tree yet (leaf mode): make a pos_prove proof");
+  if (!tree || !Array.isArray(tree.leaves)) throw new Error("Missing registry tree");
+
+  onStage("hashing");
+  const { emailHash, paraHash, leafBytes32 } = await computeLeaf(email, deKey);
+
+  onStage("path");
+  const poseidon = await getPoseidon();
+  let built = null;
+  let path = null;
+  const trees = [tree, ...(Array.isArray(tree.fallbacks) ? tree.fallbacks : [])];
+  for (const candidate of trees) {
+    built = buildMerkleTree(candidate.leaves, { poseidon, depth: candidate.depth });
+    if (candidate.root && built.root !== to0xPadded32(candidate.root)) throw new Error("Registry tree does not match its root");
+    path = getMerklePath(built, leafBytes32);
+    if (path) break;
+  }
+  if (!path) {
+    const retired = trees.map((t) => t.retired && t.retired[leafBytes32]).find(Boolean);
+    if (retired === "rotated") throw codedError("ROOT_ROTATED", "Rotated: this DeKey was replaced by a newer one for your UNIQ-ID — use your new DeKey");
+    if (retired === "revoked") throw codedError("ROOT_REVOKED", "Revoked: the UNIQ-ID for this email and DeKey has been revoked");
+    throw codedError("ROOT_NOT_FOUND", "Not registered: no UNIQ-ID is anchored for this email and DeKey");
+  }
+
+  onStage("proving");
+  const input = {
+    root: BigInt(built.root).toString(),
+    nonce: String(nonce),
+    siteId: String(siteId),
+    emailHash,
+    paraHash,
+    pathElements: path.pathElements.map((e) => BigInt(e).toString()),
+    pathIndices: path.pathIndices.map(String)
+  };
+  const { proof, publicSignals } = await groth16.fullProve(input, wasmUrl, zkeyUrl);
+
+  onStage("done");
+  return { proof, publicSignals };
+}
+
+/**
+ * createProver(opts)
+ * - runs generateMembershipProof (opts.circuit "membership", default) or generateProof
+ *   (opts.circuit "pos_prove") inside a Web Worker so the page stays responsive
+ * - a membership prover given a { mode: "leaf" } tree makes a pos_prove proof instead (with the default
+ *   pos_prove artifacts), since the server has no tree to check membership against
+ * - falls back to the main thread when module workers are unavailable
+ * - returns { prove({ email, deKey, nonce, siteId, tree }, { onStage }), terminate() };
+ *   prove resolves { proof, publicSignals, circuit } — post all three
+ */
+export function createProver(opts = {}) {
+  const workerUrl = opts.workerUrl || DEFAULT_WORKER_URL;
+  const defaultCircuit = opts.circuit || "membership";
+  const artifactOpts = { wasmUrl: opts.wasmUrl, zkeyUrl: opts.zkeyUrl };
+
+  let worker = null;
+  try {
+    if (typeof Worker === "function") worker = new Worker(workerUrl, { type: "module" });
+  } catch (e) {
+    console.warn("UNIQ prover: Web Worker unavailable, proving on the main thread:", e);
+    worker = null;
+  }
+
+  let nextId = 1;
+  const pending = new Map();
+
+  if (worker) {
+    worker.onmessage = (ev) => {
+      const { id, type, stage, result, error, code } = ev.data || {};
+      const job = pending.get(id);
+      if (!job) return;
+      if (type === "stage") {
+        job.onStage(stage);
+        return;
+      }
+      pending.delete(id);
+      if (type === "result") job.resolve(result);
+      else job.reject(codedError(code, error || "Proof generation failed"));
+    };
+    worker.onerror = (ev) => {
+      const err = new Error(ev && ev.message ? ev.message : "Prover worker crashed");
+      for (const job of pending.values()) job.reject(err);
+      pending.clear();
+    };
+  }
+
+  function prove(secrets, { onStage } = {}) {
+    const stageCb = typeof onStage === "function" ? onStage : () => {};
+    const leafMode = defaultCircuit === "membership" && secrets.tree && secrets.tree.mode === "leaf";
+    const circuit = leafMode ? "pos_prove" : defaultCircuit;
+    // opts.wasmUrl / zkeyUrl are the configured circuit's artifacts
+    const artifacts = leafMode ? {} : artifactOpts;
+    const withCircuit = (result) => ({ ...result, circuit });
+    if (!worker) {
+      const generate = circuit === "pos_prove" ? generateProof : generateMembershipProof;
+      return generate(secrets, { ...artifacts, onStage: stageCb }).then(withCircuit);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve: (result) => resolve(withCircuit(result)), reject, onStage: stageCb });
+      worker.postMessage({
+        id,
+        circuit,
+        email: secrets.email,
+        deKey: secrets.deKey,
+        nonce: secrets.nonce,
+        siteId: secrets.siteId,
+        tree: secrets.tree,
+        ...artifacts
+      });
+    });
+  }
+
+  function terminate() {
+    if (worker) worker.terminate();
+    worker = null;
+    for (const job of pending.values()) job.reject(new Error("Prover terminated"));
+    pending.clear();
+  }
+
+  return { prove, terminate };
+}
+
+// --- Server progress (see uniqid-sdk.progress.js) ---
+
+function randomProgressId() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * followServerProgress(onEvent, opts)
+ * - opens an EventSource on {opts.baseUrl}/progress/<random id> (default base /api/uniq) and calls
+ *   onEvent(event) for every { type: "stage", stage, status, ms, code } and the final
+ *   { type: "result", status, code } of the POST that sends `headers`
+ * - returns { id, headers, done(graceMs), close() }: done() resolves with the result event once it
+ *   arrived, or null after graceMs (the JSON answer can beat the last events), then closes the stream
+ * - returns null when the browser has no EventSource; a server without progress streams just sends no events
+ */
+export function followServerProgress(onEvent, opts = {}) {
+  if (typeof EventSource !== "function") return null;
+  const id = randomProgressId();
+  const source = new EventSource(`${opts.baseUrl || DEFAULT_API_BASE}/progress/${id}`);
+
+  let settle;
+  const result = new Promise((resolve) => (settle = resolve));
+  const finish = (event) => {
+    source.close();
+    settle(event);
+  };
+  const handle = (ev) => {
+    let event;
+    try {
+      event = JSON.parse(ev.data);
+    } catch (e) {
+      return;
+    }
+    try {
+      onEvent(event);
+    } catch (err) {
+      console.warn("UNIQ progress listener failed:", err);
+    }
+    if (event.type === "result") finish(event);
+  };
+  source.addEventListener("stage", handle);
+  source.addEventListener("result", handle);
+  // no reconnects: a lost stream only costs the remaining events, the POST still answers
+  source.onerror = () => finish(null);
+
+  return {
+    id,
+    headers: { [PROGRESS_HEADER]: id },
+    done(graceMs = 1000) {
+      const timer = new Promise((resolve) => setTimeout(() => resolve(null), graceMs));
+      return Promise.race([result, timer]).then((event) => {
+        finish(null);
+        return event;
+      });
+    },
+    close() {
+      finish(null);
+    }
+  };
+}
+
+export default {
+  computeLeaf,
+  generateProof,
+  generateMembershipProof,
+  createProver,
+  followServerProgress
+};
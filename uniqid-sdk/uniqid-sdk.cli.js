@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+// uniqid-sdk/uniqid-sdk.cli.js
+// ✅ `uniqid` command-line tool on top of the SDK: debug a failed UNIQ login without touching server.js
+// ✅ Commands: leaf, prove, verify, resolve, format-id, parse-id
+// ✅ Every command prints one JSON object on stdout — { success: true, ... } or { success: false, code, error }
+//    with a UNIQ_ERRORS code — and exits 0 / 1; the SDK's progress logs go to stderr (--quiet drops them)
+//
+//   npx uniqid leaf demo@uniq.id pizza-dekey
+//   npx uniqid prove --email demo@uniq.id --dekey - --site localhost --out ./debug
+//   npx uniqid verify --proof ./debug/proof.json --public ./debug/public.json --site localhost --check-root
+//   npx uniqid resolve 0x1049cdc3bba347dc0c7490895c49a193b4712ad674cf2547faf5bc2cc225f764
+//   npx uniqid parse-id UNIQ-000007
+//
+// Reads .env like server.js (UNIQ_RESOLVER, UNIQ_SITE, *_WASM_PATH, *_ZKEY_PATH, *_VKEY_PATH...).
+// A DeKey given as "-" is read from stdin, so it stays out of shell history and `ps`.
+
+import "dotenv/config";
+import * as fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import { groth16 } from "snarkjs";
+import {
+  UNIQ_ERRORS,
+  UniqError,
+  InvalidInputError,
+  ResolverUnavailableError,
+  computeLeaf,
+  createNonce,
+  siteIdFromName,
+  formatUniqId,
+  parseUniqId,
+  formatSiteHandle,
+  createUniqVerifier
+} from "./uniqid-sdk.server.js";
+import { createResolver, resolverConfigFromEnv, ROOT_STATUS } from "./uniqid-sdk.resolvers.js";
+import { generateProof, generateMembershipProof } from "./uniqid-sdk.browser.js";
+
+// --- ESM __dirname ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Circuit artifacts: same env variables and defaults as server.js / uniqid-sdk.server.js
+const CIRCUITS = {
+  membership: {
+    wasm: process.env.MEMBERSHIP_WASM_PATH || path.join(__dirname, "circuits", "membership_js", "membership.wasm"),
+    zkey: process.env.MEMBERSHIP_ZKEY_PATH || path.join(__dirname, "circuits", "membership_final.zkey"),
+    vkey: process.env.MEMBERSHIP_VKEY_PATH || path.join(__dirname, "circuits", "membership_verification_key.json"),
+    signals: ["nullifier", "root", "nonce", "siteId"]
+  },
+  pos_prove: {
+    wasm: process.env.POS_WASM_PATH || path.join(__dirname, "circuits", "pos_prove_js", "pos_prove.wasm"),
+    zkey: process.env.POS_ZKEY_PATH || path.join(__dirname, "circuits", "pos_prove_final.zkey"),
+    vkey: process.env.POS_VKEY_PATH || path.join(__dirname, "circuits", "verification_key.json"),
+    signals: ["nullifier", "leaf", "nonce", "siteId"]
+  }
+};
+
+const USAGE = `uniqid <command> [options]   (output: one JSON object on stdout)
+
+  leaf <email> <dekey>              emailHash, paraHash and leaf for a credential
+  prove --email <e> --dekey <d>     write proof.json + public.json
+        [--circuit membership|pos_prove] [--site <name> | --site-id <n>] [--nonce <n>]
+        [--tree <file|url>] [--out <dir>] [--wasm <path>] [--zkey <path>]
+  verify [--proof proof.json] [--public public.json] [--circuit membership|pos_prove] [--vkey <path>]
+        [--nonce <n>] [--site <name> | --site-id <n>] [--check-root]
+  resolve <leaf> | --email <e> --dekey <d>
+                                    ID and status of a leaf in the configured registry (UNIQ_RESOLVER)
+  format-id <id>                    7 -> "UNIQ-000007"
+  parse-id <UNIQ-ID>                "UNIQ-000007" -> 7
+
+  --dekey -   read the DeKey from stdin
+  --quiet     drop the SDK's progress logs (stderr)`;
+
+const OPTIONS = {
+  email: { type: "string" },
+  dekey: { type: "string" },
+  circuit: { type: "string" },
+  site: { type: "string" },
+  "site-id": { type: "string" },
+  nonce: { type: "string" },
+  tree: { type: "string" },
+  out: { type: "string" },
+  wasm: { type: "string" },
+  zkey: { type: "string" },
+  vkey: { type: "string" },
+  proof: { type: "string" },
+  public: { type: "string" },
+  "check-root": { type: "boolean" },
+  quiet: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+// --- Helpers ---
+
+function usage(message) {
+  throw new InvalidInputError(`${message} (see: uniqid help)`);
+}
+
+function readJson(file, what) {
+  const target = path.resolve(file);
+  if (!fs.existsSync(target)) usage(`${what} not found: ${target}`);
+  return JSON.parse(fs.readFileSync(target, "utf8"));
+}
+
+function circuitOf(values) {
+  const name = values.circuit || "membership";
+  if (!CIRCUITS[name]) usage(`Unknown circuit "${name}" (membership | pos_prove)`);
+  return { name, ...CIRCUITS[name] };
+}
+
+// "-" -> first line of stdin
+function secret(value) {
+  if (value !== "-") return value;
+  return fs.readFileSync(0, "utf8").split(/\r?\n/)[0];
+}
+
+function credentials(values, positionals) {
+  const email = values.email ?? positionals[0];
+  const deKey = secret(values.dekey ?? positionals[1]);
+  if (!email || !deKey) usage("An email and a DeKey are required");
+  return { email, deKey };
+}
+
+function siteOf(values) {
+  if (values["site-id"]) return { site: null, siteId: String(values["site-id"]) };
+  const site = values.site || process.env.UNIQ_SITE || "localhost";
+  return { site: site.trim().toLowerCase(), siteId: siteIdFromName(site) };
+}
+
+function isLeaf(value) {
+  return /^0x[0-9a-fA-F]{1,64}$/.test(String(value || ""));
+}
+
+// the configured registry; its failures are reported as RPC_UNAVAILABLE, like the server does
+async function askResolver(fn) {
+  const r = createResolver(resolverConfigFromEnv(process.env));
+  try {
+    return await fn(r);
+  } catch (err) {
+    throw new ResolverUnavailableError(`Root resolver unavailable: ${err && err.message ? err.message : err}`, { resolver: r.name });
+  }
+}
+
+// decimal or hex field element -> 0x + 64 hex digits
+function toBytes32(value) {
+  return "0x" + BigInt(value).toString(16).padStart(64, "0");
+}
+
+// publicSignals -> { nullifier, root | leaf, nonce, siteId, handle }
+function describeSignals(circuit, publicSignals) {
+  const out = {};
+  circuit.signals.forEach((name, i) => {
+    const value = publicSignals[i];
+    out[name] = value === undefined ? null : name === "nonce" || name === "siteId" ? String(value) : toBytes32(value);
+  });
+  if (out.nullifier) out.handle = formatSiteHandle(out.nullifier);
+  return out;
+}
+
+// a GET /api/uniq/tree response from a file or URL, or the configured resolver's tree
+async function loadTree(source, site) {
+  if (!source) return createUniqVerifier({ site: site || "localhost" }).getTree();
+  if (/^https?:\/\//i.test(source)) {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`GET ${source} answered ${res.status}`);
+    return res.json();
+  }
+  return readJson(source, "Tree file");
+}
+
+// --- Commands ---
+
+async function leaf(values, positionals) {
+  const { email, deKey } = credentials(values, positionals);
+  const { emailHashHex, paraHashHex, leafBytes32 } = await computeLeaf(email, deKey);
+  return {
+    email: String(email).trim().toLowerCase(),
+    emailHash: toBytes32(emailHashHex),
+    paraHash: toBytes32(paraHashHex),
+    leaf: leafBytes32,
+    // the same values as circuit inputs
+    decimal: {
+      emailHash: BigInt(emailHashHex).toString(),
+      paraHash: BigInt(paraHashHex).toString(),
+      leaf: BigInt(leafBytes32).toString()
+    }
+  };
+}
+
+async function prove(values, positionals) {
+  const { email, deKey } = credentials(values, positionals);
+  const circuit = circuitOf(values);
+  const { site, siteId } = siteOf(values);
+  const nonce = values.nonce || createNonce();
+  if (!/^\d+$/.test(String(nonce))) usage("--nonce must be a decimal number");
+  const opts = { wasmUrl: values.wasm || circuit.wasm, zkeyUrl: values.zkey || circuit.zkey, onStage: (stage) => console.log(`⏳ ${stage}`) };
+
+  const { proof, publicSignals } = circuit.name === "membership"
+    ? await generateMembershipProof({ email, deKey, nonce, siteId, tree: await loadTree(values.tree, site) }, opts)
+    : await generateProof({ email, deKey, nonce, siteId }, opts);
+
+  const outDir = path.resolve(values.out || ".");
+  fs.mkdirSync(outDir, { recursive: true });
+  const proofFile = path.join(outDir, "proof.json");
+  const publicFile = path.join(outDir, "public.json");
+  fs.writeFileSync(proofFile, JSON.stringify(proof, null, 2));
+  fs.writeFileSync(publicFile, JSON.stringify(publicSignals, null, 2));
+  return { circuit: circuit.name, site, proof: proofFile, public: publicFile, signals: describeSignals(circuit, publicSignals) };
+}
+
+async function verify(values) {
+  const circuit = circuitOf(values);
+  const vkeyFile = values.vkey || circuit.vkey;
+  const vkey = readJson(vkeyFile, "Verification key");
+  const proof = readJson(values.proof || "proof.json", "Proof file");
+  const publicSignals = readJson(values.public || "public.json", "Public signals file");
+  if (!Array.isArray(publicSignals) || publicSignals.length !== Number(vkey.nPublic)) {
+    usage(`Expected ${vkey.nPublic} public signals in ${values.public || "public.json"}`);
+  }
+  const signals = describeSignals(circuit, publicSignals);
+
+  let valid = false;
+  try {
+    valid = await groth16.verify(vkey, publicSignals, proof);
+  } catch (err) {
+    console.log("❌ Malformed proof:", err && err.message ? err.message : err);
+  }
+
+  // same order as the server: proof -> nonce -> site -> root; the first failure names the code
+  const checks = { proof: valid };
+  const failures = valid ? [] : ["PROOF_INVALID"];
+  if (values.nonce !== undefined) {
+    checks.nonce = signals.nonce === String(values.nonce);
+    if (!checks.nonce) failures.push("NONCE_MISMATCH");
+  }
+  if (values.site !== undefined || values["site-id"] !== undefined) {
+    checks.site = signals.siteId === siteOf(values).siteId;
+    if (!checks.site) failures.push("SITE_MISMATCH");
+  }
+  if (values["check-root"]) {
+    checks.root = await askResolver(async (r) => {
+      if (circuit.name === "membership") {
+        const registry = typeof r.locateRoot === "function" ? await r.locateRoot(signals.root) : null;
+        return { resolver: r.name, current: registry ? true : await r.isCurrentRoot(signals.root), registry };
+      }
+      const id = await r.rootToId(signals.leaf);
+      const status = typeof r.rootStatus === "function" ? await r.rootStatus(signals.leaf) : ROOT_STATUS.ACTIVE;
+      return { resolver: r.name, id, status };
+    });
+    if (circuit.name === "membership") {
+      if (!checks.root.current) failures.push("ROOT_NOT_CURRENT");
+    } else {
+      const { id, status } = checks.root;
+      if (!id) failures.push("ROOT_NOT_FOUND");
+      else if (status === ROOT_STATUS.ROTATED) failures.push("ROOT_ROTATED");
+      else if (status === ROOT_STATUS.REVOKED) failures.push("ROOT_REVOKED");
+    }
+  }
+
+  const result = { circuit: circuit.name, vkey: path.resolve(vkeyFile), signals, checks };
+  if (failures.length) return { success: false, code: failures[0], error: `Verification failed: ${failures.join(", ")}`, ...result };
+  return result;
+}
+
+async function resolve(values, positionals) {
+  let leafBytes32 = positionals[0];
+  if (!leafBytes32) {
+    const { email, deKey } = credentials(values, []);
+    leafBytes32 = (await computeLeaf(email, deKey)).leafBytes32;
+  }
+  if (!isLeaf(leafBytes32)) usage(`Malformed leaf: ${leafBytes32}`);
+  leafBytes32 = "0x" + leafBytes32.replace(/^0x/, "").toLowerCase().padStart(64, "0");
+
+  return askResolver(async (r) => {
+    const id = await r.rootToId(leafBytes32);
+    const status = typeof r.rootStatus === "function" ? await r.rootStatus(leafBytes32) : id ? ROOT_STATUS.ACTIVE : ROOT_STATUS.UNKNOWN;
+    const located = typeof r.locateLeaf === "function" ? await r.locateLeaf(leafBytes32) : null;
+    return {
+      resolver: r.name,
+      leaf: leafBytes32,
+      registered: id > 0,
+      id,
+      uniqId: id > 0 ? formatUniqId(id) : null,
+      status,
+      ...(located ? { registry: located.deployment } : {})
+    };
+  });
+}
+
+// format-id and parse-id accept the same inputs (7, "000007", "UNIQ-000007") and print both forms
+function uniqIdPair(values, positionals) {
+  if (positionals[0] === undefined) usage("An ID is required");
+  const id = parseUniqId(positionals[0]);
+  return { id, uniqId: formatUniqId(id) };
+}
+
+const COMMANDS = { leaf, prove, verify, resolve, "format-id": uniqIdPair, "parse-id": uniqIdPair };
+
+// --- Main ---
+
+// snarkjs keeps worker threads alive, so exit explicitly once stdout is flushed
+function finish(body, exitCode) {
+  process.stdout.write(JSON.stringify(body, null, 2) + "\n", () => process.exit(exitCode));
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === "help" || command === "--help" || command === "-h") {
+    process.stdout.write(USAGE + "\n");
+    return;
+  }
+
+  try {
+    const parsed = parseArgs({ args: rest, options: OPTIONS, allowPositionals: true });
+    const { values } = parsed;
+    if (values.help) {
+      process.stdout.write(USAGE + "\n");
+      return;
+    }
+    // stdout carries only the JSON result; the SDK's emoji progress logs go to stderr
+    console.log = values.quiet ? () => {} : (...args) => console.error(...args);
+
+    const run = COMMANDS[command];
+    if (!run) usage(`Unknown command "${command}"`);
+    const result = await run(values, parsed.positionals);
+    if (result.success === false) return finish(result, 1);
+    return finish({ success: true, ...result }, 0);
+  } catch (err) {
+    // UniqErrors and the browser prover's coded errors (ROOT_NOT_FOUND...) keep their code
+    const code = err instanceof UniqError || (err && UNIQ_ERRORS[err.code]) ? err.code
+      : err && String(err.code || "").startsWith("ERR_PARSE_ARGS") ? "INVALID_INPUT"
+      : "INTERNAL_ERROR";
+    return finish({ success: false, code, error: err && err.message ? err.message : String(err) }, 1);
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,182 @@
+// uniqid-sdk/uniqid-sdk.errors.js
+// ✅ Typed errors thrown by createUniqVerifier() (see uniqid-sdk.server.js)
+// ✅ Every error carries a stable `code`; check with instanceof or err.code
+// ✅ UNIQ_ERRORS: the catalogue of every code the UNIQ API answers with, its HTTP status and English message
+// ✅ uniqErrorBody(code): the JSON envelope every /api/uniq/* failure uses
+//
+//   { "success": false, "code": "ROOT_NOT_CURRENT", "error": "Merkle root is not a current registry root" }
+//
+// Codes never change meaning once published; `error` is English for logs and fallbacks — pages
+// should pick their own (localized) text by `code`. Some codes add fields (RATE_LIMITED: retryAfter).
+
+export const UNIQ_ERRORS = Object.freeze({
+  // request shape
+  INVALID_INPUT: { status: 400, message: "Missing or malformed fields" },
+  SECRETS_IN_BODY: { status: 400, message: "Email and DeKey must not be sent to the server; send a proof instead" },
+  CSRF_INVALID: { status: 403, message: "Invalid or missing CSRF token. Reload the page and try again." },
+  RATE_LIMITED: { status: 429, message: "Too many attempts. Try again later." },
+
+  // challenge nonce
+  NONCE_MISSING: { status: 400, message: "Missing challenge nonce. Request /api/uniq/challenge first." },
+  NONCE_INVALID: { status: 401, message: "Challenge nonce was not issued to this session." },
+  NONCE_EXPIRED: { status: 401, message: "Challenge nonce expired. Request a new challenge." },
+  NONCE_REUSED: { status: 409, message: "Challenge nonce was already used. Request a new challenge." },
+
+  // proof
+  PROOF_INVALID: { status: 401, message: "Proof is invalid" },
+  NONCE_MISMATCH: { status: 401, message: "Proof nonce does not match the issued challenge" },
+  SITE_MISMATCH: { status: 401, message: "Proof was made for a different site" },
+
+  // registry
+  ROOT_NOT_FOUND: { status: 401, message: "Root does not exist on-chain" },
+  ROOT_NOT_CURRENT: { status: 409, message: "Merkle root is not a current registry root" },
+  ROOT_REVOKED: { status: 403, message: "This UNIQ credential has been revoked" },
+  ROOT_ROTATED: { status: 403, message: "This UNIQ credential was replaced by a newer one; sign in with your new DeKey" },
+  ID_MISMATCH: { status: 403, message: "Entered ID does not match on-chain assigned ID" },
+  RPC_UNAVAILABLE: { status: 503, message: "Root resolver unavailable" },
+
+  // accounts & session
+  NOT_SIGNED_IN: { status: 401, message: "Not signed in with UNIQ" },
+  LOGIN_FAILED: { status: 401, message: "UNIQ login failed" },
+  NOT_REGISTERED: { status: 404, message: "UNIQ ID not registered on this site. Please sign up first." },
+  ALREADY_REGISTERED: { status: 409, message: "UNIQ ID already registered on this site" },
+  USERNAME_TAKEN: { status: 409, message: "That username is already taken on this site" },
+  REAUTH_REQUIRED: { status: 401, message: "Sign in with UNIQ again before changing your credential" },
+  SAME_CREDENTIAL: { status: 400, message: "That is already this account's credential. Prove with your new DeKey." },
+  CREDENTIAL_IN_USE: { status: 409, message: "That credential already has an account on this site" },
+  ROTATION_MISMATCH: { status: 403, message: "The new credential does not belong to the same UNIQ-ID as the old one" },
+  ALREADY_LINKED: { status: 409, message: "Unlink your current UNIQ-ID first" },
+  LINKED_ELSEWHERE: { status: 409, message: "This UNIQ-ID is already linked to another Google account." },
+  ACCOUNT_DISABLED: { status: 403, message: "This account has been disabled on this site" },
+
+  // anything unexpected (logged server-side, never detailed to the client)
+  INTERNAL_ERROR: { status: 500, message: "Server error" }
+});
+
+/**
+ * uniqErrorBody(code, { message, ...fields })
+ * - the failure envelope: { success: false, code, error, ...fields }
+ * - message overrides the catalogue's English text (e.g. to add a detail); unknown codes get INTERNAL_ERROR's
+ */
+export function uniqErrorBody(code, { message, ...fields } = {}) {
+  const entry = UNIQ_ERRORS[code] || UNIQ_ERRORS.INTERNAL_ERROR;
+  return { success: false, code, error: message || entry.message, ...fields };
+}
+
+/**
+ * uniqErrorStatus(code)
+ * - the catalogue's HTTP status for code (500 when the code is unknown)
+ */
+export function uniqErrorStatus(code) {
+  return (UNIQ_ERRORS[code] || UNIQ_ERRORS.INTERNAL_ERROR).status;
+}
+
+export class UniqError extends Error {
+  constructor(code, message, details = {}) {
+    super(message || (UNIQ_ERRORS[code] && UNIQ_ERRORS[code].message));
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+
+  // HTTP status from the catalogue
+  get status() {
+    return uniqErrorStatus(this.code);
+  }
+}
+
+// Bad arguments: missing proof, malformed UNIQ-ID, wrong number of public signals...
+export class InvalidInputError extends UniqError {
+  constructor(message, details) {
+    super("INVALID_INPUT", message, details);
+  }
+}
+
+// Groth16 verification failed
+export class ProofInvalidError extends UniqError {
+  constructor(message, details) {
+    super("PROOF_INVALID", message, details);
+  }
+}
+
+// Proof is valid but was made for a different challenge nonce
+export class NonceMismatchError extends UniqError {
+  constructor(message, details) {
+    super("NONCE_MISMATCH", message, details);
+  }
+}
+
+// Proof is valid but its nullifier is scoped to another site
+export class SiteMismatchError extends UniqError {
+  constructor(message, details) {
+    super("SITE_MISMATCH", message, details);
+  }
+}
+
+// rootToId returned 0 for the proven leaf
+export class RootNotFoundError extends UniqError {
+  constructor(message, details) {
+    super("ROOT_NOT_FOUND", message, details);
+  }
+}
+
+// The proven root was registered but its owner revoked it (lost or compromised DeKey)
+export class RootRevokedError extends UniqError {
+  constructor(message, details) {
+    super("ROOT_REVOKED", message, details);
+  }
+}
+
+// The proven root was replaced by a newer one for the same UNIQ-ID (DeKey rotation)
+export class RootRotatedError extends UniqError {
+  constructor(message, details) {
+    super("ROOT_ROTATED", message, details);
+  }
+}
+
+// Membership proof is for a Merkle root the registry no longer (or never) published;
+// the client should fetch the tree again and re-prove
+export class RootNotCurrentError extends UniqError {
+  constructor(message, details) {
+    super("ROOT_NOT_CURRENT", message, details);
+  }
+}
+
+// The UNIQ-ID the user typed is not the one the root resolves to
+export class IdMismatchError extends UniqError {
+  constructor(message, details) {
+    super("ID_MISMATCH", message, details);
+  }
+}
+
+// Rotation: the old and the new credential resolve to different UNIQ-IDs
+export class RotationMismatchError extends UniqError {
+  constructor(message, details) {
+    super("ROTATION_MISMATCH", message, details);
+  }
+}
+
+// The resolver backend (RPC node, registry file...) could not answer
+export class ResolverUnavailableError extends UniqError {
+  constructor(message, details) {
+    super("RPC_UNAVAILABLE", message, details);
+  }
+}
+
+export default {
+  UNIQ_ERRORS,
+  uniqErrorBody,
+  uniqErrorStatus,
+  UniqError,
+  InvalidInputError,
+  ProofInvalidError,
+  NonceMismatchError,
+  SiteMismatchError,
+  RootNotFoundError,
+  RootRevokedError,
+  RootRotatedError,
+  RootNotCurrentError,
+  IdMismatchError,
+  RotationMismatchError,
+  ResolverUnavailableError
+};
@@ -0,0 +1,382 @@
+// uniqid-sdk/uniqid-sdk.express.js
+// ✅ Mountable Express router for UNIQ-ID sign-up / login
+// ✅ Routes: GET /challenge, GET /tree, POST /signup, POST /login, POST /rotate, POST /logout, GET /me,
+//    GET /progress/:id (Server-Sent Events)
+// ✅ requireUniqUser() guard for pages that need a UNIQ session
+// ✅ With `passport`, signs users in through the "uniq" strategy so req.user carries { provider: "uniq" }
+// ✅ Accounts are keyed on the site-scoped nullifier; the server never learns which registration proved
+// ✅ Failed signup / login / rotate attempts are rate limited per IP, session and verified nullifier (429 + Retry-After)
+// ✅ Every failure is a UNIQ_ERRORS envelope { success: false, code, error } with the catalogue's status
+// ✅ A POST carrying X-Uniq-Progress: <id> streams its stages (challenge, proof, nonce, site, root, account,
+//    session) with timings to GET /progress/<id>, so the page can show where a request is and what failed
+//
+//   app.use("/api/uniq", uniqAuth({ store, resolver, onSignup, onLogin }));
+//   app.get("/uniq-dashboard", requireUniqUser({ redirectTo: "/uniq" }), handler);
+//
+// Needs express-session mounted before it (and passport.session() when `passport` is passed).
+// The router never sees an email or DeKey: the page downloads the whole registry tree, proves
+// membership in the browser and only posts { proof, publicSignals, nonce }; only this site's
+// nullifier is stored. While the registry has no tree, GET /tree answers { mode: "leaf" } and the
+// page posts a pos_prove proof with circuit: "pos_prove" instead (see createUniqVerifier).
+
+import express from "express";
+import { createUniqVerifier, UniqError, uniqErrorBody, uniqErrorStatus } from "./uniqid-sdk.server.js";
+import { UniqStrategy, verifyProofRequest } from "./uniqid-sdk.passport.js";
+import { createRateLimiter, rateLimitAttempts, sendRateLimited } from "./uniqid-sdk.ratelimit.js";
+import { createProgressHub, progressStream, trackProgress } from "./uniqid-sdk.progress.js";
+
+export const DEFAULT_CHALLENGE_TTL_MS = 2 * 60 * 1000;
+const DEFAULT_SESSION_KEY = "uniqUser";
+const TREE_MAX_AGE_S = 10;
+// POST routes whose failed attempts reach opts.onFailure
+const ATTEMPT_ROUTES = { "/signup": "signup", "/login": "login", "/rotate": "rotate" };
+
+// --- Helpers ---
+
+/**
+ * sendUniqError(res, code, { message, status, ...fields })
+ * - answers with the UNIQ_ERRORS envelope for code; status defaults to the catalogue's
+ * - leaves the code in res.locals.uniqErrorCode for hooks that run once the answer is sent
+ */
+export function sendUniqError(res, code, { status, ...fields } = {}) {
+  res.locals.uniqErrorCode = code;
+  return res.status(status || uniqErrorStatus(code)).json(uniqErrorBody(code, fields));
+}
+
+// verifyProofRequest() outcome / strategy failure -> envelope (a locked verified identity -> 429 + Retry-After)
+function sendOutcome(res, { status, error, code, retryAfterMs }) {
+  if (code === "RATE_LIMITED" && retryAfterMs) return sendRateLimited(res, { retryAfterMs });
+  return sendUniqError(res, code || "LOGIN_FAILED", { status, message: error });
+}
+
+
+/**
+ * rotationProof(verifier)
+ * - the verifyProofRequest() `verify` option for a rotation body:
+ *   { previous: { proof, publicSignals }, proof, publicSignals, nonce } (old and new credential, pos_prove)
+ */
+export function rotationProof(verifier) {
+  return (body, stageOpts) => verifier.verifyRotation(
+    { previous: body.previous, proof: body.proof, publicSignals: body.publicSignals, nonce: body.nonce },
+    stageOpts
+  );
+}
+
+// Signed-in UNIQ user: a passport user with provider "uniq", or the plain session entry
+function currentUniqUser(req, sessionKey) {
+  if (req.user && req.user.provider === "uniq") return req.user;
+  return (req.session && req.session[sessionKey]) || null;
+}
+
+// --- Guard ---
+
+/**
+ * requireUniqUser(opts)
+ * - lets the request through when a UNIQ user is signed in, exposed as req.uniqUser
+ * - otherwise redirects to opts.redirectTo, or answers 401 JSON when no redirect is given
+ * - opts.sessionKey must match the one given to uniqAuth (default "uniqUser")
+ */
+export function requireUniqUser({ redirectTo, sessionKey = DEFAULT_SESSION_KEY } = {}) {
+  return (req, res, next) => {
+    const user = currentUniqUser(req, sessionKey);
+    if (user) {
+      req.uniqUser = user;
+      return next();
+    }
+    if (redirectTo) return res.redirect(redirectTo);
+    return sendUniqError(res, "NOT_SIGNED_IN");
+  };
+}
+
+// --- Router ---
+
+/**
+ * uniqAuth(opts)
+ * - opts.store:     { findByNullifier(nullifier), create({ nullifier, username }) } (sync or async);
+ *                   create() should throw Error("UniqExists") on a duplicate nullifier and
+ *                   Error("UsernameExists") on a duplicate username;
+ *                   optional rotate(oldNullifier, newNullifier) moves an account to a new credential
+ *                   (same username / createdAt) and enables POST /rotate; throws Error("UniqExists") too;
+ *                   findByNullifier may return an account that already has a `provider` (e.g. a Google
+ *                   account linked to that UNIQ ID) — logins then sign in to that account as-is
+ * - opts.site:      this site's name, scopes the nullifier (default: UNIQ_SITE env)
+ * - opts.resolver:  resolver object or createResolver() config (default: from env)
+ * - opts.verifier:  a ready createUniqVerifier() instance (overrides site / resolver / auditSink)
+ * - opts.auditSink: passed to createUniqVerifier
+ * - opts.passport:  passport instance; registers UniqStrategy as "uniq" and signs in with req.login,
+ *                   so req.user = { provider: "uniq", nullifier, handle, username, createdAt }
+ * - opts.onSignup(user, req), opts.onLogin(user, req), opts.onLogout(user, req),
+ *   opts.onRotate(user, req, { previousNullifier }): optional hooks, awaited after the session is updated
+ * - opts.onFailure({ action, code, status }, req): optional, called once a failed signup / login / rotate
+ *   has been answered (action "signup" | "login" | "rotate", code from UNIQ_ERRORS); not awaited
+ * - opts.rateLimit: a createRateLimiter() instance (share one with the rest of the app), its config,
+ *                   or false to turn limiting off (default: createRateLimiter() with in-memory state)
+ * - opts.progress: a createProgressHub() instance, its options, or false to turn progress streams off
+ *                   (default: createProgressHub() in this process)
+ * - opts.challengeTtlMs, opts.sessionKey (plain-session mode only)
+ * - returns an express.Router; router.requireUniqUser(opts) is a guard bound to the same sessionKey,
+ *   router.rateLimiter the limiter in use (or null), router.trackProgress middleware that lets app
+ *   routes outside the router stream their stages too (req.uniqProgress)
+ */
+export function uniqAuth(opts = {}) {
+  const { store, site, resolver, auditSink, passport, onSignup, onLogin, onLogout, onRotate, onFailure } = opts;
+  if (!store || typeof store.findByNullifier !== "function" || typeof store.create !== "function") {
+    throw new Error("uniqAuth: store must implement findByNullifier() and create()");
+  }
+  const verifier = opts.verifier || createUniqVerifier({ site, resolver, auditSink });
+  const challengeTtlMs = opts.challengeTtlMs || DEFAULT_CHALLENGE_TTL_MS;
+  const sessionKey = opts.sessionKey || DEFAULT_SESSION_KEY;
+  const limiter = opts.rateLimit === false
+    ? null
+    : opts.rateLimit && typeof opts.rateLimit.acquire === "function"
+      ? opts.rateLimit
+      : createRateLimiter(opts.rateLimit || {});
+  // IP + session up front; the nullifier joins once verifyProofRequest has checked the proof, so
+  // failures with someone else's publicSignals never count against (or lock out) that person
+  const limitAttempts = rateLimitAttempts(limiter);
+  const hub = opts.progress === false
+    ? null
+    : opts.progress && typeof opts.progress.publish === "function"
+      ? opts.progress
+      : createProgressHub(opts.progress || {});
+  const withProgress = trackProgress(hub);
+
+  const toUser = (stored) =>
+    stored.provider
+      ? stored
+      : {
+          provider: "uniq",
+          nullifier: stored.nullifier,
+          handle: verifier.formatSiteHandle(stored.nullifier),
+          username: stored.username,
+          createdAt: stored.createdAt || null
+        };
+  const toPublic = (user) => ({ handle: user.handle, username: user.username });
+
+  // (no registered-ID precheck: the nullifier is only known once the proof is verified)
+  if (passport) {
+    passport.use("uniq", new UniqStrategy({ verifier, passReqToCallback: true }, async (req, identity, done) => {
+      try {
+        if (req.uniqProgress) req.uniqProgress.start("account");
+        const found = await store.findByNullifier(identity.nullifier);
+        return found ? done(null, toUser(found)) : done(null, false, { code: "NOT_REGISTERED", status: uniqErrorStatus("NOT_REGISTERED") });
+      } catch (err) {
+        return done(err);
+      }
+    }));
+  }
+
+  // New session ID on every sign-in (passport's req.login does the same), so a session id planted
+  // before login is worthless afterwards. The new session is stamped with its sign-in time
+  // (req.session.startedAt), which absolute session timeouts count from.
+  function signIn(req, user) {
+    if (!passport) {
+      return new Promise((resolve, reject) => req.session.regenerate((err) => {
+        if (err) return reject(err);
+        req.session.startedAt = Date.now();
+        // the nullifier stays server-side in the session; POST /rotate needs it
+        req.session[sessionKey] = { ...toPublic(user), nullifier: user.nullifier };
+        resolve();
+      }));
+    }
+    return new Promise((resolve, reject) => req.login(user, (err) => {
+      if (err) return reject(err);
+      req.session.startedAt = Date.now();
+      resolve();
+    }));
+  }
+
+  function signOut(req) {
+    if (!passport || !req.user) {
+      delete req.session[sessionKey];
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => req.logout((err) => (err ? reject(err) : resolve())));
+  }
+
+  const router = express.Router();
+  router.use(express.json());
+  router.use((req, res, next) => {
+    if (!req.session) return next(new Error("uniqAuth: express-session must be mounted before the UNIQ router"));
+    next();
+  });
+  router.use(withProgress);
+  if (onFailure) {
+    router.use((req, res, next) => {
+      const action = req.method === "POST" ? ATTEMPT_ROUTES[req.path] : null;
+      if (action) {
+        res.on("finish", () => {
+          if (res.statusCode < 400) return;
+          const failure = { action, code: res.locals.uniqErrorCode || "INTERNAL_ERROR", status: res.statusCode };
+          Promise.resolve()
+            .then(() => onFailure(failure, req))
+            .catch((err) => console.error("UNIQ onFailure hook failed:", err));
+        });
+      }
+      next();
+    });
+  }
+
+  // Issue a fresh challenge (replaces any outstanding one for this session)
+  router.get("/challenge", (req, res) => {
+    const challenge = { nonce: verifier.createNonce(), expiresAt: Date.now() + challengeTtlMs };
+    req.session.uniqChallenge = challenge;
+    res.set("Cache-Control", "no-store");
+    return res.json({
+      nonce: challenge.nonce,
+      siteId: verifier.siteId,
+      site: verifier.site,
+      expiresAt: new Date(challenge.expiresAt).toISOString()
+    });
+  });
+
+  // Registry tree: the page builds its Merkle path locally, so every client downloads all leaves
+  // (asking for one leaf's path would tell the server who is logging in)
+  router.get("/tree", async (req, res, next) => {
+    try {
+      const tree = await verifier.getTree();
+      res.set("Cache-Control", `public, max-age=${TREE_MAX_AGE_S}`);
+      return res.json(tree);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Progress of this session's POSTs, followed with EventSource before the POST is sent
+  router.get("/progress/:id", progressStream(hub));
+
+  // Signup: verify membership proof, store only { nullifier, username }
+  // (stages still open when an error is sent are reported failed with its code)
+  router.post("/signup", limitAttempts, async (req, res, next) => {
+    try {
+      const progress = req.uniqProgress;
+      const outcome = await verifyProofRequest(req, verifier, { requiredFields: ["username"] });
+      if (!outcome.verified) return sendOutcome(res, outcome);
+      const { nullifier } = outcome.verified;
+
+      progress.start("account");
+      if (await store.findByNullifier(nullifier)) return sendUniqError(res, "ALREADY_REGISTERED");
+      let saved;
+      try {
+        saved = await store.create({ nullifier, username: req.body.username });
+      } catch (e) {
+        if (e && e.message === "UniqExists") return sendUniqError(res, "ALREADY_REGISTERED");
+        if (e && e.message === "UsernameExists") return sendUniqError(res, "USERNAME_TAKEN");
+        throw e;
+      }
+      progress.ok("account", { created: true });
+
+      const user = toUser(saved);
+      await progress.run("session", () => signIn(req, user));
+      if (onSignup) await onSignup(user, req);
+      return res.json({ success: true, ...toPublic(user) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Login: the UNIQ ID must already be registered on this site
+  async function finishLogin(req, res, user) {
+    req.uniqProgress.ok("account");
+    await req.uniqProgress.run("session", () => signIn(req, user));
+    if (onLogin) await onLogin(user, req);
+    return res.json({ success: true, ...toPublic(user) });
+  }
+
+  router.post("/login", limitAttempts, (req, res, next) => {
+    if (passport) {
+      return passport.authenticate("uniq", (err, user, info, status) => {
+        if (err) return next(err);
+        if (!user) return sendOutcome(res, { status, error: info && info.message, code: info && info.code, retryAfterMs: info && info.retryAfterMs });
+        finishLogin(req, res, user).catch(next);
+      })(req, res, next);
+    }
+
+    (async () => {
+      const outcome = await verifyProofRequest(req, verifier);
+      if (!outcome.verified) return sendOutcome(res, outcome);
+
+      req.uniqProgress.start("account");
+      const found = await store.findByNullifier(outcome.verified.nullifier);
+      if (!found) return sendUniqError(res, "NOT_REGISTERED");
+      return finishLogin(req, res, toUser(found));
+    })().catch(next);
+  });
+
+  // Rotate: the signed-in UNIQ user proves both the old and the new DeKey (pos_prove, see
+  // verifier.verifyRotation) and keeps their account. The new credential must belong to the same
+  // UNIQ-ID (ROTATION_MISMATCH otherwise), so one person cannot move an account onto someone else's ID.
+  if (typeof store.rotate === "function") {
+    router.post("/rotate", requireUniqUser({ sessionKey }), limitAttempts, async (req, res, next) => {
+      try {
+        const current = req.uniqUser;
+        if (!current.nullifier) return sendUniqError(res, "REAUTH_REQUIRED");
+
+        const outcome = await verifyProofRequest(req, verifier, { requiredFields: ["previous"], verify: rotationProof(verifier) });
+        if (!outcome.verified) return sendOutcome(res, outcome);
+        const { nullifier, previousNullifier } = outcome.verified;
+
+        req.uniqProgress.start("account");
+        if (previousNullifier !== current.nullifier) {
+          return sendUniqError(res, "ID_MISMATCH", { message: "The old DeKey you proved is not this account's credential" });
+        }
+        if (nullifier === current.nullifier) return sendUniqError(res, "SAME_CREDENTIAL");
+        if (await store.findByNullifier(nullifier)) return sendUniqError(res, "CREDENTIAL_IN_USE");
+        let saved;
+        try {
+          saved = await store.rotate(current.nullifier, nullifier);
+        } catch (e) {
+          if (e && e.message === "UniqExists") return sendUniqError(res, "CREDENTIAL_IN_USE");
+          throw e;
+        }
+
+        req.uniqProgress.ok("account", { rotated: true });
+
+        const user = toUser(saved);
+        await req.uniqProgress.run("session", () => signIn(req, user));
+        if (onRotate) await onRotate(user, req, { previousNullifier: current.nullifier });
+        return res.json({ success: true, ...toPublic(user), previousHandle: current.handle });
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  // Logout: signs the UNIQ user out (the session itself stays for the host app)
+  router.post("/logout", async (req, res, next) => {
+    try {
+      const user = currentUniqUser(req, sessionKey);
+      if (user) await signOut(req);
+      if (user && onLogout) await onLogout(user, req);
+      return res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Current UNIQ user
+  router.get("/me", requireUniqUser({ sessionKey }), (req, res) => {
+    res.set("Cache-Control", "no-store");
+    return res.json(toPublic(req.uniqUser));
+  });
+
+  // Typed SDK errors keep their catalogue status; anything else is logged and answered INTERNAL_ERROR
+  router.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err instanceof UniqError) return sendUniqError(res, err.code, { message: err.message });
+    console.error("UNIQ router error:", err);
+    return sendUniqError(res, "INTERNAL_ERROR");
+  });
+
+  router.requireUniqUser = (guardOpts = {}) => requireUniqUser({ sessionKey, ...guardOpts });
+  router.rateLimiter = limiter;
+  router.trackProgress = withProgress;
+  return router;
+}
+
+export default {
+  uniqAuth,
+  requireUniqUser,
+  rotationProof,
+  sendUniqError
+};
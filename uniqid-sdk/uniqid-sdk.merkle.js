@@ -0,0 +1,108 @@
+// uniqid-sdk/uniqid-sdk.merkle.js
+// ✅ Poseidon Merkle tree helpers shared by the server SDK, the resolvers and the browser prover
+// ✅ Same layout as circuits/membership.circom: parent = Poseidon(left, right), empty slots are 0
+// ✅ Values are bytes32 hex strings ("0x" + 64 hex), like leafBytes32 everywhere else
+//
+// Pure functions, no Node or browser APIs: pass a circomlibjs Poseidon instance (await buildPoseidon()).
+
+// Must match UniqMembership(10) in circuits/membership.circom
+export const MERKLE_DEPTH = 10;
+
+// --- Helpers ---
+
+function toBytes32(value) {
+  let s = BigInt(value).toString(16);
+  while (s.length < 64) s = "0" + s;
+  return "0x" + s;
+}
+
+function hashPair(poseidon, left, right) {
+  return toBytes32(poseidon.F.toObject(poseidon([BigInt(left), BigInt(right)])));
+}
+
+// zeros[i] = root of an empty subtree of height i
+const zeroCache = new WeakMap();
+function zeroHashes(poseidon, depth) {
+  let zeros = zeroCache.get(poseidon);
+  if (!zeros) {
+    zeros = [toBytes32(0)];
+    zeroCache.set(poseidon, zeros);
+  }
+  while (zeros.length <= depth) zeros.push(hashPair(poseidon, zeros[zeros.length - 1], zeros[zeros.length - 1]));
+  return zeros;
+}
+
+function assertPoseidon(poseidon) {
+  if (typeof poseidon !== "function" || !poseidon.F) throw new Error("Merkle helpers need a circomlibjs Poseidon instance");
+}
+
+// --- Main Functions ---
+
+/**
+ * buildMerkleTree(leaves, { poseidon, depth })
+ * - leaves: bytes32 hex strings (anything BigInt() accepts) in registration order
+ * - returns { depth, root, leaves, layers, zeros }; layers[0] = leaves, layers[depth] = [root],
+ *   zeros[i] = root of an empty subtree of height i (stands in for missing siblings)
+ * - throws when there are more than 2^depth leaves
+ */
+export function buildMerkleTree(leaves, { poseidon, depth = MERKLE_DEPTH } = {}) {
+  assertPoseidon(poseidon);
+  const list = (leaves || []).map(toBytes32);
+  if (list.length > 2 ** depth) throw new Error(`Merkle tree of depth ${depth} holds at most ${2 ** depth} leaves, got ${list.length}`);
+
+  const zeros = zeroHashes(poseidon, depth);
+  const layers = [list];
+  for (let level = 0; level < depth; level++) {
+    const nodes = layers[level];
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += 2) {
+      parents.push(hashPair(poseidon, nodes[i], i + 1 < nodes.length ? nodes[i + 1] : zeros[level]));
+    }
+    layers.push(parents);
+  }
+  const root = layers[depth][0] || zeros[depth];
+
+  return { depth, root, leaves: list, layers, zeros: zeros.slice(0, depth + 1) };
+}
+
+/**
+ * getMerklePath(tree, leaf)
+ * - leaf: bytes32 hex (looked up by value) or a leaf index
+ * - returns { leafIndex, pathElements, pathIndices, root } — the membership circuit's private inputs
+ * - returns null when the leaf is not in the tree
+ */
+export function getMerklePath(tree, leaf) {
+  const leafIndex = typeof leaf === "number" ? leaf : tree.leaves.indexOf(toBytes32(leaf));
+  if (leafIndex < 0 || leafIndex >= tree.leaves.length) return null;
+
+  const pathElements = [];
+  const pathIndices = [];
+  let index = leafIndex;
+  for (let level = 0; level < tree.depth; level++) {
+    const sibling = tree.layers[level][index ^ 1];
+    pathElements.push(sibling !== undefined ? sibling : tree.zeros[level]);
+    pathIndices.push(index & 1);
+    index >>= 1;
+  }
+  return { leafIndex, pathElements, pathIndices, root: tree.root };
+}
+
+/**
+ * computeMerkleRoot(leaf, { pathElements, pathIndices }, { poseidon })
+ * - what membership.circom computes; use it to check a path before proving
+ */
+export function computeMerkleRoot(leaf, { pathElements, pathIndices }, { poseidon } = {}) {
+  assertPoseidon(poseidon);
+  let node = toBytes32(leaf);
+  pathElements.forEach((sibling, level) => {
+    node = pathIndices[level] ? hashPair(poseidon, sibling, node) : hashPair(poseidon, node, sibling);
+  });
+  return node;
+}
+
+export default {
+  MERKLE_DEPTH,
+  buildMerkleTree,
+  getMerklePath,
+  computeMerkleRoot
+};
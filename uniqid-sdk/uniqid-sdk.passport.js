@@ -0,0 +1,155 @@
+// uniqid-sdk/uniqid-sdk.passport.js
+// ✅ Passport strategy for UNIQ-ID ("uniq"), built on createUniqVerifier()
+// ✅ Also home of the request checks shared with the Express router (uniqid-sdk.express.js):
+//    no secrets in the body, single-use challenge nonce, Merkle membership proof
+// ✅ Reports challenge + proof stages to req.uniqProgress when a progress stream is attached (trackProgress)
+//
+//   passport.use(new UniqStrategy({ verifier }, (identity, done) => {
+//     const user = users.findByNullifier(identity.nullifier);
+//     done(null, user ? { provider: "uniq", ...user } : false, { message: "Please sign up first", code: "NOT_REGISTERED", status: 404 });
+//   }));
+//   app.post("/api/uniq/login", passport.authenticate("uniq"), handler);
+
+import { Strategy } from "passport-strategy";
+import { createUniqVerifier, UniqError, UNIQ_ERRORS } from "./uniqid-sdk.server.js";
+import { createStageReporter } from "./uniqid-sdk.progress.js";
+
+const USED_NONCES_KEPT = 20; // remembered per session so replays get NONCE_REUSED instead of NONCE_INVALID
+
+// --- Request checks ---
+
+// Reject requests that still carry raw secrets (old page versions / misbehaving clients)
+function carriesSecrets(body) {
+  return !!body && (body.email !== undefined || body.deKey !== undefined || body.dekey !== undefined);
+}
+
+// Catalogue entry -> the { status, code, error } outcome verifyProofRequest resolves with
+function outcome(code, message) {
+  return { status: UNIQ_ERRORS[code].status, code, error: message || UNIQ_ERRORS[code].message };
+}
+
+// Consume the session's outstanding challenge. Returns null when `nonce` is acceptable,
+// otherwise { status, code, error } for the caller to send back.
+function consumeChallenge(req, nonce) {
+  if (!nonce) return outcome("NONCE_MISSING");
+  const nonceStr = String(nonce);
+  const used = req.session.usedUniqNonces || [];
+  if (used.includes(nonceStr)) return outcome("NONCE_REUSED");
+  const challenge = req.session.uniqChallenge;
+  if (!challenge || challenge.nonce !== nonceStr) return outcome("NONCE_INVALID");
+
+  // single use: burn it whatever the verification outcome
+  delete req.session.uniqChallenge;
+  req.session.usedUniqNonces = [...used, nonceStr].slice(-USED_NONCES_KEPT);
+
+  if (Date.now() > challenge.expiresAt) return outcome("NONCE_EXPIRED");
+  return null;
+}
+
+// Typed SDK error -> { status, error, code } (status from UNIQ_ERRORS); anything else is rethrown as a server error
+function uniqErrorOutcome(err) {
+  if (!(err instanceof UniqError)) throw err;
+  return { status: err.status, error: err.message, code: err.code };
+}
+
+/**
+ * verifyProofRequest(req, verifier, { requiredFields, precheck, verify })
+ * - body checks: no email/DeKey, proof + publicSignals + requiredFields present
+ * - burns the session's challenge nonce, then runs precheck(body) (cheap app checks, may
+ *   return { status, code, error } to stop), then verifier.verify (with body.circuit, "pos_prove" in
+ *   leaf mode) — or verify(body, { onStage }) when given (e.g. verifier.verifyRotation for POST /rotate)
+ * - a verified nullifier is handed to req.attemptLimit.identify (rateLimitAttempts) when present;
+ *   if that identity is locked out it resolves RATE_LIMITED with retryAfterMs
+ * - resolves { verified } or { status, code, error } (a UNIQ_ERRORS code); only unexpected errors reject
+ * - stages (challenge, then verify()'s proof -> nonce -> site -> root) go to req.uniqProgress if set
+ */
+export async function verifyProofRequest(req, verifier, { requiredFields = [], precheck, verify } = {}) {
+  const progress = req.uniqProgress || createStageReporter(null);
+  if (carriesSecrets(req.body)) return outcome("SECRETS_IN_BODY");
+  const body = req.body || {};
+  if (!body.proof || !Array.isArray(body.publicSignals) || requiredFields.some((f) => !body[f])) {
+    return outcome("INVALID_INPUT", `Missing fields: proof, publicSignals${requiredFields.map((f) => `, ${f}`).join("")}`);
+  }
+
+  progress.start("challenge");
+  const nonceErr = consumeChallenge(req, body.nonce);
+  if (nonceErr) {
+    progress.fail("challenge", nonceErr.code);
+    return nonceErr;
+  }
+  progress.ok("challenge");
+
+  try {
+    const stop = precheck ? await precheck(body) : null;
+    if (stop) return stop;
+
+    const verified = verify
+      ? await verify(body, { onStage: progress.emit })
+      : await verifier.verify(
+        { proof: body.proof, publicSignals: body.publicSignals, nonce: body.nonce, circuit: body.circuit },
+        { onStage: progress.emit }
+      );
+    // only now is the nullifier known to be the prover's: it becomes the rate limit's identity key
+    const limited = req.attemptLimit ? await req.attemptLimit.identify(verified.nullifier) : null;
+    if (limited && !limited.allowed) return { ...outcome("RATE_LIMITED"), retryAfterMs: limited.retryAfterMs };
+    return { verified };
+  } catch (err) {
+    return uniqErrorOutcome(err);
+  }
+}
+
+// --- Strategy ---
+
+/**
+ * new UniqStrategy(options, verify)
+ * - options: { verifier, site, resolver, auditSink, precheck, passReqToCallback }
+ *     verifier: a createUniqVerifier() instance (otherwise built from site / resolver / auditSink)
+ *     precheck: see verifyProofRequest, app checks that run before the (slower) proof check
+ * - verify([req,] identity, done): identity is verify()'s { nullifier, handle, root, registry, verifiedAt };
+ *   look users up by identity.nullifier (the site-scoped key);
+ *   call done(null, user) to sign in, done(null, false, { message, code, status }) to refuse
+ * - failures reach a custom passport.authenticate callback as (null, false, { message, code }, status)
+ */
+export class UniqStrategy extends Strategy {
+  constructor(options, verify) {
+    if (typeof options === "function") {
+      verify = options;
+      options = {};
+    }
+    if (typeof verify !== "function") throw new TypeError("UniqStrategy requires a verify callback");
+    super();
+    this.name = "uniq";
+    this._verify = verify;
+    this._verifier = options.verifier || createUniqVerifier({ site: options.site, resolver: options.resolver, auditSink: options.auditSink });
+    this._precheck = options.precheck;
+    this._passReqToCallback = !!options.passReqToCallback;
+  }
+
+  authenticate(req) {
+    if (!req.session) return this.error(new Error("UniqStrategy: express-session is required for challenge nonces"));
+
+    verifyProofRequest(req, this._verifier, { precheck: this._precheck })
+      .then((outcome) => {
+        if (!outcome.verified) {
+          return this.fail({ message: outcome.error, code: outcome.code, retryAfterMs: outcome.retryAfterMs }, outcome.status);
+        }
+        const done = (err, user, info) => {
+          if (err) return this.error(err);
+          if (!user) {
+            const { status = 401, ...challenge } = info || { message: "UNIQ ID was not accepted", code: "LOGIN_FAILED" };
+            return this.fail(challenge, status);
+          }
+          return this.success(user, info);
+        };
+        try {
+          if (this._passReqToCallback) this._verify(req, outcome.verified, done);
+          else this._verify(outcome.verified, done);
+        } catch (err) {
+          this.error(err);
+        }
+      })
+      .catch((err) => this.error(err));
+  }
+}
+
+export default UniqStrategy;
@@ -0,0 +1,248 @@
+// uniqid-sdk/uniqid-sdk.progress.js
+// ✅ Structured stage events for UNIQ verification: { stage, status: "start" | "ok" | "fail", ms, code, at, ... }
+// ✅ createStageReporter(onStage) times the steps of one request; verify(input, { onStage }) uses it for
+//    proof -> nonce -> site -> root, the Express router adds challenge -> account -> session
+// ✅ createProgressHub() relays one request's events to a Server-Sent Events stream the page opened
+//    beforehand (GET /progress/:id), so the POST itself stays a plain JSON request with its session cookie
+// ✅ The page names its stream with an X-Uniq-Progress header; streams are scoped to the session that opened them
+//
+//   page:   const source = new EventSource("/api/uniq/progress/" + id);
+//           fetch("/api/uniq/login", { method: "POST", headers: { "X-Uniq-Progress": id }, body });
+//   server: verifier.verify(input, { onStage: (event) => console.log(event) });
+//
+// Events are best effort: the POST's JSON answer stays authoritative, and the hub lives in this process
+// (several server processes need sticky sessions for the stream to reach the right one).
+
+import { UNIQ_ERRORS } from "./uniqid-sdk.errors.js";
+
+export const PROGRESS_HEADER = "X-Uniq-Progress";
+// server-side stages, in the order a request runs them
+export const SERVER_STAGES = Object.freeze(["challenge", "proof", "nonce", "site", "root", "account", "session"]);
+export const DEFAULT_PROGRESS = Object.freeze({
+  ttlMs: 2 * 60 * 1000, // a stream (and its buffered events) is dropped this long after its last event
+  maxEvents: 50, // buffered per stream, replayed to a page that connects late
+  maxStreams: 1000 // open streams per process; further ones get no events
+});
+const PROGRESS_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+// --- Helpers ---
+
+function pick(obj, names) {
+  const out = {};
+  for (const name of names) if (obj[name] !== undefined) out[name] = obj[name];
+  return out;
+}
+
+// Only catalogue errors say why a stage failed; anything else is an internal error the page need not see
+function failureOf(err) {
+  const code = err && err.code;
+  if (!code || !UNIQ_ERRORS[code]) return { code: "INTERNAL_ERROR" };
+  return { code, error: err.message || UNIQ_ERRORS[code].message };
+}
+
+// --- Stage reporter ---
+
+/**
+ * createStageReporter(onStage)
+ * - onStage(event): called for every event; may be null (the reporter then only keeps time).
+ *   A throwing listener is logged, never breaks the request
+ * - start(stage, info), ok(stage, info), fail(stage, code, info): ok / fail carry ms since start(stage)
+ * - run(stage, fn, info, describe): start, await fn(), then ok (with describe(result) merged in) or
+ *   fail (with the UniqError's code) and rethrow
+ * - closeAll(status, info): ends every stage still open, e.g. fail with the code a request answered
+ */
+export function createStageReporter(onStage) {
+  const open = new Map(); // stage -> started at
+
+  function emit(event) {
+    if (event.status === "start") open.set(event.stage, Date.now());
+    else open.delete(event.stage);
+    if (typeof onStage !== "function") return;
+    try {
+      onStage({ ...event, at: Date.now() });
+    } catch (err) {
+      console.error("UNIQ stage listener failed:", err);
+    }
+  }
+
+  function end(stage, status, info = {}) {
+    const started = open.get(stage);
+    emit({ ...info, stage, status, ms: started === undefined ? 0 : Date.now() - started });
+  }
+
+  const reporter = {
+    emit,
+    start(stage, info = {}) {
+      emit({ ...info, stage, status: "start" });
+    },
+    ok(stage, info = {}) {
+      end(stage, "ok", info);
+    },
+    fail(stage, code, info = {}) {
+      end(stage, "fail", { ...info, code });
+    },
+    async run(stage, fn, info = {}, describe) {
+      reporter.start(stage, info);
+      try {
+        const result = await fn();
+        end(stage, "ok", { ...info, ...(describe ? describe(result) : {}) });
+        return result;
+      } catch (err) {
+        end(stage, "fail", { ...info, ...failureOf(err) });
+        throw err;
+      }
+    },
+    closeAll(status, info = {}) {
+      for (const stage of [...open.keys()]) end(stage, status, info);
+    }
+  };
+  return reporter;
+}
+
+// --- Hub ---
+
+/**
+ * createProgressHub(options)
+ * - options: see DEFAULT_PROGRESS
+ * - publish(key, event) / subscribe(key, listener) -> unsubscribe(); events published before
+ *   subscribe() are replayed to the new listener
+ * - key is "<session id>:<progress id>", see progressKey()
+ */
+export function createProgressHub(options = {}) {
+  const limits = { ...DEFAULT_PROGRESS, ...pick(options, Object.keys(DEFAULT_PROGRESS)) };
+  const streams = new Map(); // key -> { events, listeners, expiresAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, stream] of streams) if (stream.expiresAt <= now) streams.delete(key);
+  }, Math.min(limits.ttlMs, 60 * 1000));
+  if (typeof sweep.unref === "function") sweep.unref();
+
+  function streamOf(key) {
+    let stream = streams.get(key);
+    if (!stream) {
+      if (streams.size >= limits.maxStreams) return null;
+      stream = { events: [], listeners: new Set(), expiresAt: 0 };
+      streams.set(key, stream);
+    }
+    stream.expiresAt = Date.now() + limits.ttlMs;
+    return stream;
+  }
+
+  return Object.freeze({
+    limits: Object.freeze(limits),
+    publish(key, event) {
+      const stream = streamOf(key);
+      if (!stream) return;
+      stream.events.push(event);
+      if (stream.events.length > limits.maxEvents) stream.events.shift();
+      for (const listener of [...stream.listeners]) listener(event);
+    },
+    subscribe(key, listener) {
+      const stream = streamOf(key);
+      if (!stream) return () => {};
+      stream.listeners.add(listener);
+      for (const event of [...stream.events]) listener(event);
+      return () => stream.listeners.delete(listener);
+    }
+  });
+}
+
+// --- Express glue ---
+
+/**
+ * progressKey(req, id)
+ * - the hub key for a progress id, scoped to the request's session; null when id is malformed
+ */
+export function progressKey(req, id) {
+  if (!req.sessionID || !PROGRESS_ID.test(String(id || ""))) return null;
+  return `${req.sessionID}:${id}`;
+}
+
+/**
+ * trackProgress(hub)
+ * - middleware: sets req.uniqProgress to a stage reporter that publishes to the stream named by the
+ *   X-Uniq-Progress header (a silent reporter when there is none, or hub is null/false)
+ * - when the response is sent, stages still open are closed (fail with the answer's code for >= 400)
+ *   and a final { type: "result", status, code } event ends the stream
+ */
+export function trackProgress(hub) {
+  return (req, res, next) => {
+    if (req.uniqProgress) return next(); // already tracked (app routes mounted under the router's path)
+    const key = hub ? progressKey(req, req.get(PROGRESS_HEADER)) : null;
+    if (!key) {
+      req.uniqProgress = createStageReporter(null);
+      return next();
+    }
+    const reporter = createStageReporter((event) => hub.publish(key, { type: "stage", ...event }));
+    req.uniqProgress = reporter;
+
+    let finished = false;
+    const finish = (status, code) => {
+      if (finished) return;
+      finished = true;
+      const failed = status >= 400;
+      reporter.closeAll(failed ? "fail" : "ok", failed ? { code: code || "INTERNAL_ERROR" } : {});
+      hub.publish(key, { type: "result", status, ...(code ? { code } : {}), at: Date.now() });
+    };
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      finish(res.statusCode, body && body.code);
+      return json(body);
+    };
+    // answers that are not JSON (an error page, a dropped connection)
+    res.on("finish", () => finish(res.statusCode));
+    res.on("close", () => finish(res.statusCode >= 400 ? res.statusCode : 499));
+    next();
+  };
+}
+
+/**
+ * progressStream(hub)
+ * - GET handler for /progress/:id: a text/event-stream of "stage" events and one final "result" event,
+ *   after which the stream ends; it also ends after hub.limits.ttlMs without a result
+ * - only the session that sends the POST can follow it (the key includes the session id)
+ */
+export function progressStream(hub) {
+  return (req, res) => {
+    const key = hub ? progressKey(req, req.params.id) : null;
+    if (!key) return res.status(404).end();
+
+    res.set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-store",
+      "X-Accel-Buffering": "no" // nginx would otherwise hold the events back
+    });
+    res.flushHeaders();
+    res.write("retry: 2000\n\n");
+
+    let closed = false;
+    let unsubscribe = null;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(timer);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+    const timer = setTimeout(close, hub.limits.ttlMs);
+    unsubscribe = hub.subscribe(key, (event) => {
+      if (closed) return;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      if (event.type === "result") close();
+    });
+    if (closed) unsubscribe(); // the result was already buffered
+    req.on("close", close);
+  };
+}
+
+export default {
+  PROGRESS_HEADER,
+  SERVER_STAGES,
+  DEFAULT_PROGRESS,
+  createStageReporter,
+  createProgressHub,
+  progressKey,
+  trackProgress,
+  progressStream
+};
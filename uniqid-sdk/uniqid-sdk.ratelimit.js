@@ -0,0 +1,292 @@
+// uniqid-sdk/uniqid-sdk.ratelimit.js
+// ✅ Attempt limiter for UNIQ (and any other) sign-up / login endpoints
+// ✅ Counts failed attempts per IP, per session and per verified identity; too many -> lockout
+// ✅ Every attempt holds an in-flight slot until it is answered, so parallel bursts count too
+// ✅ Lockouts back off exponentially (lockoutMs * 2^n, capped at maxLockoutMs) while a key keeps failing
+// ✅ State lives in a pluggable store: in-memory by default, or any { get, set, delete } adapter
+//    (Redis, the app database...) so several server processes share one view
+//
+//   const limiter = createRateLimiter({ ip: 20, session: 10, identity: 5 });
+//   app.post("/account/password", rateLimitAttempts(limiter, { identity: (req) => req.user.email }), handler);
+//
+// Locked-out requests never reach the handler, so they cost no RPC call and no Groth16 verification.
+
+import { uniqErrorBody, uniqErrorStatus } from "./uniqid-sdk.errors.js";
+
+export const DEFAULT_RATE_LIMITS = Object.freeze({
+  windowMs: 15 * 60 * 1000, // failures older than this are forgotten
+  lockoutMs: 30 * 1000, // first lockout; doubles for every further one
+  maxLockoutMs: 60 * 60 * 1000,
+  ip: 20, // failed attempts allowed per window, per scope (0 turns a scope off)
+  session: 10,
+  identity: 5,
+  slotMs: 60 * 1000 // an attempt that is never answered (crashed process) stops holding its slot after this
+});
+const SCOPES = ["ip", "session", "identity"];
+
+// --- Helpers ---
+
+function pick(obj, names) {
+  const out = {};
+  for (const name of names) if (obj[name] !== undefined) out[name] = obj[name];
+  return out;
+}
+
+// --- Stores ---
+
+/**
+ * createMemoryRateLimitStore()
+ * - the default store: a Map in this process, expired entries swept once a minute
+ * - shared stores implement the same async interface:
+ *   get(key) -> state | null, set(key, state, ttlMs), delete(key)
+ */
+export function createMemoryRateLimitStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key);
+  }, sweepIntervalMs);
+  if (typeof sweep.unref === "function") sweep.unref();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return { ...entry.state };
+    },
+    async set(key, state, ttlMs) {
+      entries.set(key, { state: { ...state }, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+function assertStore(store) {
+  if (!store || ["get", "set", "delete"].some((fn) => typeof store[fn] !== "function")) {
+    throw new Error("Rate limit store must implement get(), set() and delete()");
+  }
+}
+
+// --- Limiter ---
+
+/**
+ * createRateLimiter(config)
+ * - config: { ip, session, identity, windowMs, lockoutMs, maxLockoutMs, slotMs, store, prefix } (see DEFAULT_RATE_LIMITS)
+ * - check(keys) -> { allowed, retryAfterMs, scope }; keys = [{ scope: "ip" | "session" | "identity", id }]
+ * - acquire(keys) -> the same verdict plus `slot` when allowed: the attempt holds an in-flight slot on every
+ *   key until release(), and a key refuses new attempts while its failures + held slots reach its limit,
+ *   so a parallel burst cannot start more attempts than the limit allows before the first ones fail
+ * - release(keys, slot, success): frees the slot; success false counts a failure against every key and
+ *   reaching a scope's limit locks that key, success null (server error) counts nothing.
+ *   A success clears the identity key only — IP and session counters wait out the window, so one
+ *   working account cannot be used to reset an attacker's budget
+ * - record(keys, success): release() without a slot
+ */
+export function createRateLimiter(config = {}) {
+  const limits = { ...DEFAULT_RATE_LIMITS, ...pick(config, Object.keys(DEFAULT_RATE_LIMITS)) };
+  const store = config.store || createMemoryRateLimitStore();
+  assertStore(store);
+  const prefix = config.prefix || "uniq-rl";
+
+  const active = (keys) =>
+    (keys || []).filter((k) => k && SCOPES.includes(k.scope) && k.id !== undefined && k.id !== null && k.id !== "" && limits[k.scope] > 0);
+  const storeKey = (k) => `${prefix}:${k.scope}:${k.id}`;
+
+  // read-modify-write of one key, one at a time in this process (concurrent requests would lose updates)
+  const queues = new Map();
+  function update(k, fn) {
+    const key = storeKey(k);
+    const run = (queues.get(key) || Promise.resolve()).then(async () => {
+      const now = Date.now();
+      const state = (await store.get(key)) || { failures: 0, windowStart: now, strikes: 0, lockedUntil: 0 };
+      // slots of attempts that never finished (a crashed process) expire after slotMs
+      state.pending = (state.pending || []).filter((until) => until > now);
+      if (now - state.windowStart > limits.windowMs) {
+        state.failures = 0;
+        state.windowStart = now;
+        // a whole quiet window after the last lockout starts the backoff over
+        if (now - state.lockedUntil > limits.windowMs) state.strikes = 0;
+      }
+      const result = fn(state, now);
+      await store.set(key, state, Math.max(limits.windowMs, limits.slotMs, state.lockedUntil - now) + limits.windowMs);
+      return result;
+    });
+    const settled = run.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => {
+      if (queues.get(key) === settled) queues.delete(key);
+    });
+    return run;
+  }
+
+  async function check(keys) {
+    const now = Date.now();
+    let verdict = { allowed: true, retryAfterMs: 0, scope: null };
+    for (const k of active(keys)) {
+      const state = await store.get(storeKey(k));
+      if (state && state.lockedUntil > now && state.lockedUntil - now > verdict.retryAfterMs) {
+        verdict = { allowed: false, retryAfterMs: state.lockedUntil - now, scope: k.scope };
+      }
+    }
+    return verdict;
+  }
+
+  async function acquire(keys) {
+    const locked = await check(keys);
+    if (!locked.allowed) return locked;
+    const slot = Date.now() + limits.slotMs;
+    const held = [];
+    for (const k of active(keys)) {
+      const verdict = await update(k, (state, now) => {
+        if (state.lockedUntil > now) return { allowed: false, retryAfterMs: state.lockedUntil - now, scope: k.scope };
+        if (state.failures + state.pending.length >= limits[k.scope]) {
+          // every remaining attempt is in flight: wait for the first one to finish
+          return { allowed: false, retryAfterMs: Math.max(1, Math.min(...state.pending) - now), scope: k.scope };
+        }
+        state.pending.push(slot);
+        return { allowed: true };
+      });
+      if (!verdict.allowed) {
+        await release(held, slot, null);
+        return verdict;
+      }
+      held.push(k);
+    }
+    return { allowed: true, retryAfterMs: 0, scope: null, slot };
+  }
+
+  async function release(keys, slot, success) {
+    for (const k of active(keys)) {
+      await update(k, (state, now) => {
+        const i = slot ? state.pending.indexOf(slot) : -1;
+        if (i >= 0) state.pending.splice(i, 1);
+        if (success && k.scope === "identity") {
+          Object.assign(state, { failures: 0, windowStart: now, strikes: 0, lockedUntil: 0 });
+          return;
+        }
+        if (success !== false) return;
+        state.failures += 1;
+        if (state.failures >= limits[k.scope]) {
+          state.strikes += 1;
+          state.lockedUntil = now + Math.min(limits.maxLockoutMs, limits.lockoutMs * 2 ** (state.strikes - 1));
+          state.failures = 0;
+          state.windowStart = now;
+        }
+      });
+    }
+  }
+
+  const record = (keys, success) => release(keys, null, success);
+
+  return Object.freeze({ limits: Object.freeze(limits), check, acquire, release, record });
+}
+
+// --- Express glue ---
+
+/**
+ * attemptKeys(req, identity)
+ * - the three keys for one request: req.ip, req.sessionID and the identity (may be empty)
+ */
+export function attemptKeys(req, identity) {
+  return [
+    { scope: "ip", id: req.ip },
+    { scope: "session", id: req.sessionID },
+    { scope: "identity", id: identity }
+  ];
+}
+
+/**
+ * sendRateLimited(res, verdict)
+ * - 429 with Retry-After (whole seconds); the UNIQ_ERRORS envelope { success: false, code: "RATE_LIMITED",
+ *   error, retryAfter } for API clients, plain text for HTML form posts
+ */
+export function sendRateLimited(res, { retryAfterMs }) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const body = uniqErrorBody("RATE_LIMITED", { message: `Too many attempts. Try again in ${retryAfter} seconds.`, retryAfter });
+  res.set("Retry-After", String(retryAfter));
+  res.locals.uniqErrorCode = "RATE_LIMITED"; // same hand-off as sendUniqError in uniqid-sdk.express.js
+  res.status(uniqErrorStatus("RATE_LIMITED"));
+  return res.format({
+    json: () => res.json(body),
+    default: () => res.type("text").send(body.error)
+  });
+}
+
+/**
+ * rateLimitAttempts(limiter, { identity })
+ * - middleware: answers 429 while any key is locked or has every remaining attempt in flight, otherwise
+ *   takes a slot before the handler runs and releases it when the response ends
+ *   (< 400 success, 4xx failure, 5xx not counted, a connection closed before the answer a failure)
+ * - identity(req): an identity the request already proved (the session's account, an OAuth email...); optional.
+ *   Never pass what the body merely claims: failures would lock that identity's owner out
+ * - req.attemptLimit.identify(id) -> verdict: adds an identity once the handler has verified it (the
+ *   nullifier of a checked proof, see verifyProofRequest); its outcome counts like the others
+ * - limiter may be null/false, which turns the middleware into a no-op
+ */
+export function rateLimitAttempts(limiter, { identity } = {}) {
+  return async (req, res, next) => {
+    if (!limiter) return next();
+    try {
+      const held = [];
+      const take = async (keys) => {
+        const verdict = await limiter.acquire(keys);
+        if (verdict.allowed) held.push({ keys, slot: verdict.slot });
+        return verdict;
+      };
+      const verdict = await take(attemptKeys(req, identity ? identity(req) : null));
+      if (!verdict.allowed) return sendRateLimited(res, verdict);
+
+      let done = false;
+      const settle = () => {
+        if (done) return;
+        done = true;
+        const success = !res.writableFinished ? false : res.statusCode >= 500 ? null : res.statusCode < 400;
+        for (const { keys, slot } of held) {
+          limiter.release(keys, slot, success).catch((err) => console.error("UNIQ rate limit store failed:", err));
+        }
+      };
+      res.on("finish", settle);
+      res.on("close", settle);
+      req.attemptLimit = {
+        identify: (id) => (done || !id ? Promise.resolve({ allowed: true, retryAfterMs: 0, scope: null }) : take([{ scope: "identity", id }]))
+      };
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * rateLimitConfigFromEnv(env)
+ * - RATE_LIMIT=off disables limiting (returns null)
+ * - RATE_LIMIT_IP / RATE_LIMIT_SESSION / RATE_LIMIT_IDENTITY: failures allowed per window (0 = scope off)
+ * - RATE_LIMIT_WINDOW_MS, RATE_LIMIT_LOCKOUT_MS, RATE_LIMIT_MAX_LOCKOUT_MS
+ */
+export function rateLimitConfigFromEnv(env = process.env) {
+  if (String(env.RATE_LIMIT || "").trim().toLowerCase() === "off") return null;
+  const num = (name) => {
+    const n = parseInt(env[name], 10);
+    return Number.isFinite(n) && n >= 0 ? n : undefined;
+  };
+  return {
+    ip: num("RATE_LIMIT_IP"),
+    session: num("RATE_LIMIT_SESSION"),
+    identity: num("RATE_LIMIT_IDENTITY"),
+    windowMs: num("RATE_LIMIT_WINDOW_MS"),
+    lockoutMs: num("RATE_LIMIT_LOCKOUT_MS"),
+    maxLockoutMs: num("RATE_LIMIT_MAX_LOCKOUT_MS")
+  };
+}
+
+export default {
+  DEFAULT_RATE_LIMITS,
+  createRateLimiter,
+  createMemoryRateLimitStore,
+  attemptKeys,
+  sendRateLimited,
+  rateLimitAttempts,
+  rateLimitConfigFromEnv
+};
@@ -0,0 +1,204 @@
+// uniqid-sdk/uniqid-sdk.ratelimit.test.js
+// ✅ Lockout, exponential backoff, in-flight slots and the 429 + Retry-After answer
+// ✅ The identity key only ever counts verified identities (req.attemptLimit.identify)
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createRateLimiter, rateLimitAttempts } from "./uniqid-sdk.ratelimit.js";
+
+const LIMITS = { ip: 0, session: 0, identity: 3, windowMs: 60_000, lockoutMs: 1_000, maxLockoutMs: 3_000, slotMs: 10_000 };
+const alice = [{ scope: "identity", id: "alice" }];
+
+// --- Limiter ---
+
+describe("createRateLimiter", () => {
+  let now;
+  beforeEach(() => {
+    now = 1_000_000;
+    mock.method(Date, "now", () => now);
+  });
+  afterEach(() => mock.restoreAll());
+
+  const fail = async (limiter, keys, times = 1) => {
+    for (let i = 0; i < times; i++) await limiter.record(keys, false);
+  };
+
+  test("locks a key once its failures reach the limit", async () => {
+    const limiter = createRateLimiter(LIMITS);
+    await fail(limiter, alice, 2);
+    assert.equal((await limiter.check(alice)).allowed, true);
+    await fail(limiter, alice);
+    assert.deepEqual(await limiter.check(alice), { allowed: false, retryAfterMs: 1_000, scope: "identity" });
+    assert.equal((await limiter.check([{ scope: "identity", id: "bob" }])).allowed, true);
+
+    now += 1_001;
+    assert.equal((await limiter.check(alice)).allowed, true);
+  });
+
+  test("doubles the lockout for every further one, up to maxLockoutMs", async () => {
+    const limiter = createRateLimiter(LIMITS);
+    const lockouts = [];
+    for (let i = 0; i < 4; i++) {
+      await fail(limiter, alice, 3);
+      const { retryAfterMs } = await limiter.check(alice);
+      lockouts.push(retryAfterMs);
+      now += retryAfterMs;
+    }
+    assert.deepEqual(lockouts, [1_000, 2_000, 3_000, 3_000]);
+  });
+
+  test("starts the backoff over after a quiet window", async () => {
+    const limiter = createRateLimiter(LIMITS);
+    await fail(limiter, alice, 3);
+    now += 1_000;
+    await fail(limiter, alice, 3);
+    assert.equal((await limiter.check(alice)).retryAfterMs, 2_000);
+
+    now += 2_000 + LIMITS.windowMs + 1;
+    await fail(limiter, alice, 3);
+    assert.equal((await limiter.check(alice)).retryAfterMs, 1_000);
+  });
+
+  test("a success clears the identity key but not IP or session", async () => {
+    const limiter = createRateLimiter({ ...LIMITS, ip: 3 });
+    const keys = [{ scope: "ip", id: "10.0.0.1" }, ...alice];
+    await fail(limiter, keys, 2);
+    await limiter.record(keys, true);
+    await fail(limiter, keys);
+    assert.deepEqual(await limiter.check(keys), { allowed: false, retryAfterMs: 1_000, scope: "ip" });
+    assert.equal((await limiter.check(alice)).allowed, true);
+  });
+
+  test("a parallel burst gets no more slots than the limit", async () => {
+    const limiter = createRateLimiter(LIMITS);
+    const verdicts = await Promise.all(Array.from({ length: 10 }, () => limiter.acquire(alice)));
+    assert.equal(verdicts.filter((v) => v.allowed).length, 3);
+    const refused = verdicts.find((v) => !v.allowed);
+    assert.equal(refused.scope, "identity");
+    assert.ok(refused.retryAfterMs > 0 && refused.retryAfterMs <= LIMITS.slotMs);
+
+    // the three running attempts fail: the key is locked, not merely full
+    await Promise.all(verdicts.filter((v) => v.allowed).map((v) => limiter.release(alice, v.slot, false)));
+    assert.deepEqual(await limiter.check(alice), { allowed: false, retryAfterMs: 1_000, scope: "identity" });
+  });
+
+  test("a released slot is free again; success and server errors count no failure", async () => {
+    const limiter = createRateLimiter(LIMITS);
+    const slots = [];
+    for (let i = 0; i < 3; i++) slots.push((await limiter.acquire(alice)).slot);
+    assert.equal((await limiter.acquire(alice)).allowed, false);
+
+    await limiter.release(alice, slots[0], true);
+    await limiter.release(alice, slots[1], null);
+    const again = await limiter.acquire(alice);
+    assert.equal(again.allowed, true);
+    assert.equal((await limiter.acquire(alice)).allowed, true);
+    assert.equal((await limiter.acquire(alice)).allowed, false);
+  });
+
+  test("slots of attempts that are never released expire after slotMs", async () => {
+    const limiter = createRateLimiter(LIMITS);
+    for (let i = 0; i < 3; i++) await limiter.acquire(alice);
+    assert.equal((await limiter.acquire(alice)).allowed, false);
+    now += LIMITS.slotMs + 1;
+    assert.equal((await limiter.acquire(alice)).allowed, true);
+  });
+
+  test("a refused acquire gives back the slots it took on other keys", async () => {
+    const limiter = createRateLimiter({ ...LIMITS, ip: 1 });
+    const ip = { scope: "ip", id: "10.0.0.1" };
+    await fail(limiter, alice, 3);
+    assert.equal((await limiter.acquire([ip, ...alice])).allowed, false);
+    assert.equal((await limiter.acquire([ip])).allowed, true);
+  });
+});
+
+// --- Middleware ---
+
+describe("rateLimitAttempts", () => {
+  let server;
+  let base;
+  let limiter;
+
+  // POST /attempt answers `status` (from the body) after optionally identifying `verified`
+  beforeEach(async () => {
+    limiter = createRateLimiter({ ip: 0, session: 2, identity: 2, windowMs: 60_000, lockoutMs: 30_000, maxLockoutMs: 60_000 });
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.sessionID = req.get("x-session") || "s1";
+      next();
+    });
+    app.post("/attempt", rateLimitAttempts(limiter), async (req, res) => {
+      if (req.body.verified) {
+        const verdict = await req.attemptLimit.identify(req.body.verified);
+        if (!verdict.allowed) return res.status(429).json({ locked: true });
+      }
+      if (req.body.delayMs) await new Promise((resolve) => setTimeout(resolve, req.body.delayMs));
+      res.status(req.body.status || 200).json({ ok: true });
+    });
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  const attempt = (body, session = "s1") =>
+    fetch(`${base}/attempt`, {
+      method: "POST",
+      headers: { "content-type": "application/json", accept: "application/json", "x-session": session },
+      body: JSON.stringify(body)
+    });
+  // the slot is released on "finish", just after the client has its answer
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+  test("answers 429 with Retry-After and the RATE_LIMITED envelope once locked", async () => {
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await attempt({ status: 401 })).status, 401);
+      await settle();
+    }
+    const res = await attempt({});
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get("retry-after"), "30");
+    const body = await res.json();
+    assert.equal(body.success, false);
+    assert.equal(body.code, "RATE_LIMITED");
+    assert.equal(body.retryAfter, 30);
+
+    assert.equal((await attempt({}, "s2")).status, 200);
+  });
+
+  test("refuses a parallel burst beyond the limit before the handler runs", async () => {
+    const results = await Promise.all(Array.from({ length: 6 }, () => attempt({ status: 401, delayMs: 50 })));
+    const statuses = results.map((r) => r.status).sort();
+    assert.deepEqual(statuses, [401, 401, 429, 429, 429, 429]);
+  });
+
+  test("successes and server errors release their slot without counting", async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await attempt({ status: i === 1 ? 500 : 200 })).status, i === 1 ? 500 : 200);
+      await settle();
+    }
+    assert.equal((await attempt({})).status, 200);
+  });
+
+  test("failures without a verified identity never lock that identity", async () => {
+    for (const session of ["a", "b", "c", "d"]) {
+      assert.equal((await attempt({ status: 401 }, session)).status, 401);
+      await settle();
+    }
+    assert.equal((await attempt({ verified: "victim" }, "e")).status, 200);
+  });
+
+  test("a verified identity is counted and locked across sessions", async () => {
+    for (const session of ["a", "b"]) {
+      assert.equal((await attempt({ verified: "mallory", status: 409 }, session)).status, 409);
+      await settle();
+    }
+    const res = await attempt({ verified: "mallory" }, "c");
+    assert.deepEqual(await res.json(), { locked: true });
+    assert.equal((await attempt({ verified: "someone-else" }, "c")).status, 200);
+  });
+});
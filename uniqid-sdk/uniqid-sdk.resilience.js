@@ -0,0 +1,269 @@
+// uniqid-sdk/uniqid-sdk.resilience.js
+// ✅ Wraps one or more root resolvers (one per RPC endpoint) behind the same resolver interface
+// ✅ Per-call timeout, retries with exponential backoff + full jitter, failover to the next endpoint
+// ✅ Circuit breaker per endpoint: after `failureThreshold` failures in a row it is skipped for
+//    `cooldownMs`, then one trial call decides whether it closes again
+// ✅ Short-TTL cache of positive rootToId lookups (a registered root keeps its ID, so a hit is safe;
+//    statuses, tree leaves and current roots are always asked live)
+// ✅ metrics(): cache hit rate, call / retry / failover counts, per-endpoint latency and breaker state
+//
+//   const resolver = createResilientResolver(
+//     urls.map((rpcUrl) => createEthersResolver({ rpcUrl, contractAddress })),
+//     { timeoutMs: 5000, retries: 2 }
+//   );
+//
+// Errors the endpoint answered on purpose (a contract revert, a bad argument) are not retried and do
+// not count against its breaker.
+
+export const DEFAULT_RESILIENCE = Object.freeze({
+  timeoutMs: 5000, // per attempt
+  retries: 2, // extra rounds over all endpoints after the first one fails
+  retryBaseMs: 200, // backoff before round n: random(0, retryBaseMs * 2^n)
+  cacheTtlMs: 30 * 1000, // positive rootToId lookups; 0 turns the cache off
+  failureThreshold: 5, // consecutive failures that open an endpoint's breaker
+  cooldownMs: 30 * 1000 // how long an open breaker skips its endpoint
+});
+const METHODS = ["rootToId", "rootStatus", "getTreeLeaves", "getRetiredLeaves", "isCurrentRoot"];
+const LATENCY_SAMPLES = 200;
+// ethers v5 error codes for answers that would be the same on every retry
+const NON_RETRYABLE_CODES = new Set(["CALL_EXCEPTION", "INVALID_ARGUMENT", "UNPREDICTABLE_GAS_LIMIT", "NUMERIC_FAULT"]);
+
+// --- Helpers ---
+
+function pick(obj, names) {
+  const out = {};
+  for (const name of names) if (obj[name] !== undefined) out[name] = obj[name];
+  return out;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function withTimeout(promise, ms, label) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${ms} ms`);
+      err.code = "TIMEOUT";
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function isRetryable(err) {
+  return !(err && NON_RETRYABLE_CODES.has(err.code));
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// --- Endpoint state ---
+
+function createEndpoint(resolver, index, limits) {
+  const samples = [];
+  const state = {
+    name: resolver.name ? `${resolver.name}#${index}` : `endpoint#${index}`,
+    resolver,
+    breaker: "closed", // closed -> open -> half-open -> closed | open
+    failures: 0,
+    openedAt: 0,
+    trialInFlight: false,
+    calls: 0,
+    errors: 0,
+    timeouts: 0
+  };
+
+  return {
+    state,
+    // may this endpoint be tried now? half-open lets exactly one trial call through
+    available(now) {
+      if (state.breaker === "open" && now - state.openedAt >= limits.cooldownMs) state.breaker = "half-open";
+      if (state.breaker === "open") return false;
+      if (state.breaker === "half-open") return !state.trialInFlight;
+      return true;
+    },
+    begin() {
+      state.calls++;
+      if (state.breaker === "half-open") state.trialInFlight = true;
+    },
+    succeed(ms) {
+      samples.push(ms);
+      if (samples.length > LATENCY_SAMPLES) samples.shift();
+      state.failures = 0;
+      state.breaker = "closed";
+      state.trialInFlight = false;
+    },
+    fail(err) {
+      state.errors++;
+      if (err && err.code === "TIMEOUT") state.timeouts++;
+      state.failures++;
+      state.trialInFlight = false;
+      if (state.breaker === "half-open" || state.failures >= limits.failureThreshold) {
+        if (state.breaker !== "open") console.warn(`⚠️ UNIQ resolver ${state.name}: circuit open for ${limits.cooldownMs} ms`);
+        state.breaker = "open";
+        state.openedAt = Date.now();
+      }
+    },
+    metrics() {
+      const sorted = [...samples].sort((a, b) => a - b);
+      const sum = sorted.reduce((acc, ms) => acc + ms, 0);
+      return {
+        name: state.name,
+        breaker: state.breaker,
+        calls: state.calls,
+        errors: state.errors,
+        timeouts: state.timeouts,
+        latencyMs: {
+          samples: sorted.length,
+          avg: sorted.length ? Math.round(sum / sorted.length) : 0,
+          p50: percentile(sorted, 50),
+          p95: percentile(sorted, 95),
+          max: sorted.length ? sorted[sorted.length - 1] : 0
+        }
+      };
+    }
+  };
+}
+
+// --- Main Function ---
+
+/**
+ * createResilientResolver(resolvers, options)
+ * - resolvers: one resolver (or an array, tried in order) implementing the uniqid-sdk.resolvers.js interface
+ * - options: see DEFAULT_RESILIENCE
+ * - returns a resolver with the same methods plus metrics() and clearCache(); once every endpoint
+ *   has failed (or has its breaker open) the call rejects, and the server SDK reports RPC_UNAVAILABLE
+ */
+export function createResilientResolver(resolvers, options = {}) {
+  const list = (Array.isArray(resolvers) ? resolvers : [resolvers]).filter(Boolean);
+  if (!list.length) throw new Error("createResilientResolver: at least one resolver is required");
+  const limits = { ...DEFAULT_RESILIENCE, ...pick(options, Object.keys(DEFAULT_RESILIENCE)) };
+  const endpoints = list.map((r, i) => createEndpoint(r, i, limits));
+
+  const counters = { calls: 0, failures: 0, retries: 0, failovers: 0, shortCircuited: 0, cacheHits: 0, cacheMisses: 0 };
+  const idCache = new Map(); // leaf -> { id, expiresAt }
+
+  async function call(method, args) {
+    counters.calls++;
+    let lastErr = null;
+    for (let round = 0; round <= limits.retries; round++) {
+      if (round > 0) {
+        counters.retries++;
+        await sleep(Math.random() * limits.retryBaseMs * 2 ** (round - 1));
+      }
+      let tried = 0;
+      for (const endpoint of endpoints) {
+        if (typeof endpoint.state.resolver[method] !== "function") continue;
+        if (!endpoint.available(Date.now())) continue;
+        if (tried++ > 0) counters.failovers++;
+
+        endpoint.begin();
+        const started = Date.now();
+        try {
+          const result = await withTimeout(endpoint.state.resolver[method](...args), limits.timeoutMs, `${endpoint.state.name}.${method}`);
+          endpoint.succeed(Date.now() - started);
+          return result;
+        } catch (err) {
+          if (!isRetryable(err)) {
+            endpoint.succeed(Date.now() - started); // it answered; the answer is just an error
+            counters.failures++;
+            throw err;
+          }
+          endpoint.fail(err);
+          lastErr = err;
+        }
+      }
+      if (!tried && !lastErr) {
+        counters.shortCircuited++;
+        counters.failures++;
+        throw new Error(`all ${endpoints.length} resolver endpoint(s) are unavailable (circuit open)`);
+      }
+    }
+    counters.failures++;
+    throw lastErr || new Error(`all ${endpoints.length} resolver endpoint(s) are unavailable (circuit open)`);
+  }
+
+  const resolver = {
+    name: endpoints.length > 1 ? `${list[0].name || "resolver"} x${endpoints.length}` : list[0].name || "resolver",
+
+    async rootToId(leafBytes32) {
+      const key = String(leafBytes32).toLowerCase();
+      if (limits.cacheTtlMs > 0) {
+        const hit = idCache.get(key);
+        if (hit && hit.expiresAt > Date.now()) {
+          counters.cacheHits++;
+          return hit.id;
+        }
+        counters.cacheMisses++;
+      }
+      const id = await call("rootToId", [leafBytes32]);
+      // only positive answers: a root registered a moment from now must not stay "unknown"
+      if (limits.cacheTtlMs > 0 && Number(id) > 0) idCache.set(key, { id, expiresAt: Date.now() + limits.cacheTtlMs });
+      return id;
+    },
+
+    /**
+     * metrics()
+     * - { cache: { hits, misses, hitRate, size }, calls, failures, retries, failovers, shortCircuited,
+     *     endpoints: [{ name, breaker, calls, errors, timeouts, latencyMs: { samples, avg, p50, p95, max } }] }
+     */
+    metrics() {
+      const lookups = counters.cacheHits + counters.cacheMisses;
+      return {
+        cache: {
+          hits: counters.cacheHits,
+          misses: counters.cacheMisses,
+          hitRate: lookups ? counters.cacheHits / lookups : 0,
+          size: idCache.size
+        },
+        calls: counters.calls,
+        failures: counters.failures,
+        retries: counters.retries,
+        failovers: counters.failovers,
+        shortCircuited: counters.shortCircuited,
+        endpoints: endpoints.map((e) => e.metrics())
+      };
+    },
+
+    clearCache() {
+      idCache.clear();
+    }
+  };
+  for (const method of METHODS) {
+    if (method === "rootToId" || !list.some((r) => typeof r[method] === "function")) continue;
+    resolver[method] = (...args) => call(method, args);
+  }
+  return resolver;
+}
+
+/**
+ * resilienceConfigFromEnv(env)
+ * - UNIQ_RPC_TIMEOUT_MS, UNIQ_RPC_RETRIES, UNIQ_RPC_RETRY_BASE_MS, UNIQ_ROOT_CACHE_TTL_MS (0 = off),
+ *   UNIQ_RPC_BREAKER_THRESHOLD, UNIQ_RPC_BREAKER_COOLDOWN_MS; unset values keep DEFAULT_RESILIENCE
+ */
+export function resilienceConfigFromEnv(env = process.env) {
+  const num = (name) => {
+    const n = parseInt(env[name], 10);
+    return Number.isFinite(n) && n >= 0 ? n : undefined;
+  };
+  return pick(
+    {
+      timeoutMs: num("UNIQ_RPC_TIMEOUT_MS"),
+      retries: num("UNIQ_RPC_RETRIES"),
+      retryBaseMs: num("UNIQ_RPC_RETRY_BASE_MS"),
+      cacheTtlMs: num("UNIQ_ROOT_CACHE_TTL_MS"),
+      failureThreshold: num("UNIQ_RPC_BREAKER_THRESHOLD"),
+      cooldownMs: num("UNIQ_RPC_BREAKER_COOLDOWN_MS")
+    },
+    Object.keys(DEFAULT_RESILIENCE)
+  );
+}
+
+export default {
+  DEFAULT_RESILIENCE,
+  createResilientResolver,
+  resilienceConfigFromEnv
+};
@@ -0,0 +1,180 @@
+// uniqid-sdk/uniqid-sdk.resilience.test.js
+// ✅ Failover, retries, timeouts and the per-endpoint circuit breaker (closed -> open -> half-open -> closed)
+// ✅ Contract reverts (CALL_EXCEPTION) are answers: never retried, never held against the endpoint
+// ✅ Only positive rootToId answers are cached
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createResilientResolver } from "./uniqid-sdk.resilience.js";
+
+const LEAF = "0x" + "11".repeat(32);
+// no backoff waits, no cache unless a test turns it on
+const FAST = { retries: 0, retryBaseMs: 0, cacheTtlMs: 0, timeoutMs: 1_000 };
+
+const outage = () => Object.assign(new Error("connect ECONNREFUSED"), { code: "SERVER_ERROR" });
+const revert = () => Object.assign(new Error("execution reverted"), { code: "CALL_EXCEPTION" });
+
+// a stub RPC endpoint: answer(method, ...args) decides every call, and calls lists what was asked
+function stubEndpoint(name, answer) {
+  const calls = [];
+  const method = (m) => async (...args) => {
+    calls.push(m);
+    return answer(m, ...args);
+  };
+  return {
+    name,
+    calls,
+    rootToId: method("rootToId"),
+    rootStatus: method("rootStatus"),
+    getTreeLeaves: method("getTreeLeaves"),
+    isCurrentRoot: method("isCurrentRoot")
+  };
+}
+
+const healthy = (name, id = 7) => stubEndpoint(name, (m) => (m === "rootToId" ? id : m === "rootStatus" ? "active" : []));
+const breakerOf = (resolver, i) => resolver.metrics().endpoints[i].breaker;
+
+describe("createResilientResolver", () => {
+  beforeEach(() => mock.method(console, "warn", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  test("fails over to the next endpoint when one is down", async () => {
+    const down = stubEndpoint("a", () => {
+      throw outage();
+    });
+    const up = healthy("b");
+    const resolver = createResilientResolver([down, up], FAST);
+
+    assert.equal(await resolver.rootToId(LEAF), 7);
+    assert.deepEqual([down.calls.length, up.calls.length], [1, 1]);
+    const metrics = resolver.metrics();
+    assert.equal(metrics.failovers, 1);
+    assert.equal(metrics.endpoints[0].errors, 1);
+    assert.equal(metrics.endpoints[1].errors, 0);
+  });
+
+  test("retries a round that failed, then answers", async () => {
+    let failures = 1;
+    const flaky = stubEndpoint("a", () => {
+      if (failures-- > 0) throw outage();
+      return 7;
+    });
+    const resolver = createResilientResolver([flaky], { ...FAST, retries: 2 });
+
+    assert.equal(await resolver.rootToId(LEAF), 7);
+    assert.equal(flaky.calls.length, 2);
+    assert.equal(resolver.metrics().retries, 1);
+  });
+
+  test("does not retry a contract revert or count it against the endpoint", async () => {
+    const reverting = stubEndpoint("a", () => {
+      throw revert();
+    });
+    const spare = healthy("b");
+    const resolver = createResilientResolver([reverting, spare], { ...FAST, retries: 2, failureThreshold: 1 });
+
+    for (let i = 0; i < 3; i++) await assert.rejects(resolver.rootStatus(LEAF), { code: "CALL_EXCEPTION" });
+    assert.equal(reverting.calls.length, 3);
+    assert.equal(spare.calls.length, 0);
+    const metrics = resolver.metrics();
+    assert.equal(metrics.retries, 0);
+    assert.equal(metrics.failovers, 0);
+    assert.equal(metrics.endpoints[0].errors, 0);
+    assert.equal(breakerOf(resolver, 0), "closed");
+  });
+
+  test("cuts a hanging call off after timeoutMs", async () => {
+    const hanging = stubEndpoint("a", () => new Promise(() => {}));
+    const resolver = createResilientResolver([hanging], { ...FAST, timeoutMs: 20 });
+
+    await assert.rejects(resolver.rootToId(LEAF), { code: "TIMEOUT" });
+    assert.equal(resolver.metrics().endpoints[0].timeouts, 1);
+  });
+
+  describe("circuit breaker", () => {
+    let now;
+    beforeEach(() => {
+      now = 1_000_000;
+      mock.method(Date, "now", () => now);
+    });
+
+    test("opens after failureThreshold failures, lets one trial through after cooldownMs, then closes", async () => {
+      let broken = true;
+      const primary = stubEndpoint("a", () => {
+        if (broken) throw outage();
+        return 7;
+      });
+      const spare = healthy("b", 7);
+      const resolver = createResilientResolver([primary, spare], { ...FAST, failureThreshold: 2, cooldownMs: 1_000 });
+
+      await resolver.rootToId(LEAF);
+      assert.equal(breakerOf(resolver, 0), "closed");
+      await resolver.rootToId(LEAF);
+      assert.equal(breakerOf(resolver, 0), "open");
+
+      // open: skipped without being asked
+      await resolver.rootToId(LEAF);
+      assert.equal(primary.calls.length, 2);
+
+      // half-open: the trial fails, so the breaker opens again for another cooldown
+      now += 1_000;
+      await resolver.rootToId(LEAF);
+      assert.equal(primary.calls.length, 3);
+      assert.equal(breakerOf(resolver, 0), "open");
+      now += 999;
+      await resolver.rootToId(LEAF);
+      assert.equal(primary.calls.length, 3);
+
+      // half-open: the trial succeeds and the endpoint is used again
+      now += 1;
+      broken = false;
+      await resolver.rootToId(LEAF);
+      assert.equal(primary.calls.length, 4);
+      assert.equal(breakerOf(resolver, 0), "closed");
+      const sparesSoFar = spare.calls.length;
+      await resolver.rootToId(LEAF);
+      assert.equal(primary.calls.length, 5);
+      assert.equal(spare.calls.length, sparesSoFar);
+    });
+
+    test("fails at once while every breaker is open", async () => {
+      const down = stubEndpoint("a", () => {
+        throw outage();
+      });
+      const resolver = createResilientResolver([down], { ...FAST, failureThreshold: 1, cooldownMs: 1_000 });
+
+      await assert.rejects(resolver.rootToId(LEAF), /ECONNREFUSED/);
+      await assert.rejects(resolver.rootToId(LEAF), /circuit open/);
+      assert.equal(down.calls.length, 1);
+      assert.equal(resolver.metrics().shortCircuited, 1);
+    });
+  });
+
+  test("caches positive rootToId answers only, and never statuses", async () => {
+    const ids = { [LEAF]: 7 };
+    const endpoint = stubEndpoint("a", (m, leaf) => (m === "rootToId" ? ids[leaf] || 0 : "active"));
+    const resolver = createResilientResolver([endpoint], { ...FAST, cacheTtlMs: 60_000 });
+    const unknown = "0x" + "22".repeat(32);
+
+    assert.equal(await resolver.rootToId(LEAF), 7);
+    assert.equal(await resolver.rootToId(LEAF), 7);
+    assert.equal(await resolver.rootToId(unknown), 0);
+    ids[unknown] = 8;
+    assert.equal(await resolver.rootToId(unknown), 8);
+    await resolver.rootStatus(LEAF);
+    await resolver.rootStatus(LEAF);
+    assert.deepEqual(endpoint.calls, ["rootToId", "rootToId", "rootToId", "rootStatus", "rootStatus"]);
+    assert.deepEqual(resolver.metrics().cache, { hits: 1, misses: 3, hitRate: 0.25, size: 2 });
+
+    resolver.clearCache();
+    await resolver.rootToId(LEAF);
+    assert.equal(endpoint.calls.length, 6);
+  });
+
+  test("only wraps the methods some endpoint has", () => {
+    const resolver = createResilientResolver([{ name: "ids-only", rootToId: async () => 1 }], FAST);
+    assert.equal(typeof resolver.rootToId, "function");
+    assert.equal(resolver.getTreeLeaves, undefined);
+    assert.equal(resolver.rootStatus, undefined);
+  });
+});
@@ -0,0 +1,609 @@
+// uniqid-sdk/uniqid-sdk.resolvers.js
+// ✅ Pluggable root resolvers for the UNIQ-ID server SDK
+// ✅ Every backend implements the same interface:
+//      { name,
+//        rootToId(leafBytes32) -> Promise<number>,        (0 when the root is unknown; legacy per-leaf lookup)
+//        rootStatus(leafBytes32) -> Promise<string>,      (a ROOT_STATUS value, see below)
+//        getTreeLeaves() -> Promise<bytes32[]>,           (active leaves in registration order)
+//        getRetiredLeaves() -> Promise<object>,           ({ leafBytes32: "rotated" | "revoked" })
+//        isCurrentRoot(rootBytes32) -> Promise<boolean> } (Merkle root of the current or a recent tree)
+// ✅ Backends: ethers contract (Sepolia), JSON-file / in-memory registry, any EIP-1193 provider
+// ✅ Multi-chain: an ordered list of registry deployments (chainId, RPC URLs, contract, deployment block)
+//    asked in turn, so a registry can move to another network while the old one keeps answering
+// ✅ Network backends built by createResolver() get timeouts, retries, failover across several RPC
+//    URLs, a circuit breaker and a root -> id cache (see uniqid-sdk.resilience.js)
+
+import * as fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { buildPoseidon } from "circomlibjs";
+import { buildMerkleTree } from "./uniqid-sdk.merkle.js";
+import { createResilientResolver, resilienceConfigFromEnv } from "./uniqid-sdk.resilience.js";
+
+// ethers v5 compatible
+const require = createRequire(import.meta.url);
+const { ethers } = require("ethers");
+
+// The deployed registry only has rootToId; the other views are optional and a contract without them
+// reverts the call (ethers: CALL_EXCEPTION), which the ethers / eip1193 backends take as "not supported":
+// - rootStatus / getRetiredLeaves report rotation (new DeKey, same ID) and revocation; without them
+//   every registered root counts as active and nothing is retired
+// - getLeaves / isKnownRoot: every active leaf in one Poseidon Merkle tree (see uniqid-sdk.merkle.js)
+//   and a short history of its roots, cleared when a leaf is rotated or revoked; without isKnownRoot only
+//   the current root of getLeaves() is accepted, and without getLeaves the server SDK verifies per-leaf
+//   pos_prove proofs through rootToId instead ("leaf mode", see createUniqVerifier)
+export const ROOT_REGISTRY_ABI = [
+  "function rootToId(bytes32) view returns (uint256)",
+  "function rootStatus(bytes32) view returns (uint8)",
+  "function getLeaves() view returns (bytes32[])",
+  "function getRetiredLeaves() view returns (bytes32[], uint8[])",
+  "function isKnownRoot(bytes32) view returns (bool)"
+];
+
+// Lifecycle of a registered root. A rotated root keeps its ID (rootToId still answers it) but the
+// new root took its place in the tree; a revoked root is out of the tree for good.
+export const ROOT_STATUS = Object.freeze({
+  UNKNOWN: "unknown",
+  ACTIVE: "active",
+  ROTATED: "rotated",
+  REVOKED: "revoked"
+});
+// rootStatus(bytes32) returns these as uint8 0..3
+const CONTRACT_ROOT_STATUS = [ROOT_STATUS.UNKNOWN, ROOT_STATUS.ACTIVE, ROOT_STATUS.ROTATED, ROOT_STATUS.REVOKED];
+
+// Roots the registry resolver still accepts after new registrations change the tree
+const ROOT_HISTORY_SIZE = 30;
+
+// --- Helpers ---
+function toIdNumber(value) {
+  if (value === null || value === undefined) return 0;
+  const str = typeof value.toString === "function" ? value.toString() : String(value);
+  const num = Number(str);
+  return Number.isFinite(num) ? num : 0;
+}
+
+function normalizeLeafKey(leaf) {
+  let s = String(leaf || "").trim().toLowerCase().replace(/^0x/, "");
+  while (s.length < 64) s = "0" + s;
+  return "0x" + s;
+}
+
+/**
+ * isMissingView(err)
+ * - true when a contract call reverted, as calls to a view the contract does not implement do
+ */
+export function isMissingView(err) {
+  return !!err && err.code === "CALL_EXCEPTION";
+}
+
+// what a contract without the optional view gets instead
+const OPTIONAL_VIEW_FALLBACKS = {
+  rootStatus: "registered roots count as active",
+  getRetiredLeaves: "no root is reported as retired",
+  isKnownRoot: "only the current tree root is accepted",
+  getLeaves: "the server verifies per-leaf proofs instead (leaf mode)"
+};
+
+// the answer for a missing view that has nothing to fall back to
+function missingViewError(name) {
+  return Object.assign(new Error(`registry contract has no ${name}() view`), { code: "CALL_EXCEPTION" });
+}
+
+// Runs the optional view `name` through call(); once the contract reverts it, fallback() answers
+// instead (this resolver stops asking; a contract upgraded in place is picked up on restart)
+function createOptionalViews() {
+  const missing = new Set();
+  return async function optionalView(name, call, fallback) {
+    if (missing.has(name)) return fallback();
+    try {
+      return await call();
+    } catch (err) {
+      if (!isMissingView(err)) throw err;
+      console.warn(`⚠️ UNIQ registry contract has no ${name}() view; ${OPTIONAL_VIEW_FALLBACKS[name]}`);
+      missing.add(name);
+      return fallback();
+    }
+  };
+}
+
+function toRootStatus(code) {
+  return CONTRACT_ROOT_STATUS[toIdNumber(code)] || ROOT_STATUS.UNKNOWN;
+}
+
+// (bytes32[] leaves, uint8[] statuses) -> { leaf: "rotated" | "revoked" }
+function toRetiredMap(leaves, statuses) {
+  const retired = {};
+  leaves.forEach((leaf, i) => {
+    retired[normalizeLeafKey(leaf)] = toRootStatus(statuses[i]);
+  });
+  return retired;
+}
+
+// registry value: an ID (active root) or { id, status }
+function toRegistryEntry(value) {
+  if (value && typeof value === "object" && "id" in value) {
+    const status = Object.values(ROOT_STATUS).includes(value.status) ? value.status : ROOT_STATUS.ACTIVE;
+    return { id: toIdNumber(value.id), status };
+  }
+  return { id: toIdNumber(value), status: ROOT_STATUS.ACTIVE };
+}
+
+// "${SEPOLIA_RPC_URL}" -> the env value; registry files can name RPC URLs without containing API keys
+function expandEnv(value, env) {
+  if (typeof value === "string") return value.replace(/\$\{(\w+)\}/g, (_, name) => env[name] || "");
+  if (Array.isArray(value)) return value.map((v) => expandEnv(v, env));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v, env)]));
+  }
+  return value;
+}
+
+// "https://a, https://b" or ["https://a", "https://b"] -> ["https://a", "https://b"]
+function toUrlList(urls) {
+  const list = Array.isArray(urls) ? urls : String(urls || "").split(",");
+  return list.map((u) => String(u).trim()).filter(Boolean);
+}
+
+// Poseidon for the registry tree, built on first use
+let poseidonPromise = null;
+function getPoseidon() {
+  if (!poseidonPromise) poseidonPromise = buildPoseidon();
+  return poseidonPromise;
+}
+
+// isKnownRoot fallback: the root of the contract's current leaves, without the recent-root history
+async function isTreeRoot(leaves, rootBytes32) {
+  const { root } = buildMerkleTree(leaves.map(normalizeLeafKey), { poseidon: await getPoseidon() });
+  return root === normalizeLeafKey(rootBytes32);
+}
+
+// --- Backends ---
+
+/**
+ * createEthersResolver({ rpcUrl, contractAddress, chainId, abi })
+ * - the original backend: ethers JsonRpcProvider + contract.rootToId
+ * - the provider is only created on first lookup, not at import time
+ * - chainId (optional): ethers refuses to call through an RPC URL that serves another chain
+ */
+export function createEthersResolver({ rpcUrl, contractAddress, chainId, abi = ROOT_REGISTRY_ABI } = {}) {
+  if (!rpcUrl) throw new Error("ethers resolver: missing rpcUrl");
+  if (!contractAddress) throw new Error("ethers resolver: missing contractAddress");
+
+  let contract = null;
+  const getContract = () => {
+    if (!contract) {
+      const provider = new ethers.providers.JsonRpcProvider(rpcUrl, chainId ? Number(chainId) : undefined);
+      contract = new ethers.Contract(contractAddress, abi, provider);
+    }
+    return contract;
+  };
+  const optionalView = createOptionalViews();
+  const rootToId = async (leafBytes32) => toIdNumber(await getContract().rootToId(leafBytes32));
+  return {
+    name: "ethers",
+    rootToId,
+    async rootStatus(leafBytes32) {
+      return optionalView(
+        "rootStatus",
+        async () => toRootStatus(await getContract().rootStatus(leafBytes32)),
+        async () => ((await rootToId(leafBytes32)) > 0 ? ROOT_STATUS.ACTIVE : ROOT_STATUS.UNKNOWN)
+      );
+    },
+    async getTreeLeaves() {
+      return optionalView(
+        "getLeaves",
+        async () => (await getContract().getLeaves()).map(normalizeLeafKey),
+        async () => {
+          throw missingViewError("getLeaves");
+        }
+      );
+    },
+    async getRetiredLeaves() {
+      return optionalView(
+        "getRetiredLeaves",
+        async () => {
+          const [leaves, statuses] = await getContract().getRetiredLeaves();
+          return toRetiredMap(leaves, statuses);
+        },
+        async () => ({})
+      );
+    },
+    async isCurrentRoot(rootBytes32) {
+      return optionalView(
+        "isKnownRoot",
+        async () => Boolean(await getContract().isKnownRoot(normalizeLeafKey(rootBytes32))),
+        async () => isTreeRoot(await getContract().getLeaves(), rootBytes32)
+      );
+    }
+  };
+}
+
+/**
+ * createRegistryResolver({ file, entries })
+ * - offline backend: a `{ "0x<leafBytes32>": <id> }` map; a value may also be
+ *   `{ "id": 7, "status": "rotated" | "revoked" }` for a retired root
+ * - `file` is re-read when it changes on disk, `entries` is an in-memory object or Map
+ * - register(leaf, id), rotate(oldLeaf, newLeaf) and revoke(leaf) change entries at runtime
+ *   (handy for tests and fixtures)
+ * - the Merkle tree holds every active leaf ordered by id; the last ROOT_HISTORY_SIZE roots stay
+ *   current until a leaf is rotated or revoked, which drops every root that still contains it
+ */
+export function createRegistryResolver({ file, entries } = {}) {
+  const memory = new Map();
+  const addAll = (obj) => {
+    const pairs = obj instanceof Map ? obj.entries() : Object.entries(obj || {});
+    for (const [leaf, value] of pairs) memory.set(normalizeLeafKey(leaf), toRegistryEntry(value));
+  };
+  addAll(entries);
+
+  const filePath = file ? path.resolve(file) : null;
+  let fileEntries = new Map();
+  let fileMtime = 0;
+
+  function loadFile() {
+    if (!filePath) return;
+    if (!fs.existsSync(filePath)) throw new Error(`registry resolver: file not found: ${filePath}`);
+    const mtime = fs.statSync(filePath).mtimeMs;
+    if (mtime === fileMtime) return;
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8") || "{}");
+    fileEntries = new Map(Object.entries(parsed).map(([leaf, value]) => [normalizeLeafKey(leaf), toRegistryEntry(value)]));
+    fileMtime = mtime;
+  }
+
+  function lookup(leaf) {
+    loadFile();
+    const key = normalizeLeafKey(leaf);
+    const entry = memory.get(key) || fileEntries.get(key);
+    return entry && entry.id > 0 ? entry : null;
+  }
+
+  function allEntries() {
+    loadFile();
+    return [...new Map([...fileEntries, ...memory]).entries()].filter(([, entry]) => entry.id > 0);
+  }
+
+  function currentLeaves() {
+    return allEntries()
+      .filter(([, entry]) => entry.status === ROOT_STATUS.ACTIVE)
+      .sort((a, b) => a[1].id - b[1].id)
+      .map(([leaf]) => leaf);
+  }
+
+  // root history, extended whenever the leaf set changes and cleared when a leaf leaves it
+  const roots = [];
+  let rootsFor = null;
+  async function currentRoot() {
+    const leaves = currentLeaves();
+    const key = leaves.join(",");
+    if (key !== rootsFor) {
+      const { root } = buildMerkleTree(leaves, { poseidon: await getPoseidon() });
+      if (rootsFor !== null && rootsFor.split(",").some((leaf) => leaf && !leaves.includes(leaf))) roots.length = 0;
+      if (roots[roots.length - 1] !== root) roots.push(root);
+      if (roots.length > ROOT_HISTORY_SIZE) roots.shift();
+      rootsFor = key;
+    }
+    return roots[roots.length - 1];
+  }
+
+  function requireActive(leaf) {
+    const entry = lookup(leaf);
+    if (!entry || entry.status !== ROOT_STATUS.ACTIVE) throw new Error(`registry resolver: ${normalizeLeafKey(leaf)} is not an active root`);
+    return entry;
+  }
+
+  return {
+    name: "registry",
+    async rootToId(leafBytes32) {
+      const entry = lookup(leafBytes32);
+      return entry ? entry.id : 0;
+    },
+    async rootStatus(leafBytes32) {
+      const entry = lookup(leafBytes32);
+      return entry ? entry.status : ROOT_STATUS.UNKNOWN;
+    },
+    async getTreeLeaves() {
+      return currentLeaves();
+    },
+    async getRetiredLeaves() {
+      const retired = {};
+      for (const [leaf, entry] of allEntries()) {
+        if (entry.status !== ROOT_STATUS.ACTIVE) retired[leaf] = entry.status;
+      }
+      return retired;
+    },
+    async isCurrentRoot(rootBytes32) {
+      await currentRoot();
+      return roots.includes(normalizeLeafKey(rootBytes32));
+    },
+    register(leafBytes32, id) {
+      memory.set(normalizeLeafKey(leafBytes32), toRegistryEntry(id));
+    },
+    // new DeKey for the same UNIQ-ID: the new leaf takes the old one's ID
+    rotate(oldLeafBytes32, newLeafBytes32) {
+      const { id } = requireActive(oldLeafBytes32);
+      memory.set(normalizeLeafKey(oldLeafBytes32), { id, status: ROOT_STATUS.ROTATED });
+      memory.set(normalizeLeafKey(newLeafBytes32), { id, status: ROOT_STATUS.ACTIVE });
+    },
+    revoke(leafBytes32) {
+      const { id } = requireActive(leafBytes32);
+      memory.set(normalizeLeafKey(leafBytes32), { id, status: ROOT_STATUS.REVOKED });
+    }
+  };
+}
+
+/**
+ * createEip1193Resolver({ provider, url, contractAddress, chainId, abi })
+ * - any EIP-1193 provider ({ request({ method, params }) }), e.g. hre.network.provider
+ * - or `url` of a local JSON-RPC node such as Hardhat / Anvil (http://127.0.0.1:8545)
+ * - chainId (optional): checked against eth_chainId before the first call
+ */
+export function createEip1193Resolver({ provider, url, contractAddress, chainId, abi = ROOT_REGISTRY_ABI } = {}) {
+  if (!contractAddress) throw new Error("eip1193 resolver: missing contractAddress");
+  if (!provider && !url) throw new Error("eip1193 resolver: pass an EIP-1193 provider or a node url");
+
+  let eip1193 = provider || null;
+  let chainChecked = !chainId;
+  const iface = new ethers.utils.Interface(abi);
+
+  async function call(fn, args) {
+    if (!eip1193) {
+      const rpc = new ethers.providers.JsonRpcProvider(url);
+      eip1193 = { request: ({ method, params }) => rpc.send(method, params || []) };
+    }
+    if (!chainChecked) {
+      const actual = Number(await eip1193.request({ method: "eth_chainId", params: [] }));
+      if (actual !== Number(chainId)) throw new Error(`eip1193 resolver: node is on chain ${actual}, expected ${chainId}`);
+      chainChecked = true;
+    }
+    const data = iface.encodeFunctionData(fn, args);
+    let raw;
+    try {
+      raw = await eip1193.request({ method: "eth_call", params: [{ to: contractAddress, data }, "latest"] });
+    } catch (err) {
+      // nodes answer a revert with a JSON-RPC error ("execution reverted"); report it the way ethers does
+      if (err && /revert/i.test(err.message || "")) err.code = "CALL_EXCEPTION";
+      throw err;
+    }
+    return iface.decodeFunctionResult(fn, raw);
+  }
+
+  const optionalView = createOptionalViews();
+  const rootToId = async (leafBytes32) => {
+    const [id] = await call("rootToId", [leafBytes32]);
+    return toIdNumber(id);
+  };
+  return {
+    name: "eip1193",
+    rootToId,
+    async rootStatus(leafBytes32) {
+      return optionalView(
+        "rootStatus",
+        async () => toRootStatus((await call("rootStatus", [leafBytes32]))[0]),
+        async () => ((await rootToId(leafBytes32)) > 0 ? ROOT_STATUS.ACTIVE : ROOT_STATUS.UNKNOWN)
+      );
+    },
+    async getTreeLeaves() {
+      return optionalView(
+        "getLeaves",
+        async () => (await call("getLeaves", []))[0].map(normalizeLeafKey),
+        async () => {
+          throw missingViewError("getLeaves");
+        }
+      );
+    },
+    async getRetiredLeaves() {
+      return optionalView(
+        "getRetiredLeaves",
+        async () => {
+          const [leaves, statuses] = await call("getRetiredLeaves", []);
+          return toRetiredMap(leaves, statuses);
+        },
+        async () => ({})
+      );
+    },
+    async isCurrentRoot(rootBytes32) {
+      return optionalView(
+        "isKnownRoot",
+        async () => Boolean((await call("isKnownRoot", [normalizeLeafKey(rootBytes32)]))[0]),
+        async () => isTreeRoot((await call("getLeaves", []))[0], rootBytes32)
+      );
+    }
+  };
+}
+
+// --- Several registry deployments ---
+
+// where a root was confirmed; copied into verify() results and audit events
+function toDeployment(cfg, index) {
+  const chainId = cfg.chainId !== undefined && cfg.chainId !== null ? Number(cfg.chainId) : null;
+  return Object.freeze({
+    name: String(cfg.name || (chainId ? `chain-${chainId}` : `registry-${index}`)),
+    chainId,
+    contractAddress: cfg.contractAddress ? String(cfg.contractAddress) : null,
+    deployBlock: cfg.deployBlock !== undefined && cfg.deployBlock !== null ? Number(cfg.deployBlock) : null
+  });
+}
+
+// Asks each registry in order; a later registry's answer only counts if no earlier one gave it.
+// A registry that throws is skipped, but when nobody answers `found` the first error is rethrown —
+// an outage must not read as "unknown root".
+async function firstFound(entries, ask, found) {
+  let firstErr = null;
+  for (const entry of entries) {
+    try {
+      const value = await ask(entry.resolver);
+      if (found(value)) return { value, entry };
+    } catch (err) {
+      console.warn(`⚠️ UNIQ registry ${entry.deployment.name} failed:`, err && err.message ? err.message : err);
+      firstErr = firstErr || err;
+    }
+  }
+  if (firstErr) throw firstErr;
+  return null;
+}
+
+/**
+ * createMultiChainResolver({ registries, resilience })
+ * - registries: [{ name, chainId, rpcUrls, contractAddress, deployBlock, abi, type }] in lookup order;
+ *   each entry becomes a createResolver() backend (type "ethers" by default; "eip1193" and "registry"
+ *   work too) with its own failover / retry / breaker settings (entry.resilience overrides `resilience`)
+ * - rootToId / rootStatus: the first registry that knows the root answers
+ * - isCurrentRoot: true when any registry has the root in its tree; locateRoot(root) / locateLeaf(leaf)
+ *   also say which deployment ({ name, chainId, contractAddress, deployBlock }) confirmed it
+ * - getTreeLeaves / getRetiredLeaves: the first registry; registries() lists every
+ *   { deployment, resolver } so the server can serve one tree per deployment
+ * - to migrate, list the new deployment first and keep the old one until its users have moved
+ */
+export function createMultiChainResolver({ registries, resilience = {} } = {}) {
+  if (!Array.isArray(registries) || !registries.length) throw new Error("multichain resolver: at least one registry is required");
+  const entries = registries.map((cfg, i) => {
+    const { name, deployBlock, type = "ethers", resilience: own, ...opts } = cfg || {};
+    if (type === "multichain") throw new Error("multichain resolver: registries cannot be nested");
+    const resolver = createResolver({ type, ...opts, resilience: own === undefined ? resilience : own });
+    return Object.freeze({ deployment: toDeployment(cfg || {}, i), resolver });
+  });
+  const primary = entries[0].resolver;
+
+  async function locateLeaf(leafBytes32) {
+    const hit = await firstFound(entries, (r) => r.rootToId(leafBytes32), (id) => toIdNumber(id) > 0);
+    return hit ? { id: toIdNumber(hit.value), deployment: hit.entry.deployment } : null;
+  }
+
+  async function locateRoot(rootBytes32) {
+    const supported = entries.filter((e) => typeof e.resolver.isCurrentRoot === "function");
+    const hit = await firstFound(supported, (r) => r.isCurrentRoot(rootBytes32), Boolean);
+    return hit ? hit.entry.deployment : null;
+  }
+
+  return {
+    name: `multichain(${entries.map((e) => e.deployment.name).join(", ")})`,
+    async rootToId(leafBytes32) {
+      const hit = await locateLeaf(leafBytes32);
+      return hit ? hit.id : 0;
+    },
+    async rootStatus(leafBytes32) {
+      const supported = entries.filter((e) => typeof e.resolver.rootStatus === "function");
+      const hit = await firstFound(supported, (r) => r.rootStatus(leafBytes32), (s) => s && s !== ROOT_STATUS.UNKNOWN);
+      return hit ? hit.value : ROOT_STATUS.UNKNOWN;
+    },
+    async getTreeLeaves() {
+      return primary.getTreeLeaves();
+    },
+    async getRetiredLeaves() {
+      return typeof primary.getRetiredLeaves === "function" ? primary.getRetiredLeaves() : {};
+    },
+    async isCurrentRoot(rootBytes32) {
+      return Boolean(await locateRoot(rootBytes32));
+    },
+    locateLeaf,
+    locateRoot,
+    registries() {
+      return entries;
+    },
+    // per-deployment resilience metrics, when the backends keep them
+    metrics() {
+      return {
+        registries: entries.map((e) => ({
+          ...e.deployment,
+          ...(typeof e.resolver.metrics === "function" ? e.resolver.metrics() : {})
+        }))
+      };
+    }
+  };
+}
+
+/**
+ * registriesConfigFromFile(file, env)
+ * - reads `{ "registries": [...] }` (or a bare array) for createMultiChainResolver
+ * - "${NAME}" inside any string is replaced by env[NAME], so RPC URLs with API keys can stay in .env
+ */
+export function registriesConfigFromFile(file, env = process.env) {
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) throw new Error(`multichain resolver: registry config not found: ${filePath}`);
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const registries = Array.isArray(parsed) ? parsed : parsed && parsed.registries;
+  if (!Array.isArray(registries)) throw new Error(`multichain resolver: ${filePath} has no "registries" list`);
+  return expandEnv(registries, env);
+}
+
+// --- Selection by config ---
+
+/**
+ * createResolver(config)
+ * - config.type: "ethers" (default) | "registry" | "eip1193" | "multichain"
+ * - remaining keys are passed to the matching backend factory
+ * - ethers / eip1193: `rpcUrls` (array or comma-separated; `rpcUrl` / `url` still work) gives one
+ *   endpoint per URL, tried in order; `resilience` configures createResilientResolver
+ *   (false = a bare single-endpoint resolver with no timeout, retry, breaker or cache)
+ * - a ready-made resolver object ({ rootToId }) is returned unchanged
+ */
+export function createResolver(config = {}) {
+  if (config && typeof config.rootToId === "function") return config;
+  const { type = "ethers", resilience = {}, rpcUrls, ...opts } = config || {};
+  switch (type) {
+    case "ethers": {
+      const urls = toUrlList(rpcUrls || opts.rpcUrl);
+      if (resilience === false || urls.length < 1) return createEthersResolver({ ...opts, rpcUrl: urls[0] });
+      return createResilientResolver(urls.map((rpcUrl) => createEthersResolver({ ...opts, rpcUrl })), resilience);
+    }
+    case "registry":
+      return createRegistryResolver(opts);
+    case "multichain":
+      return createMultiChainResolver({ ...opts, resilience });
+    case "eip1193": {
+      const urls = opts.provider ? [] : toUrlList(rpcUrls || opts.url);
+      const backends = urls.length ? urls.map((url) => createEip1193Resolver({ ...opts, url })) : [createEip1193Resolver(opts)];
+      return resilience === false ? backends[0] : createResilientResolver(backends, resilience);
+    }
+    default:
+      throw new Error(`Unknown UNIQ resolver type: ${type}`);
+  }
+}
+
+/**
+ * resolverConfigFromEnv(env)
+ * - UNIQ_RESOLVER=ethers   -> SEPOLIA_RPC_URL (comma-separated for failover) + CONTRACT_ADDR
+ * - UNIQ_RESOLVER=registry -> UNIQ_REGISTRY_PATH (JSON file of leaf -> id or { id, status })
+ * - UNIQ_RESOLVER=eip1193  -> LOCAL_RPC_URL (Hardhat / Anvil, comma-separated for failover) + CONTRACT_ADDR
+ * - UNIQ_RESOLVER=multichain -> UNIQ_REGISTRIES_PATH (default ./uniqid-registries.json), see registriesConfigFromFile
+ * - network backends also read the UNIQ_RPC_* / UNIQ_ROOT_CACHE_TTL_MS settings (resilienceConfigFromEnv)
+ */
+export function resolverConfigFromEnv(env = process.env) {
+  const type = (env.UNIQ_RESOLVER || "ethers").trim().toLowerCase();
+  if (type === "registry") {
+    return { type, file: env.UNIQ_REGISTRY_PATH || "./uniqid-sdk/fixtures/registry.json" };
+  }
+  if (type === "multichain") {
+    return {
+      type,
+      registries: registriesConfigFromFile(env.UNIQ_REGISTRIES_PATH || "./uniqid-registries.json", env),
+      resilience: resilienceConfigFromEnv(env)
+    };
+  }
+  if (type === "eip1193") {
+    return {
+      type,
+      rpcUrls: toUrlList(env.LOCAL_RPC_URL || "http://127.0.0.1:8545"),
+      contractAddress: env.CONTRACT_ADDR,
+      resilience: resilienceConfigFromEnv(env)
+    };
+  }
+  return {
+    type,
+    rpcUrls: toUrlList(env.SEPOLIA_RPC_URL || "https://sepolia.infura.io/v3/YOUR_INFURA_KEY"),
+    contractAddress: env.CONTRACT_ADDR || "0xYOUR_CONTRACT_ADDR",
+    resilience: resilienceConfigFromEnv(env)
+  };
+}
+
+export default {
+  ROOT_STATUS,
+  isMissingView,
+  createResolver,
+  createEthersResolver,
+  createRegistryResolver,
+  createEip1193Resolver,
+  createMultiChainResolver,
+  registriesConfigFromFile,
+  resolverConfigFromEnv
+};
@@ -0,0 +1,297 @@
+// uniqid-sdk/uniqid-sdk.resolvers.test.js
+// ✅ Registry resolver: IDs, root status, rotation / revocation history and the recent-root window
+// ✅ ethers / eip1193 backends against a stub contract: the views it has, and the fallbacks for those it lacks
+// ✅ createResolver() backend selection and the multi-chain lookup order
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { buildPoseidon } from "circomlibjs";
+import { buildMerkleTree } from "./uniqid-sdk.merkle.js";
+import {
+  ROOT_REGISTRY_ABI,
+  ROOT_STATUS,
+  createEip1193Resolver,
+  createEthersResolver,
+  createMultiChainResolver,
+  createRegistryResolver,
+  createResolver
+} from "./uniqid-sdk.resolvers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.join(__dirname, "fixtures", "registry.json");
+const CONTRACT = "0x" + "12".repeat(20);
+
+const leaf = (n) => "0x" + n.toString(16).padStart(64, "0");
+
+let poseidon;
+before(async () => {
+  poseidon = await buildPoseidon();
+});
+const rootOf = (leaves) => buildMerkleTree(leaves, { poseidon }).root;
+
+// --- Registry resolver ---
+
+describe("createRegistryResolver", () => {
+  test("reports the fixture's IDs and statuses", async () => {
+    const registry = createRegistryResolver({ file: FIXTURE });
+    const byStatus = (status) => Object.entries(JSON.parse(fs.readFileSync(FIXTURE, "utf8"))).find(([, v]) => v.status === status)[0];
+    const rotated = byStatus(ROOT_STATUS.ROTATED);
+    const revoked = byStatus(ROOT_STATUS.REVOKED);
+
+    assert.equal(await registry.rootToId(rotated), 3);
+    assert.equal(await registry.rootStatus(rotated), ROOT_STATUS.ROTATED);
+    assert.equal(await registry.rootToId(revoked), 8);
+    assert.equal(await registry.rootStatus(revoked), ROOT_STATUS.REVOKED);
+    assert.equal(await registry.rootToId(leaf(1)), 0);
+    assert.equal(await registry.rootStatus(leaf(1)), ROOT_STATUS.UNKNOWN);
+
+    const leaves = await registry.getTreeLeaves();
+    assert.equal(leaves.length, 7);
+    assert.ok(!leaves.includes(rotated) && !leaves.includes(revoked));
+    assert.deepEqual(await registry.getRetiredLeaves(), { [rotated]: ROOT_STATUS.ROTATED, [revoked]: ROOT_STATUS.REVOKED });
+  });
+
+  test("rotation keeps the ID, retires the old leaf and forgets every root that contained it", async () => {
+    const registry = createRegistryResolver({ entries: { [leaf(1)]: 1, [leaf(2)]: 2 } });
+    const first = rootOf([leaf(1), leaf(2)]);
+    assert.equal(await registry.isCurrentRoot(first), true);
+
+    registry.register(leaf(3), 3);
+    const second = rootOf([leaf(1), leaf(2), leaf(3)]);
+    assert.equal(await registry.isCurrentRoot(second), true);
+    assert.equal(await registry.isCurrentRoot(first), true, "a signup does not invalidate proofs against the previous root");
+
+    registry.rotate(leaf(2), leaf(4));
+    assert.equal(await registry.rootToId(leaf(4)), 2);
+    assert.equal(await registry.rootToId(leaf(2)), 2);
+    assert.equal(await registry.rootStatus(leaf(2)), ROOT_STATUS.ROTATED);
+    assert.deepEqual(await registry.getTreeLeaves(), [leaf(1), leaf(4), leaf(3)]);
+    assert.equal(await registry.isCurrentRoot(rootOf([leaf(1), leaf(4), leaf(3)])), true);
+    assert.equal(await registry.isCurrentRoot(second), false);
+    assert.equal(await registry.isCurrentRoot(first), false);
+    assert.throws(() => registry.rotate(leaf(2), leaf(5)), /not an active root/);
+
+    registry.revoke(leaf(1));
+    assert.equal(await registry.rootStatus(leaf(1)), ROOT_STATUS.REVOKED);
+    assert.deepEqual(await registry.getRetiredLeaves(), { [leaf(2)]: ROOT_STATUS.ROTATED, [leaf(1)]: ROOT_STATUS.REVOKED });
+    assert.deepEqual(await registry.getTreeLeaves(), [leaf(4), leaf(3)]);
+  });
+
+  test("accepts only the last 30 roots", async () => {
+    const registry = createRegistryResolver({ entries: { [leaf(1)]: 1 } });
+    const roots = [];
+    for (let n = 1; n <= 31; n++) {
+      if (n > 1) registry.register(leaf(n), n);
+      roots.push(rootOf(Array.from({ length: n }, (_, i) => leaf(i + 1))));
+      assert.equal(await registry.isCurrentRoot(roots[n - 1]), true);
+    }
+    assert.equal(await registry.isCurrentRoot(roots[0]), false);
+    assert.equal(await registry.isCurrentRoot(roots[1]), true);
+  });
+});
+
+// --- Contract backends ---
+
+// A registry contract as a map of view name -> (...args) => result values; views it lacks revert.
+// answer(data) returns the eth_call result, or null for a revert; calls lists the views asked.
+function stubContract(views) {
+  const iface = new ethers.utils.Interface(ROOT_REGISTRY_ABI);
+  const calls = [];
+  return {
+    calls,
+    answer(data) {
+      const { name, args } = iface.parseTransaction({ data });
+      calls.push(name);
+      return views[name] ? iface.encodeFunctionResult(name, views[name](...args)) : null;
+    }
+  };
+}
+
+// EIP-1193 provider whose eth_call goes to the stub; a revert is a JSON-RPC error, as nodes send it
+function stubProvider(contract) {
+  return {
+    async request({ method, params }) {
+      if (method !== "eth_call") throw new Error(`unexpected ${method}`);
+      const result = contract.answer(params[0].data);
+      if (result === null) throw Object.assign(new Error("execution reverted"), { code: 3 });
+      return result;
+    }
+  };
+}
+
+// JSON-RPC node over HTTP for the ethers backend
+function startNode(contract) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const parsed = JSON.parse(body);
+      const answers = [].concat(parsed).map(({ id, method, params }) => {
+        if (method === "eth_chainId") return { jsonrpc: "2.0", id, result: "0x7a69" };
+        if (method === "net_version") return { jsonrpc: "2.0", id, result: "31337" };
+        if (method !== "eth_call") return { jsonrpc: "2.0", id, error: { code: -32601, message: `unexpected ${method}` } };
+        const result = contract.answer(params[0].data);
+        return result === null
+          ? { jsonrpc: "2.0", id, error: { code: 3, message: "execution reverted", data: "0x" } }
+          : { jsonrpc: "2.0", id, result };
+      });
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(Array.isArray(parsed) ? answers : answers[0]));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+const LEAVES = [leaf(1), leaf(2), leaf(3)];
+// the deployed contract: only rootToId
+const ROOT_TO_ID_ONLY = { rootToId: (l) => [LEAVES.indexOf(l) + 1] };
+const FULL_CONTRACT = {
+  ...ROOT_TO_ID_ONLY,
+  rootStatus: (l) => [LEAVES.includes(l) ? 1 : l === leaf(9) ? 2 : 0],
+  getLeaves: () => [LEAVES],
+  getRetiredLeaves: () => [[leaf(9)], [2]],
+  isKnownRoot: (r) => [r === rootOf(LEAVES)]
+};
+
+const servers = [];
+after(() => servers.forEach((s) => s.close()));
+
+const BACKENDS = {
+  eip1193: async (contract) => createEip1193Resolver({ provider: stubProvider(contract), contractAddress: CONTRACT }),
+  ethers: async (contract) => {
+    const server = await startNode(contract);
+    servers.push(server);
+    return createEthersResolver({ rpcUrl: `http://127.0.0.1:${server.address().port}`, contractAddress: CONTRACT });
+  }
+};
+
+for (const [type, connect] of Object.entries(BACKENDS)) {
+  describe(`${type} backend`, () => {
+    beforeEach(() => mock.method(console, "warn", () => {}));
+    afterEach(() => mock.restoreAll());
+
+    test("reads status, history and tree from a contract with every view", async () => {
+      const contract = stubContract(FULL_CONTRACT);
+      const resolver = await connect(contract);
+
+      assert.equal(await resolver.rootToId(leaf(2)), 2);
+      assert.equal(await resolver.rootStatus(leaf(2)), ROOT_STATUS.ACTIVE);
+      assert.equal(await resolver.rootStatus(leaf(9)), ROOT_STATUS.ROTATED);
+      assert.deepEqual(await resolver.getRetiredLeaves(), { [leaf(9)]: ROOT_STATUS.ROTATED });
+      assert.deepEqual(await resolver.getTreeLeaves(), LEAVES);
+      assert.equal(await resolver.isCurrentRoot(rootOf(LEAVES)), true);
+      assert.equal(await resolver.isCurrentRoot(rootOf(LEAVES.slice(0, 2))), false);
+      assert.equal(console.warn.mock.callCount(), 0);
+    });
+
+    test("falls back when the contract only has rootToId, and stops asking for the missing views", async () => {
+      const contract = stubContract(ROOT_TO_ID_ONLY);
+      const resolver = await connect(contract);
+
+      assert.equal(await resolver.rootStatus(leaf(1)), ROOT_STATUS.ACTIVE);
+      assert.equal(await resolver.rootStatus(leaf(7)), ROOT_STATUS.UNKNOWN);
+      assert.deepEqual(await resolver.getRetiredLeaves(), {});
+      await assert.rejects(resolver.getTreeLeaves(), { code: "CALL_EXCEPTION" });
+      await assert.rejects(resolver.getTreeLeaves(), { code: "CALL_EXCEPTION" });
+
+      const asked = (name) => contract.calls.filter((c) => c === name).length;
+      assert.deepEqual([asked("rootStatus"), asked("getRetiredLeaves"), asked("getLeaves")], [1, 1, 1]);
+      assert.equal(console.warn.mock.callCount(), 3);
+    });
+
+    test("accepts only the current root when the contract has no isKnownRoot", async () => {
+      const { isKnownRoot, ...withoutHistory } = FULL_CONTRACT;
+      const resolver = await connect(stubContract(withoutHistory));
+
+      assert.equal(await resolver.isCurrentRoot(rootOf(LEAVES)), true);
+      assert.equal(await resolver.isCurrentRoot(rootOf(LEAVES.slice(0, 2))), false);
+    });
+  });
+}
+
+test("an eip1193 transport failure is not taken for a missing view", async () => {
+  mock.method(console, "warn", () => {});
+  try {
+    const provider = { request: async () => Promise.reject(Object.assign(new Error("socket hang up"), { code: "ECONNRESET" })) };
+    const resolver = createEip1193Resolver({ provider, contractAddress: CONTRACT });
+    await assert.rejects(resolver.rootStatus(leaf(1)), { code: "ECONNRESET" });
+    await assert.rejects(resolver.getRetiredLeaves(), { code: "ECONNRESET" });
+    assert.equal(console.warn.mock.callCount(), 0);
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+// --- Backend selection ---
+
+describe("createResolver", () => {
+  test("returns a ready resolver as it is", () => {
+    const custom = { name: "custom", rootToId: async () => 1 };
+    assert.equal(createResolver(custom), custom);
+  });
+
+  test("wraps RPC backends in the resilience layer unless resilience is false", () => {
+    const ethersResolver = createResolver({ type: "ethers", rpcUrls: "http://127.0.0.1:1,http://127.0.0.1:2", contractAddress: CONTRACT });
+    assert.equal(ethersResolver.metrics().endpoints.length, 2);
+    assert.equal(createResolver({ type: "ethers", rpcUrl: "http://127.0.0.1:1", contractAddress: CONTRACT, resilience: false }).name, "ethers");
+
+    const provider = stubProvider(stubContract(ROOT_TO_ID_ONLY));
+    assert.equal(typeof createResolver({ type: "eip1193", provider, contractAddress: CONTRACT }).metrics, "function");
+    assert.equal(createResolver({ type: "eip1193", provider, contractAddress: CONTRACT, resilience: false }).name, "eip1193");
+  });
+
+  test("builds registry and multichain backends, and refuses unknown types", () => {
+    assert.equal(createResolver({ type: "registry", entries: {} }).name, "registry");
+    assert.match(createResolver({ type: "multichain", registries: [{ name: "a", type: "registry", entries: {} }] }).name, /^multichain\(a\)$/);
+    assert.throws(() => createResolver({ type: "carrier-pigeon" }), /Unknown UNIQ resolver type/);
+  });
+});
+
+describe("createMultiChainResolver", () => {
+  beforeEach(() => mock.method(console, "warn", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  const deployments = () => [
+    { name: "next", chainId: 84532, type: "registry", entries: { [leaf(1)]: 1, [leaf(2)]: { id: 2, status: "revoked" } } },
+    { name: "old", chainId: 11155111, contractAddress: CONTRACT, type: "registry", entries: { [leaf(2)]: 5, [leaf(3)]: 3 } }
+  ];
+
+  test("asks the deployments in order and says which one answered", async () => {
+    const multi = createMultiChainResolver({ registries: deployments() });
+
+    assert.equal(await multi.rootToId(leaf(2)), 2, "the first deployment that knows a leaf answers");
+    assert.equal(await multi.rootStatus(leaf(2)), ROOT_STATUS.REVOKED);
+    assert.equal(await multi.rootToId(leaf(3)), 3);
+    assert.equal(await multi.rootToId(leaf(4)), 0);
+    assert.deepEqual(await multi.locateLeaf(leaf(3)), {
+      id: 3,
+      deployment: { name: "old", chainId: 11155111, contractAddress: CONTRACT, deployBlock: null }
+    });
+
+    assert.equal((await multi.locateRoot(rootOf([leaf(3), leaf(2)]))).name, "old", "leaves are in ID order");
+    assert.equal(await multi.isCurrentRoot(rootOf([leaf(1)])), true);
+    assert.equal(await multi.locateRoot(rootOf([leaf(4)])), null);
+    assert.deepEqual(await multi.getTreeLeaves(), [leaf(1)]);
+    assert.deepEqual(multi.registries().map((r) => r.deployment.name), ["next", "old"]);
+  });
+
+  test("skips a deployment that fails, but fails when no other one answers", async () => {
+    const [next, old] = deployments();
+    const broken = { name: "broken", type: "registry", file: path.join(__dirname, "fixtures", "missing.json") };
+    const multi = createMultiChainResolver({ registries: [broken, next, old] });
+
+    assert.equal(await multi.rootToId(leaf(3)), 3);
+    assert.equal(console.warn.mock.callCount(), 1);
+    await assert.rejects(multi.rootToId(leaf(4)), /file not found/);
+  });
+
+  test("refuses an empty or nested list", () => {
+    assert.throws(() => createMultiChainResolver({ registries: [] }), /at least one registry/);
+    assert.throws(() => createMultiChainResolver({ registries: [{ type: "multichain" }] }), /cannot be nested/);
+  });
+});
@@ -2,29 +2,106 @@
 // ✅ Server-side UNIQ-ID verification SDK
 // ✅ EXACTLY mirrors handlers.js hashing
 // ✅ Computes root/leaf, checks on-chain rootToId, validates entered UNIQ-ID
+// ✅ Understands credential rotation (new root, same ID) and revocation (typed ROOT_REVOKED error);
+//    verifyRotation() only lets an account move to a credential of the same UNIQ-ID
+// ✅ Verifies browser-generated Groth16 proofs: Merkle membership (createUniqVerifier) or per-leaf pos_prove (legacy)
+// ✅ Hands host apps a site-scoped nullifier to key accounts on, so sites cannot join user tables
+// ✅ Membership proofs reveal only "some registered user" — not which registration
+// ✅ Leaf mode: against a registry contract without getLeaves, verify() takes pos_prove proofs checked through rootToId
+// ✅ Side-effect free: verification outcomes go to an optional audit sink, never to disk
+// ✅ Reports every verification step as a timed stage event (verify(input, { onStage })) for progress streams
+// ✅ Stable API for host apps: createUniqVerifier(config) (versioned by SDK_API_VERSION)
 
 import * as fs from "fs";
+import crypto from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
-import { createRequire } from "module";
 import validator from "validator";
 import keccak256 from "keccak256";
 import { buildPoseidon } from "circomlibjs";
+import { groth16 } from "snarkjs";
+import { createResolver, resolverConfigFromEnv, isMissingView, ROOT_STATUS } from "./uniqid-sdk.resolvers.js";
+import { buildMerkleTree } from "./uniqid-sdk.merkle.js";
+import { createStageReporter } from "./uniqid-sdk.progress.js";
+import {
+  UNIQ_ERRORS,
+  uniqErrorBody,
+  uniqErrorStatus,
+  UniqError,
+  InvalidInputError,
+  ProofInvalidError,
+  NonceMismatchError,
+  SiteMismatchError,
+  RootNotFoundError,
+  RootRevokedError,
+  RootRotatedError,
+  RootNotCurrentError,
+  IdMismatchError,
+  RotationMismatchError,
+  ResolverUnavailableError
+} from "./uniqid-sdk.errors.js";
 
-// ethers v5 compatible
-const require = createRequire(import.meta.url);
-const { ethers } = require("ethers");
+export { ROOT_STATUS };
+export {
+  UNIQ_ERRORS,
+  uniqErrorBody,
+  uniqErrorStatus,
+  UniqError,
+  InvalidInputError,
+  ProofInvalidError,
+  NonceMismatchError,
+  SiteMismatchError,
+  RootNotFoundError,
+  RootRevokedError,
+  RootRotatedError,
+  RootNotCurrentError,
+  IdMismatchError,
+  RotationMismatchError,
+  ResolverUnavailableError
+};
+
+// Bumped whenever the createUniqVerifier() contract changes shape.
+// Host apps compare it at boot instead of probing for function names.
+// v2: proofs carry a site-scoped nullifier; verify() checks the site and returns nullifier / handle.
+// v3: verify() takes Merkle membership proofs and no longer returns the UNIQ-ID; getTree() added.
+// v4: getTree() lists retired (rotated / revoked) leaves; rootStatus() added.
+// v5: verify() reports the registry deployment that confirmed the root; getTree() may carry fallback trees.
+// v6: verifyRotation() checks that an old and a new credential belong to the same UNIQ-ID.
+// v7: getTree() carries a mode; in "leaf" mode verify() takes pos_prove proofs ({ circuit: "pos_prove" }).
+export const SDK_API_VERSION = 7;
 
 // --- ESM __dirname ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// --- Blockchain Config ---
-const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL || "https://sepolia.infura.io/v3/YOUR_INFURA_KEY";
-const CONTRACT_ADDR = process.env.CONTRACT_ADDR || "0xYOUR_CONTRACT_ADDR";
-const provider = new ethers.providers.JsonRpcProvider(SEPOLIA_RPC_URL);
-const CONTRACT_ABI = ["function rootToId(bytes32) view returns (uint256)"];
-const contract = new ethers.Contract(CONTRACT_ADDR, CONTRACT_ABI, provider);
+// --- Root resolver (ethers contract by default, see uniqid-sdk.resolvers.js) ---
+// Built from env on first use (UNIQ_RESOLVER, SEPOLIA_RPC_URL, CONTRACT_ADDR, ...) unless setResolver() ran first.
+let resolver = null;
+function getResolver() {
+  if (!resolver) resolver = createResolver(resolverConfigFromEnv(process.env));
+  return resolver;
+}
+
+// --- Groth16 verification keys (loaded once at startup) ---
+// pos_prove (one root per user, legacy verifyProof) and membership (createUniqVerifier)
+const VKEY_PATH = process.env.POS_VKEY_PATH
+  ? path.resolve(process.env.POS_VKEY_PATH)
+  : path.join(__dirname, "circuits", "verification_key.json");
+const verificationKey = JSON.parse(fs.readFileSync(VKEY_PATH, "utf8"));
+const MEMBERSHIP_VKEY_PATH = process.env.MEMBERSHIP_VKEY_PATH
+  ? path.resolve(process.env.MEMBERSHIP_VKEY_PATH)
+  : path.join(__dirname, "circuits", "membership_verification_key.json");
+const membershipKey = JSON.parse(fs.readFileSync(MEMBERSHIP_VKEY_PATH, "utf8"));
+// what verify({ circuit }) names; getTree() says which one the registry takes
+const CIRCUITS = ["membership", "pos_prove"];
+const LEAF_MODE_TREE = Object.freeze({ mode: "leaf" });
+// Positions in publicSignals — outputs first, then the public inputs:
+// pos_prove {public [leaf, nonce, siteId]}, membership {public [root, nonce, siteId]}
+const NULLIFIER_SIGNAL_INDEX = 0;
+const LEAF_SIGNAL_INDEX = 1;
+const ROOT_SIGNAL_INDEX = 1;
+const NONCE_SIGNAL_INDEX = 2;
+const SITE_ID_SIGNAL_INDEX = 3;
 
 // --- Poseidon instance ---
 const poseidon = await buildPoseidon();
@@ -66,8 +143,337 @@ function to0xPadded32(hexStr) {
   return "0x" + s.toLowerCase();
 }
 
+// --- Audit sink (optional, injected by the host app via setAuditSink) ---
+let auditSink = null;
+
+function assertSink(sink) {
+  if (sink !== null && sink !== undefined && typeof sink !== "function") {
+    throw new Error("Audit sink must be a function or null");
+  }
+}
+
+// Hand a verification event to a sink; a failing sink never breaks verification
+function emitTo(sink, event) {
+  if (!sink) return;
+  const full = { type: "verification", timestamp: new Date().toISOString(), ...event };
+  try {
+    Promise.resolve(sink(full)).catch((err) => console.error("UNIQ audit sink failed:", err));
+  } catch (err) {
+    console.error("UNIQ audit sink failed:", err);
+  }
+}
+
+function emitVerification(event) {
+  emitTo(auditSink, event);
+}
+
+// resolver.rootToId(leafBytes32) -> on-chain ID number (0 when the root is unknown)
+// Any backend failure surfaces as ResolverUnavailableError
+async function lookupRootId(leafBytes32, r = getResolver()) {
+  console.log(`🌐 Querying ${r.name || "resolver"}.rootToId for:`, leafBytes32);
+  let raw;
+  try {
+    raw = await r.rootToId(leafBytes32);
+  } catch (err) {
+    const reason = err && err.message ? err.message : String(err);
+    throw new ResolverUnavailableError(`Root resolver unavailable: ${reason}`, { resolver: r.name || "resolver" });
+  }
+  const idNum = Number(raw);
+  return Number.isFinite(idNum) ? idNum : 0;
+}
+
+// resolver.rootStatus(leafBytes32) -> ROOT_STATUS value; resolvers without it only know active roots
+async function lookupRootStatus(leafBytes32, r = getResolver()) {
+  if (typeof r.rootStatus !== "function") return ROOT_STATUS.ACTIVE;
+  try {
+    return (await r.rootStatus(leafBytes32)) || ROOT_STATUS.UNKNOWN;
+  } catch (err) {
+    const reason = err && err.message ? err.message : String(err);
+    throw new ResolverUnavailableError(`Root resolver unavailable: ${reason}`, { resolver: r.name || "resolver" });
+  }
+}
+
+// Merkle calls need a resolver with getTreeLeaves / isCurrentRoot; failures -> ResolverUnavailableError
+async function callTreeResolver(r, method, ...args) {
+  if (typeof r[method] !== "function") {
+    throw new ResolverUnavailableError(`Resolver ${r.name || "resolver"} does not support Merkle trees (${method})`, { resolver: r.name || "resolver" });
+  }
+  try {
+    return await r[method](...args);
+  } catch (err) {
+    const reason = err && err.message ? err.message : String(err);
+    throw new ResolverUnavailableError(`Root resolver unavailable: ${reason}`, { resolver: r.name || "resolver" });
+  }
+}
+
+// A source's active leaves, or null when it has no Merkle tree: a resolver without getTreeLeaves, or a
+// registry contract without the getLeaves view (leaf mode); other failures -> ResolverUnavailableError
+async function treeLeavesOf(source) {
+  if (typeof source.getTreeLeaves !== "function") return null;
+  try {
+    return await source.getTreeLeaves();
+  } catch (err) {
+    if (isMissingView(err)) return null;
+    const reason = err && err.message ? err.message : String(err);
+    throw new ResolverUnavailableError(`Root resolver unavailable: ${reason}`, { resolver: source.name || "resolver" });
+  }
+}
+
+// --- UNIQ-ID formatting ---
+
+/**
+ * formatUniqId(id)
+ * - 7, "7", "000007" or "UNIQ-000007" -> "UNIQ-000007"
+ * - throws InvalidInputError for anything else
+ */
+export function formatUniqId(id) {
+  return `UNIQ-${String(parseUniqId(id)).padStart(6, "0")}`;
+}
+
+/**
+ * parseUniqId(value)
+ * - "UNIQ-000007" (any case), "000007", "7" or 7 -> 7
+ * - throws InvalidInputError when the value is not a positive UNIQ-ID
+ */
+export function parseUniqId(value) {
+  const m = /^(?:UNIQ-)?(\d{1,15})$/i.exec(String(value ?? "").trim());
+  const idNum = m ? Number(m[1]) : 0;
+  if (!idNum) throw new InvalidInputError(`Malformed UNIQ-ID: ${value}`, { value });
+  return idNum;
+}
+
+// --- Site-scoped identifiers ---
+
+/**
+ * siteIdFromName(site)
+ * - "pizza.example.com" -> Poseidon(keccak(utf8)) as a decimal field string
+ * - host name is trimmed and lower-cased, so "Pizza.Example.com " gives the same siteId
+ * - this is the public `siteId` input the browser proves against
+ */
+export function siteIdFromName(site) {
+  const name = String(site || "").trim().toLowerCase();
+  if (!name) throw new InvalidInputError("Missing site name");
+  return F.toString(poseidon([keccakBig(name)]), 10);
+}
+
+/**
+ * formatSiteHandle(nullifier)
+ * - short display form of a site-scoped nullifier: "0x3f9ac21b77d0…" -> "UQ-3F9A-C21B-77D0"
+ * - only meaningful on the site that issued it; never shows the global UNIQ-ID
+ */
+export function formatSiteHandle(nullifier) {
+  const hex = String(nullifier || "").replace(/^0x/i, "");
+  if (!/^[0-9a-fA-F]{12,64}$/.test(hex)) throw new InvalidInputError(`Malformed nullifier: ${nullifier}`, { nullifier });
+  const head = hex.padStart(64, "0").slice(0, 12).toUpperCase();
+  return `UQ-${head.slice(0, 4)}-${head.slice(4, 8)}-${head.slice(8, 12)}`;
+}
+
+// --- Proof verification core ---
+// Both circuits throw a typed UniqError on the first failed check, in this order:
+// input shape -> Groth16 -> nonce -> siteId, then
+//   pos_prove:  rootToId -> rootStatus -> expected UNIQ-ID   (verifyProofStrict, legacy verifyProof)
+//   membership: isCurrentRoot                                (verifyMembershipStrict, createUniqVerifier)
+// Rotated and revoked leaves are out of the registry tree, so a membership proof for one can only be
+// made against an old root — and the resolver forgets every root that still contained it.
+// `stage` (createStageReporter) times each check as proof -> nonce -> site -> root for progress streams.
+
+function assertSignalShape({ proof, publicSignals }, vkey) {
+  if (!proof || typeof proof !== "object" || !Array.isArray(publicSignals)) {
+    throw new InvalidInputError("Missing proof or publicSignals");
+  }
+  if (publicSignals.length !== Number(vkey.nPublic)) {
+    console.log("❌ Public signal count does not match the verification key.");
+    throw new InvalidInputError(`Expected ${vkey.nPublic} public signals, got ${publicSignals.length}`);
+  }
+}
+
+// input shape + Groth16 + nonce + siteId; returns the proof's site-scoped nullifier as bytes32
+async function verifyBoundProof({ proof, publicSignals, nonce }, { vkey, siteId, stage = createStageReporter(null) }) {
+  await stage.run("proof", async () => {
+    assertSignalShape({ proof, publicSignals }, vkey);
+    let valid = false;
+    try {
+      valid = await groth16.verify(vkey, publicSignals, proof);
+    } catch (err) {
+      console.log("❌ Malformed proof:", err && err.message ? err.message : err);
+      valid = false;
+    }
+    if (!valid) {
+      console.log("❌ Proof is invalid.");
+      throw new ProofInvalidError();
+    }
+    console.log("✅ Proof is valid.");
+  });
+
+  await stage.run("nonce", () => {
+    if (nonce === undefined || nonce === null || String(publicSignals[NONCE_SIGNAL_INDEX]) !== String(nonce)) {
+      console.log("❌ Proof was not generated for this challenge nonce.");
+      throw new NonceMismatchError();
+    }
+  });
+
+  await stage.run("site", () => {
+    if (String(publicSignals[SITE_ID_SIGNAL_INDEX]) !== String(siteId)) {
+      console.log("❌ Proof was made for a different site.");
+      throw new SiteMismatchError();
+    }
+  });
+  return to0xPadded32(BigInt(publicSignals[NULLIFIER_SIGNAL_INDEX]).toString(16));
+}
+
+// rootToId -> rootStatus: the leaf's ID when it is registered and active, else the typed error
+async function assertActiveLeaf(leafBytes32, r, details = {}) {
+  const idNum = await lookupRootId(leafBytes32, r);
+  if (!idNum) {
+    console.log("❌ Root not found on blockchain.");
+    throw new RootNotFoundError(undefined, { ...details, leafBytes32 });
+  }
+  console.log("✅ Root exists. On-chain assigned ID:", idNum);
+  const uniqIdString = formatUniqId(idNum);
+
+  const status = await lookupRootStatus(leafBytes32, r);
+  if (status === ROOT_STATUS.REVOKED) {
+    console.log("❌ Root has been revoked.");
+    throw new RootRevokedError(undefined, { uniqId: idNum, uniqIdString, leafBytes32 });
+  }
+  if (status === ROOT_STATUS.ROTATED) {
+    console.log("❌ Root was rotated to a newer one.");
+    throw new RootRotatedError(undefined, { uniqId: idNum, uniqIdString, leafBytes32 });
+  }
+  return idNum;
+}
+
+async function verifyProofStrict({ proof, publicSignals, nonce, expectedUniqId }, { vkey, resolver: r, siteId }) {
+  console.log("🔍 Verifying Groth16 proof...");
+  const expectedId = expectedUniqId === undefined || expectedUniqId === null || expectedUniqId === ""
+    ? null
+    : parseUniqId(expectedUniqId);
+
+  const nullifier = await verifyBoundProof({ proof, publicSignals, nonce }, { vkey, siteId });
+
+  const leafHex = "0x" + BigInt(publicSignals[LEAF_SIGNAL_INDEX]).toString(16);
+  const leafBytes32 = to0xPadded32(leafHex);
+  const idNum = await assertActiveLeaf(leafBytes32, r, { leafHex });
+  const uniqIdString = formatUniqId(idNum);
+
+  if (expectedId !== null && expectedId !== idNum) {
+    console.log("❌ Entered ID does not match on-chain ID.");
+    throw new IdMismatchError(undefined, { uniqId: idNum, uniqIdString, expected: formatUniqId(expectedId) });
+  }
+
+  return { uniqId: idNum, uniqIdString, leafHex, leafBytes32, nullifier, handle: formatSiteHandle(nullifier) };
+}
+
+async function verifyMembershipStrict({ proof, publicSignals, nonce }, { vkey, resolver: r, siteId, stage = createStageReporter(null) }) {
+  console.log("🔍 Verifying Groth16 membership proof...");
+  const nullifier = await verifyBoundProof({ proof, publicSignals, nonce }, { vkey, siteId, stage });
+
+  const root = to0xPadded32(BigInt(publicSignals[ROOT_SIGNAL_INDEX]).toString(16));
+  // multi-chain resolvers say which deployment knows the root; single ones only whether it is current
+  const multi = typeof r.locateRoot === "function";
+  console.log(`🌐 Checking ${r.name || "resolver"}.${multi ? "locateRoot" : "isCurrentRoot"} for:`, root);
+  const registry = await stage.run(
+    "root",
+    async () => {
+      const found = multi ? await callTreeResolver(r, "locateRoot", root) : null;
+      if (multi ? !found : !(await callTreeResolver(r, "isCurrentRoot", root))) {
+        console.log("❌ Merkle root is not current.");
+        throw new RootNotCurrentError(undefined, { root });
+      }
+      return found;
+    },
+    { resolver: r.name || "resolver" },
+    (found) => (found ? { registry: { name: found.name, chainId: found.chainId } } : {})
+  );
+  console.log("✅ Member of the current registry tree" + (registry ? ` on ${registry.name} (chain ${registry.chainId}).` : "."));
+
+  return { nullifier, handle: formatSiteHandle(nullifier), root, registry };
+}
+
+// Leaf mode: the registry contract has no Merkle tree yet, so a pos_prove proof is checked against
+// rootToId / rootStatus. The server learns which registration proved (not its UNIQ-ID, which is not returned).
+async function verifyLeafStrict({ proof, publicSignals, nonce }, { vkey, resolver: r, siteId, stage = createStageReporter(null) }) {
+  console.log("🔍 Verifying Groth16 proof (leaf mode)...");
+  const nullifier = await verifyBoundProof({ proof, publicSignals, nonce }, { vkey, siteId, stage });
+
+  const leafBytes32 = to0xPadded32(BigInt(publicSignals[LEAF_SIGNAL_INDEX]).toString(16));
+  // multi-chain resolvers say which deployment knows the leaf
+  const registry = await stage.run(
+    "root",
+    async () => {
+      await assertActiveLeaf(leafBytes32, r);
+      if (typeof r.locateLeaf !== "function") return null;
+      const found = await callTreeResolver(r, "locateLeaf", leafBytes32);
+      return found ? found.deployment : null;
+    },
+    { resolver: r.name || "resolver" },
+    (found) => (found ? { registry: { name: found.name, chainId: found.chainId } } : {})
+  );
+  console.log("✅ Registered and active" + (registry ? ` on ${registry.name} (chain ${registry.chainId}).` : "."));
+
+  return { nullifier, handle: formatSiteHandle(nullifier), root: null, registry };
+}
+
+// Rotation: pos_prove proofs for the old and the new credential, both bound to one challenge. Unlike
+// membership proofs they disclose their leaves, so the registry can confirm that both resolve to the
+// same UNIQ-ID (a rotated root keeps its ID); the ID itself is not returned.
+async function verifyRotationStrict({ previous, proof, publicSignals, nonce }, { vkey, resolver: r, siteId, stage = createStageReporter(null) }) {
+  if (!previous || typeof previous !== "object") throw new InvalidInputError("Missing the previous credential's proof");
+  console.log("🔍 Verifying Groth16 proofs for the old and the new credential...");
+  const previousNullifier = await verifyBoundProof({ proof: previous.proof, publicSignals: previous.publicSignals, nonce }, { vkey, siteId });
+  const nullifier = await verifyBoundProof({ proof, publicSignals, nonce }, { vkey, siteId, stage });
+
+  await stage.run("root", async () => {
+    const oldLeaf = to0xPadded32(BigInt(previous.publicSignals[LEAF_SIGNAL_INDEX]).toString(16));
+    const newLeaf = to0xPadded32(BigInt(publicSignals[LEAF_SIGNAL_INDEX]).toString(16));
+    const oldId = await lookupRootId(oldLeaf, r);
+    const newId = await lookupRootId(newLeaf, r);
+    if (!oldId || !newId) {
+      console.log("❌ Rotation: a credential is not registered.");
+      throw new RootNotFoundError(undefined, { leafBytes32: oldId ? newLeaf : oldLeaf });
+    }
+    const oldStatus = await lookupRootStatus(oldLeaf, r);
+    const newStatus = await lookupRootStatus(newLeaf, r);
+    if (oldStatus === ROOT_STATUS.REVOKED || newStatus === ROOT_STATUS.REVOKED) {
+      console.log("❌ Rotation: a credential has been revoked.");
+      throw new RootRevokedError();
+    }
+    if (newStatus === ROOT_STATUS.ROTATED) {
+      console.log("❌ Rotation: the new credential was itself replaced.");
+      throw new RootRotatedError();
+    }
+    if (oldId !== newId) {
+      console.log("❌ Rotation: the credentials belong to different UNIQ-IDs.");
+      throw new RotationMismatchError();
+    }
+  }, { resolver: r.name || "resolver" });
+  console.log("✅ Both credentials belong to the same UNIQ-ID.");
+
+  return { previousNullifier, nullifier, handle: formatSiteHandle(nullifier) };
+}
+
 // --- Main SDK Functions ---
 
+/**
+ * setResolver(resolverOrConfig)
+ * - swaps the root backend: a resolver object ({ rootToId }) or a createResolver() config
+ *   e.g. setResolver({ type: "registry", file: "./uniqid-sdk/fixtures/registry.json" })
+ * - returns the active resolver
+ */
+export function setResolver(resolverOrConfig) {
+  resolver = createResolver(resolverOrConfig);
+  return resolver;
+}
+
+/**
+ * createNonce()
+ * - fresh random challenge for pos_prove's public `nonce` input
+ * - 31 random bytes as a decimal string, so it always fits in the BN254 field
+ */
+export function createNonce() {
+  return BigInt("0x" + crypto.randomBytes(31).toString("hex")).toString();
+}
+
 /**
  * computeLeaf(email, deKey)
  * - hashes email and paraphrase just like handlers.js
@@ -89,50 +495,57 @@ export async function computeLeaf(email, deKey) {
   return { emailHashHex, paraHashHex, leafHex, leafBytes32 };
 }
 
+/**
+ * setAuditSink(sink)
+ * - sink(event) is called after every checkOnChain / verifyProof outcome (may be async)
+ * - event: { type: "verification", method, success, reason?, code?, uniqId?, uniqString?, timestamp }
+ * - pass null to remove it; the SDK itself never persists anything
+ */
+export function setAuditSink(sink) {
+  assertSink(sink);
+  auditSink = sink || null;
+}
+
 /**
  * checkOnChain(email, deKey, enteredId)
- * - Computes leaf & checks contract.rootToId(leafBytes32)
+ * - Computes leaf & checks rootToId(leafBytes32) through the configured resolver
  * - If enteredId is provided, ensures it matches the on-chain assigned ID
+ * - Failures: { success: false, code, reason } with code ROOT_NOT_FOUND, ROOT_REVOKED, ROOT_ROTATED or ID_MISMATCH
  */
 export async function checkOnChain(email, deKey, enteredId) {
   console.log("🔍 Starting verification process...");
   const { emailHashHex, paraHashHex, leafHex, leafBytes32 } = await computeLeaf(email, deKey);
 
-  console.log("🌐 Querying contract.rootToId for:", leafBytes32);
-  const idBn = await contract.rootToId(leafBytes32);
-  const idStr = idBn && typeof idBn.toString === "function" ? idBn.toString() : String(idBn);
-  const idNum = Number(idStr);
+  const idNum = await lookupRootId(leafBytes32);
 
   if (!idNum || idNum === 0) {
     console.log("❌ Root not found on blockchain.");
-    return { success: false, reason: "Root does not exist on-chain", emailHashHex, paraHashHex, leafHex, leafBytes32 };
+    emitVerification({ method: "checkOnChain", success: false, reason: "Root does not exist on-chain", code: "ROOT_NOT_FOUND" });
+    return { success: false, code: "ROOT_NOT_FOUND", reason: "Root does not exist on-chain", emailHashHex, paraHashHex, leafHex, leafBytes32 };
   }
 
   console.log("✅ Root exists. On-chain assigned ID:", idNum);
-  const uniqString = `UNIQ-${String(idNum).padStart(6, "0")}`;
+  const uniqString = formatUniqId(idNum);
+
+  const status = await lookupRootStatus(leafBytes32);
+  if (status === ROOT_STATUS.REVOKED || status === ROOT_STATUS.ROTATED) {
+    const reason = status === ROOT_STATUS.REVOKED ? "Root has been revoked" : "Root was rotated to a newer one";
+    const code = status === ROOT_STATUS.REVOKED ? "ROOT_REVOKED" : "ROOT_ROTATED";
+    console.log(`❌ ${reason}.`);
+    emitVerification({ method: "checkOnChain", success: false, reason, code, uniqId: idNum, uniqString });
+    return { success: false, code, reason, emailHashHex, paraHashHex, leafHex, leafBytes32, onChainId: idNum, status };
+  }
 
   if (enteredId) {
     if (String(enteredId).trim() !== String(idNum) && String(enteredId).trim() !== uniqString) {
       console.log("❌ Entered ID does not match on-chain ID.");
-      return { success: false, reason: "Entered ID does not match on-chain assigned ID", emailHashHex, paraHashHex, leafHex, leafBytes32, onChainId: idNum };
+      emitVerification({ method: "checkOnChain", success: false, reason: "Entered ID does not match on-chain assigned ID", code: "ID_MISMATCH", uniqId: idNum, uniqString });
+      return { success: false, code: "ID_MISMATCH", reason: "Entered ID does not match on-chain assigned ID", emailHashHex, paraHashHex, leafHex, leafBytes32, onChainId: idNum };
     }
     console.log("🎯 Entered ID matches on-chain ID!");
   }
 
-  // Save to local DB
-  const dbPath = path.join(__dirname, "..", "uniqid_users.json");
-  const record = {
-    uniq_id: uniqString,
-    id_number: idNum,
-    timestamp: new Date().toISOString()
-  };
-  let db = [];
-  if (fs.existsSync(dbPath)) {
-    db = JSON.parse(fs.readFileSync(dbPath, "utf8"));
-  }
-  db.push(record);
-  fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-  console.log(`💾 Saved verified user to ${dbPath}`);
+  emitVerification({ method: "checkOnChain", success: true, uniqId: idNum, uniqString });
 
   return {
     success: true,
@@ -145,6 +558,235 @@ export async function checkOnChain(email, deKey, enteredId) {
   };
 }
 
+/**
+ * verifyProof({ proof, publicSignals, nonce, site })
+ * - Runs Groth16 verification against verification_key.json
+ * - Ensures the proof was made for `nonce` (the challenge this server issued)
+ *   and for `site` (default: UNIQ_SITE env), see siteIdFromName
+ * - Reads the leaf from publicSignals and checks rootToId(leafBytes32) and rootStatus through the resolver
+ * - Never sees the email or DeKey — only what the browser prover produced
+ * - Legacy { success, reason, code } shape (code from UNIQ_ERRORS); new code should use createUniqVerifier().verify
+ */
+export async function verifyProof({ proof, publicSignals, nonce, site = process.env.UNIQ_SITE } = {}) {
+  try {
+    const { uniqId, uniqIdString, leafHex, leafBytes32, nullifier, handle } = await verifyProofStrict(
+      { proof, publicSignals, nonce },
+      { vkey: verificationKey, resolver: getResolver(), siteId: siteIdFromName(site) }
+    );
+    emitVerification({ method: "verifyProof", success: true, uniqId, uniqString: uniqIdString });
+    return { success: true, leafHex, leafBytes32, uniqId, uniqString: uniqIdString, nullifier, handle };
+  } catch (err) {
+    if (!(err instanceof UniqError) || err instanceof ResolverUnavailableError) throw err;
+    emitVerification({ method: "verifyProof", success: false, reason: err.message, code: err.code });
+    const { leafHex, leafBytes32 } = err.details || {};
+    return { success: false, code: err.code, reason: err.message, ...(leafBytes32 ? { leafHex, leafBytes32 } : {}) };
+  }
+}
+
+/**
+ * createUniqVerifier(config)
+ * - the supported way for host apps to use this SDK; check `version` against SDK_API_VERSION
+ * - config: { site, resolver, auditSink, verificationKey }
+ *     site:            this site's name, e.g. "pizza.example.com" (default: UNIQ_SITE env; required)
+ *     resolver:        resolver object or createResolver() config (default: from env)
+ *     auditSink:       function(event) called after every verify() outcome (default: none);
+ *                      events carry the site-scoped nullifier and its handle, never the global uniqId
+ *     verificationKey: parsed membership verification key
+ *                      (default: MEMBERSHIP_VKEY_PATH / circuits/membership_verification_key.json)
+ * - returns {
+ *     version,
+ *     site, siteId,    the public input pages must prove against (send it with the challenge)
+ *     getTree() -> { mode: "membership", depth, root, leaves, retired }, the registry tree pages build their
+ *                  Merkle path from (retired: { leafBytes32: "rotated" | "revoked" }); with a multichain resolver
+ *                  also `registry` (its deployment) and `fallbacks`: the same shape for every further deployment;
+ *                  { mode: "leaf" } while the registry has no tree (no getTreeLeaves, or a contract without getLeaves),
+ *     verify({ proof, publicSignals, nonce, circuit }) -> { nullifier, handle, root, registry, verifiedAt }
+ *                  (registry: { name, chainId, contractAddress, deployBlock } that confirmed the root,
+ *                  null for single-registry resolvers); in leaf mode it takes a pos_prove proof with
+ *                  circuit "pos_prove", checked through rootToId / rootStatus (root: null), and refuses it otherwise;
+ *                  verify(input, { onStage }) also reports each check as it runs: onStage({ stage, status, ms, code })
+ *                  for proof -> nonce -> site -> root (see uniqid-sdk.progress.js),
+ *     verifyRotation({ previous: { proof, publicSignals }, proof, publicSignals, nonce })
+ *               -> { previousNullifier, nullifier, handle, verifiedAt }: two pos_prove proofs (old and new
+ *                  credential, same nonce); throws ROTATION_MISMATCH unless both resolve to the same UNIQ-ID,
+ *                  ROOT_REVOKED for a revoked one and ROOT_ROTATED when the new one is already replaced;
+ *                  takes { onStage } like verify(),
+ *     resolveRoot(leafBytes32) -> uniqId number (0 when the root is unknown; legacy per-leaf registry lookup;
+ *                  a rotated root resolves to the same ID as its replacement),
+ *     rootStatus(leafBytes32) -> "active" | "rotated" | "revoked" | "unknown" (ROOT_STATUS),
+ *     formatUniqId(id) -> "UNIQ-000007",
+ *     parseUniqId("UNIQ-000007") -> 7,
+ *     formatSiteHandle(nullifier) -> "UQ-3F9A-C21B-77D0",
+ *     createNonce(),
+ *     resolverMetrics() -> the resolver's metrics() (cache hit rate, RPC latency, breakers), null if it has none
+ *   }
+ * - verify() takes membership.circom proofs: it learns that some registered user proved, and
+ *   their nullifier — key accounts on it (same user + same site -> same value, different sites -> unlinkable)
+ * - a new DeKey means a new nullifier: move the account with an authenticated re-proof of both
+ *   credentials (verifyRotation, used by uniqAuth's POST /rotate); the server then learns which
+ *   registration is the user's, for that one request
+ * - config.rotationVerificationKey: parsed pos_prove verification key for verifyRotation and leaf mode
+ *   (default: POS_VKEY_PATH / circuits/verification_key.json)
+ * - leaf mode keeps sign-in working until the registry contract has getLeaves: the server then learns
+ *   which registration proved, as verifyRotation does; getTree() tells pages which proof to send
+ * - verify(), resolveRoot() and rootStatus() throw UniqError subclasses (see uniqid-sdk.errors.js), never { success: false }
+ */
+export function createUniqVerifier(config = {}) {
+  const r = config.resolver ? createResolver(config.resolver) : createResolver(resolverConfigFromEnv(process.env));
+  const sink = config.auditSink || null;
+  assertSink(sink);
+  const vkey = config.verificationKey || membershipKey;
+  const posKey = config.rotationVerificationKey || verificationKey;
+  const site = String(config.site || process.env.UNIQ_SITE || "").trim().toLowerCase();
+  if (!site) throw new Error("createUniqVerifier: config.site (or UNIQ_SITE) is required");
+  const siteId = siteIdFromName(site);
+
+  async function verify({ proof, publicSignals, nonce, circuit } = {}, { onStage } = {}) {
+    try {
+      const leaf = await inLeafMode();
+      assertCircuit(circuit, leaf);
+      const { nullifier, handle, root, registry } = await (leaf ? verifyLeafStrict : verifyMembershipStrict)(
+        { proof, publicSignals, nonce },
+        { vkey: leaf ? posKey : vkey, resolver: r, siteId, stage: createStageReporter(onStage) }
+      );
+      emitTo(sink, { method: "verify", success: true, nullifier, handle, registry });
+      return { nullifier, handle, root, registry, verifiedAt: new Date().toISOString() };
+    } catch (err) {
+      emitTo(sink, {
+        method: "verify",
+        success: false,
+        reason: err && err.message ? err.message : String(err),
+        code: err instanceof UniqError ? err.code : undefined
+      });
+      throw err;
+    }
+  }
+
+  async function verifyRotation({ previous, proof, publicSignals, nonce } = {}, { onStage } = {}) {
+    try {
+      const result = await verifyRotationStrict(
+        { previous, proof, publicSignals, nonce },
+        { vkey: posKey, resolver: r, siteId, stage: createStageReporter(onStage) }
+      );
+      emitTo(sink, { method: "verifyRotation", success: true, nullifier: result.nullifier, handle: result.handle });
+      return { ...result, verifiedAt: new Date().toISOString() };
+    } catch (err) {
+      emitTo(sink, {
+        method: "verifyRotation",
+        success: false,
+        reason: err && err.message ? err.message : String(err),
+        code: err instanceof UniqError ? err.code : undefined
+      });
+      throw err;
+    }
+  }
+
+  // a pos_prove proof is only taken in leaf mode, and a membership proof only outside it
+  function assertCircuit(circuit, leaf) {
+    if (circuit !== undefined && circuit !== null && !CIRCUITS.includes(circuit)) {
+      throw new InvalidInputError(`Unknown circuit: ${circuit}`, { circuit });
+    }
+    if (leaf && circuit !== "pos_prove") {
+      throw new InvalidInputError('The registry has no Merkle tree yet: send a pos_prove proof with circuit "pos_prove"', { circuit });
+    }
+    if (!leaf && circuit === "pos_prove") {
+      throw new InvalidInputError("pos_prove proofs are only accepted while the registry has no Merkle tree", { circuit });
+    }
+  }
+
+  // set by every getTree(); verify() builds the tree once when nobody has asked for it yet
+  let leafMode = null;
+  async function inLeafMode() {
+    if (leafMode === null) await getTree();
+    return leafMode;
+  }
+
+  // rebuilt only when the registry's leaf list changes; retired leaves let a page tell a
+  // rotated or revoked credential apart from one that was never registered
+  const treeCache = new Map(); // deployment name ("" for a single registry) -> { key, tree }
+  async function treeOf(source, deployment) {
+    const leaves = await treeLeavesOf(source);
+    if (!leaves) return null;
+    const retired = typeof source.getRetiredLeaves === "function" ? await callTreeResolver(source, "getRetiredLeaves") : {};
+    const key = leaves.join(",") + "|" + Object.entries(retired).join(",");
+    const cacheKey = deployment ? deployment.name : "";
+    const cached = treeCache.get(cacheKey);
+    if (cached && cached.key === key) return cached.tree;
+    const { depth, root, leaves: normalized } = buildMerkleTree(leaves, { poseidon });
+    const tree = Object.freeze({
+      mode: "membership",
+      depth,
+      root,
+      leaves: normalized,
+      retired: Object.freeze({ ...retired }),
+      ...(deployment ? { registry: deployment } : {})
+    });
+    treeCache.set(cacheKey, { key, tree });
+    return tree;
+  }
+
+  // multichain: one tree per deployment, in lookup order; a deployment that is down, or has no tree,
+  // is left out unless all of them are (leaf mode when none has a tree)
+  async function getTree() {
+    const trees = [];
+    let firstErr = null;
+    if (typeof r.registries !== "function") {
+      const tree = await treeOf(r, null);
+      if (tree) trees.push(tree);
+    } else {
+      for (const { deployment, resolver } of r.registries()) {
+        try {
+          const tree = await treeOf(resolver, deployment);
+          if (tree) trees.push(tree);
+        } catch (err) {
+          console.warn(`⚠️ UNIQ registry ${deployment.name} left out of the tree:`, err.message);
+          firstErr = firstErr || err;
+        }
+      }
+    }
+    if (!trees.length && firstErr) throw firstErr;
+    leafMode = !trees.length;
+    if (leafMode) return LEAF_MODE_TREE;
+    const [primary, ...fallbacks] = trees;
+    return fallbacks.length ? Object.freeze({ ...primary, fallbacks: Object.freeze(fallbacks) }) : primary;
+  }
+
+  async function resolveRoot(leafBytes32) {
+    if (!/^0x[0-9a-fA-F]{1,64}$/.test(String(leafBytes32 || ""))) {
+      throw new InvalidInputError(`Malformed leaf: ${leafBytes32}`, { leafBytes32 });
+    }
+    return lookupRootId(to0xPadded32(leafBytes32), r);
+  }
+
+  async function rootStatus(leafBytes32) {
+    if (!/^0x[0-9a-fA-F]{1,64}$/.test(String(leafBytes32 || ""))) {
+      throw new InvalidInputError(`Malformed leaf: ${leafBytes32}`, { leafBytes32 });
+    }
+    return lookupRootStatus(to0xPadded32(leafBytes32), r);
+  }
+
+  // resolvers built by createResolver() for ethers / eip1193 are wrapped by createResilientResolver
+  function resolverMetrics() {
+    return typeof r.metrics === "function" ? r.metrics() : null;
+  }
+
+  return Object.freeze({
+    version: SDK_API_VERSION,
+    site,
+    siteId,
+    verify,
+    verifyRotation,
+    getTree,
+    resolveRoot,
+    rootStatus,
+    formatUniqId,
+    parseUniqId,
+    formatSiteHandle,
+    createNonce,
+    resolverMetrics
+  });
+}
+
 /**
  * verifyProcess(email, deKey, enteredId)
  * - High-level function showing full verification steps
@@ -168,7 +810,17 @@ export async function verifyProcess(email, deKey, enteredId) {
 }
 
 export default {
+  SDK_API_VERSION,
+  createUniqVerifier,
+  formatUniqId,
+  parseUniqId,
+  siteIdFromName,
+  formatSiteHandle,
   computeLeaf,
   checkOnChain,
+  createNonce,
+  setAuditSink,
+  setResolver,
+  verifyProof,
   verifyProcess
 };
@@ -0,0 +1,181 @@
+// uniqid-sdk/uniqid-sdk.server.test.js
+// ✅ createUniqVerifier() against real Groth16 proofs from the committed circuits (membership + pos_prove)
+// ✅ Rejects a proof for another challenge, another site, a tampered signal or a stale root; a replayed
+//    nonce is refused by verifyProofRequest before the proof is looked at
+// ✅ verifyRotation() only moves an account between credentials of one UNIQ-ID; leaf mode for a
+//    registry without a Merkle tree
+
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { generateMembershipProof, generateProof } from "./uniqid-sdk.browser.js";
+import { createRegistryResolver, ROOT_STATUS } from "./uniqid-sdk.resolvers.js";
+import { createUniqVerifier, formatSiteHandle, SDK_API_VERSION } from "./uniqid-sdk.server.js";
+import { verifyProofRequest } from "./uniqid-sdk.passport.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CIRCUITS = path.join(__dirname, "circuits");
+const FIXTURES = path.join(__dirname, "fixtures");
+const POS = { wasmUrl: path.join(CIRCUITS, "pos_prove_js", "pos_prove.wasm"), zkeyUrl: path.join(CIRCUITS, "pos_prove_final.zkey") };
+const MEMBERSHIP = { wasmUrl: path.join(CIRCUITS, "membership_js", "membership.wasm"), zkeyUrl: path.join(CIRCUITS, "membership_final.zkey") };
+
+const SITE = "pizza.example.com";
+const NONCE = "123456789";
+// demo credential (UNIQ-000007) and the fixture credential rotated from one DeKey to another (UNIQ-000003)
+const DEMO = { email: "demo@uniq.id", deKey: "pizza-dekey" };
+const OLD_3 = { email: "fixture3@uniq.id", deKey: "fixture-dekey-3" };
+const NEW_3 = { email: "fixture3@uniq.id", deKey: "fixture-dekey-3b" };
+
+const registry = () => ({ type: "registry", file: path.join(FIXTURES, "registry.json") });
+const expectCode = (code) => (err) => err.code === code;
+
+// the proofs are slow to make, so every test shares these
+let verifier;
+let membership;
+let posDemo;
+let posOld3;
+let posNew3;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  verifier = createUniqVerifier({ site: SITE, resolver: registry() });
+  const secrets = (credential) => ({ ...credential, nonce: NONCE, siteId: verifier.siteId });
+  membership = await generateMembershipProof({ ...secrets(DEMO), tree: await verifier.getTree() }, MEMBERSHIP);
+  posDemo = await generateProof(secrets(DEMO), POS);
+  posOld3 = await generateProof(secrets(OLD_3), POS);
+  posNew3 = await generateProof(secrets(NEW_3), POS);
+});
+after(async () => {
+  mock.restoreAll();
+  // snarkjs keeps the bn128 curve and its worker threads in globalThis.curve_bn128; without this the test process never exits
+  if (globalThis.curve_bn128) await globalThis.curve_bn128.terminate();
+});
+
+describe("verify (membership)", () => {
+  test("accepts a member of the current tree and reports each stage", async () => {
+    const stages = [];
+    const result = await verifier.verify({ ...membership, nonce: NONCE }, { onStage: (e) => stages.push(`${e.stage}:${e.status}`) });
+
+    assert.equal(SDK_API_VERSION, 7);
+    assert.equal(result.handle, formatSiteHandle(result.nullifier));
+    assert.equal(result.registry, null);
+    assert.deepEqual(stages.filter((s) => s.endsWith(":ok")), ["proof:ok", "nonce:ok", "site:ok", "root:ok"]);
+    // both circuits give one credential the same nullifier on one site
+    const { nullifier } = await createUniqVerifier({ site: SITE, resolver: { rootToId: async () => 7 } })
+      .verify({ ...posDemo, nonce: NONCE, circuit: "pos_prove" });
+    assert.equal(result.nullifier, nullifier);
+  });
+
+  test("rejects a proof made for another challenge", async () => {
+    await assert.rejects(verifier.verify({ ...membership, nonce: "987654321" }), expectCode("NONCE_MISMATCH"));
+    await assert.rejects(verifier.verify({ ...membership }), expectCode("NONCE_MISMATCH"));
+  });
+
+  test("rejects a proof made for another site", async () => {
+    const other = createUniqVerifier({ site: "burgers.example.com", resolver: registry() });
+    await assert.rejects(other.verify({ ...membership, nonce: NONCE }), expectCode("SITE_MISMATCH"));
+  });
+
+  test("rejects tampered signals, a missing proof and a pos_prove proof", async () => {
+    const tampered = [...membership.publicSignals];
+    tampered[2] = "987654321";
+    await assert.rejects(verifier.verify({ proof: membership.proof, publicSignals: tampered, nonce: "987654321" }), expectCode("PROOF_INVALID"));
+    await assert.rejects(verifier.verify({ publicSignals: membership.publicSignals, nonce: NONCE }), expectCode("INVALID_INPUT"));
+    await assert.rejects(verifier.verify({ ...membership, publicSignals: membership.publicSignals.slice(1), nonce: NONCE }), expectCode("INVALID_INPUT"));
+    await assert.rejects(verifier.verify({ ...posDemo, nonce: NONCE, circuit: "pos_prove" }), expectCode("INVALID_INPUT"));
+  });
+
+  test("rejects a root the registry no longer accepts", async () => {
+    const resolver = createRegistryResolver({ file: path.join(FIXTURES, "registry.json") });
+    const strict = createUniqVerifier({ site: SITE, resolver });
+    await strict.verify({ ...membership, nonce: NONCE });
+
+    // revoking any member clears every root that contained it
+    resolver.revoke((await resolver.getTreeLeaves())[0]);
+    await assert.rejects(strict.verify({ ...membership, nonce: NONCE }), expectCode("ROOT_NOT_CURRENT"));
+  });
+
+  test("names the deployment that confirmed the root", async () => {
+    const multi = createUniqVerifier({
+      site: SITE,
+      resolver: {
+        type: "multichain",
+        registries: [
+          { name: "next-fixture", chainId: 84532, type: "registry", file: path.join(FIXTURES, "registry-next.json") },
+          { name: "sepolia-fixture", chainId: 11155111, type: "registry", file: path.join(FIXTURES, "registry.json") }
+        ]
+      }
+    });
+    const { registry: confirmedBy } = await multi.verify({ ...membership, nonce: NONCE });
+    assert.equal(confirmedBy.name, "sepolia-fixture");
+    assert.equal(confirmedBy.chainId, 11155111);
+  });
+});
+
+test("verifyProofRequest refuses a replayed nonce", async () => {
+  const req = {
+    body: { ...membership, nonce: NONCE },
+    session: { uniqChallenge: { nonce: NONCE, expiresAt: Date.now() + 60_000 } }
+  };
+  const first = await verifyProofRequest(req, verifier);
+  assert.ok(first.verified, JSON.stringify(first));
+
+  const replay = await verifyProofRequest({ ...req, body: { ...req.body } }, verifier);
+  assert.equal(replay.code, "NONCE_REUSED");
+  assert.equal(replay.status, 409);
+});
+
+describe("verifyRotation", () => {
+  test("accepts two credentials of the same UNIQ-ID", async () => {
+    const result = await verifier.verifyRotation({ previous: posOld3, ...posNew3, nonce: NONCE });
+    assert.notEqual(result.previousNullifier, result.nullifier);
+    assert.equal(result.handle, formatSiteHandle(result.nullifier));
+  });
+
+  test("refuses credentials of different UNIQ-IDs, a revoked one and a missing previous proof", async () => {
+    await assert.rejects(verifier.verifyRotation({ previous: posDemo, ...posNew3, nonce: NONCE }), expectCode("ROTATION_MISMATCH"));
+    await assert.rejects(verifier.verifyRotation({ previous: posOld3, ...posNew3, nonce: "1" }), expectCode("NONCE_MISMATCH"));
+    await assert.rejects(verifier.verifyRotation({ ...posNew3, nonce: NONCE }), expectCode("INVALID_INPUT"));
+
+    const resolver = createRegistryResolver({ file: path.join(FIXTURES, "registry.json") });
+    const revoking = createUniqVerifier({ site: SITE, resolver });
+    resolver.revoke("0x" + BigInt(posNew3.publicSignals[1]).toString(16).padStart(64, "0"));
+    await assert.rejects(revoking.verifyRotation({ previous: posOld3, ...posNew3, nonce: NONCE }), expectCode("ROOT_REVOKED"));
+  });
+});
+
+describe("leaf mode", () => {
+  // a registry that only answers rootToId / rootStatus, like the contract deployed today
+  const statuses = {};
+  const fixture = createRegistryResolver({ file: path.join(FIXTURES, "registry.json") });
+  const leafOnly = () => createUniqVerifier({
+    site: SITE,
+    resolver: { name: "ids-only", rootToId: fixture.rootToId, rootStatus: async (l) => statuses[l] || fixture.rootStatus(l) }
+  });
+
+  test("serves no tree and verifies pos_prove proofs through rootToId", async () => {
+    const v = leafOnly();
+    assert.deepEqual(await v.getTree(), { mode: "leaf" });
+    const result = await v.verify({ ...posDemo, nonce: NONCE, circuit: "pos_prove" });
+    assert.equal(result.root, null);
+    assert.equal(result.registry, null);
+    assert.equal((await verifier.getTree()).mode, "membership");
+  });
+
+  test("asks for the tree itself when verify comes first", async () => {
+    await leafOnly().verify({ ...posDemo, nonce: NONCE, circuit: "pos_prove" });
+  });
+
+  test("refuses membership proofs, unknown circuits and retired leaves", async () => {
+    const v = leafOnly();
+    await assert.rejects(v.verify({ ...membership, nonce: NONCE }), expectCode("INVALID_INPUT"));
+    await assert.rejects(v.verify({ ...posDemo, nonce: NONCE, circuit: "plonk" }), expectCode("INVALID_INPUT"));
+    await assert.rejects(v.verify({ ...posDemo, nonce: "1", circuit: "pos_prove" }), expectCode("NONCE_MISMATCH"));
+    await assert.rejects(v.verify({ ...posOld3, nonce: NONCE, circuit: "pos_prove" }), expectCode("ROOT_ROTATED"));
+
+    statuses["0x" + BigInt(posDemo.publicSignals[1]).toString(16).padStart(64, "0")] = ROOT_STATUS.REVOKED;
+    await assert.rejects(v.verify({ ...posDemo, nonce: NONCE, circuit: "pos_prove" }), expectCode("ROOT_REVOKED"));
+  });
+});
@@ -0,0 +1,21 @@
+// uniqid-sdk/uniqid-sdk.worker.js
+// ✅ Web Worker entry for the browser prover (see createProver in uniqid-sdk.browser.js)
+// ✅ Message in:  { id, circuit, email, deKey, nonce, siteId, tree?, wasmUrl?, zkeyUrl? }
+// ✅ Messages out: { id, type: "stage", stage } … then { id, type: "result", result } or { id, type: "error", error, code? }
+
+import { generateProof, generateMembershipProof } from "./uniqid-sdk.browser.js";
+
+self.onmessage = async (ev) => {
+  const { id, circuit, email, deKey, nonce, siteId, tree, wasmUrl, zkeyUrl } = ev.data || {};
+  const generate = circuit === "pos_prove" ? generateProof : generateMembershipProof;
+  try {
+    const result = await generate({ email, deKey, nonce, siteId, tree }, {
+      wasmUrl,
+      zkeyUrl,
+      onStage: (stage) => self.postMessage({ id, type: "stage", stage })
+    });
+    self.postMessage({ id, type: "result", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", error: err && err.message ? err.message : String(err), code: err && err.code });
+  }
+};